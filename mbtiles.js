@@ -0,0 +1,312 @@
+/*
+ * Minimal read-only SQLite reader: just enough to pull tiles out of an MBTiles
+ * file on fields without internet. Pages are read lazily from the File, so large
+ * files are not loaded into memory.
+ */
+const SQLITE_PAGE_CACHE = 256; // pages kept in memory per database
+const sqliteTextDecoder = new TextDecoder();
+
+async function openSqliteDb(file) {
+    const head = new Uint8Array(await file.slice(0, 100).arrayBuffer());
+    if (sqliteTextDecoder.decode(head.subarray(0, 15)) !== 'SQLite format 3') throw new Error('not an SQLite database');
+    let pageSize = (head[16] << 8) | head[17];
+    if (pageSize === 1) pageSize = 65536;
+    return { file, pageSize, usable: pageSize - head[20], cache: new Map() };
+}
+
+async function sqliteReadPage(db, n) {
+    let page = db.cache.get(n);
+    if (page) {
+        // keep recently used pages at the end of the LRU order
+        db.cache.delete(n);
+        db.cache.set(n, page);
+        return page;
+    }
+    const off = (n - 1) * db.pageSize;
+    page = new Uint8Array(await db.file.slice(off, off + db.pageSize).arrayBuffer());
+    db.cache.set(n, page);
+    if (db.cache.size > SQLITE_PAGE_CACHE) db.cache.delete(db.cache.keys().next().value);
+    return page;
+}
+
+function readU32(buf, off) {
+    return ((buf[off] << 24) >>> 0) + (buf[off + 1] << 16) + (buf[off + 2] << 8) + buf[off + 3];
+}
+
+// returns [value, bytesUsed]
+function sqliteVarint(buf, off) {
+    let v = 0;
+    for (let i = 0; i < 8; ++i) {
+        const b = buf[off + i];
+        v = v * 128 + (b & 0x7F);
+        if (!(b & 0x80)) return [v, i + 1];
+    }
+    return [v * 256 + buf[off + 8], 9];
+}
+
+// b-tree page header (page 1 starts after the 100-byte file header)
+function sqlitePageHeader(page, n) {
+    const base = n === 1 ? 100 : 0;
+    const type = page[base]; // 2/10 index interior/leaf, 5/13 table interior/leaf
+    const interior = type === 2 || type === 5;
+    return {
+        type,
+        interior,
+        nCells: (page[base + 3] << 8) | page[base + 4],
+        rightPtr: interior ? readU32(page, base + 8) : 0,
+        cellPtrOff: base + (interior ? 12 : 8)
+    };
+}
+
+function sqliteCellOffset(page, hdr, i) {
+    const o = hdr.cellPtrOff + 2 * i;
+    return (page[o] << 8) | page[o + 1];
+}
+
+// cell payload, following the overflow chain unless localOnly is set
+async function sqlitePayload(db, page, off, size, isTable, localOnly = false) {
+    const U = db.usable;
+    const X = isTable ? U - 35 : Math.floor((U - 12) * 64 / 255) - 23;
+    let local = size;
+    if (size > X) {
+        const M = Math.floor((U - 12) * 32 / 255) - 23;
+        const K = M + ((size - M) % (U - 4));
+        local = K <= X ? K : M;
+    }
+    if (local === size || localOnly) return page.subarray(off, off + local);
+    const out = new Uint8Array(size);
+    out.set(page.subarray(off, off + local), 0);
+    let pos = local;
+    let next = readU32(page, off + local);
+    while (next && pos < size) {
+        const ov = await sqliteReadPage(db, next);
+        const n = Math.min(size - pos, U - 4);
+        out.set(ov.subarray(4, 4 + n), pos);
+        pos += n;
+        next = readU32(ov, 0);
+    }
+    return out;
+}
+
+// decode a record into column values (undefined for columns cut off by localOnly)
+function sqliteRecord(buf) {
+    const [hdrSize, n0] = sqliteVarint(buf, 0);
+    const types = [];
+    for (let p = n0; p < hdrSize;) {
+        const [t, n] = sqliteVarint(buf, p);
+        types.push(t);
+        p += n;
+    }
+    const INT_SIZES = [0, 1, 2, 3, 4, 6, 8];
+    const values = [];
+    let off = hdrSize;
+    for (const t of types) {
+        let len = 0;
+        let v = null;
+        if (t >= 1 && t <= 6) len = INT_SIZES[t];
+        else if (t === 7) len = 8;
+        else if (t >= 12) len = (t - (t % 2 ? 13 : 12)) / 2;
+        if (off + len > buf.length) {
+            values.push(undefined);
+            off += len;
+            continue;
+        }
+        if (t >= 1 && t <= 6) {
+            v = 0;
+            for (let i = 0; i < len; ++i) v = v * 256 + buf[off + i];
+            if (buf[off] & 0x80) v -= Math.pow(2, 8 * len);
+        } else if (t === 7) {
+            v = new DataView(buf.buffer, buf.byteOffset + off, 8).getFloat64(0);
+        } else if (t === 8 || t === 9) {
+            v = t - 8;
+        } else if (t >= 12) {
+            const bytes = buf.subarray(off, off + len);
+            v = t % 2 ? sqliteTextDecoder.decode(bytes) : bytes;
+        }
+        values.push(v);
+        off += len;
+    }
+    return values;
+}
+
+// visit every row of a table b-tree: cb(rowid, values)
+async function sqliteScanTable(db, root, cb, localOnly = false) {
+    const page = await sqliteReadPage(db, root);
+    const hdr = sqlitePageHeader(page, root);
+    if (hdr.type === 5) {
+        for (let i = 0; i < hdr.nCells; ++i) await sqliteScanTable(db, readU32(page, sqliteCellOffset(page, hdr, i)), cb, localOnly);
+        await sqliteScanTable(db, hdr.rightPtr, cb, localOnly);
+    } else if (hdr.type === 13) {
+        for (let i = 0; i < hdr.nCells; ++i) {
+            let off = sqliteCellOffset(page, hdr, i);
+            const [size, n1] = sqliteVarint(page, off); off += n1;
+            const [rowid, n2] = sqliteVarint(page, off); off += n2;
+            cb(rowid, sqliteRecord(await sqlitePayload(db, page, off, size, true, localOnly)));
+        }
+    }
+}
+
+// values of the row with the given rowid (null when missing)
+async function sqliteTableRow(db, root, rowid) {
+    let n = root;
+    while (n) {
+        const page = await sqliteReadPage(db, n);
+        const hdr = sqlitePageHeader(page, n);
+        if (hdr.type === 5) {
+            let next = hdr.rightPtr;
+            for (let i = 0; i < hdr.nCells; ++i) {
+                const off = sqliteCellOffset(page, hdr, i);
+                if (rowid <= sqliteVarint(page, off + 4)[0]) { next = readU32(page, off); break; }
+            }
+            n = next;
+        } else if (hdr.type === 13) {
+            for (let i = 0; i < hdr.nCells; ++i) {
+                let off = sqliteCellOffset(page, hdr, i);
+                const [size, n1] = sqliteVarint(page, off); off += n1;
+                const [rid, n2] = sqliteVarint(page, off); off += n2;
+                if (rid === rowid) return sqliteRecord(await sqlitePayload(db, page, off, size, true));
+            }
+            return null;
+        } else {
+            return null;
+        }
+    }
+    return null;
+}
+
+// SQLite ordering of key prefixes: NULL < numbers < text/blob
+function sqliteCompareKey(values, key) {
+    for (let i = 0; i < key.length; ++i) {
+        const a = values[i];
+        const b = key[i];
+        if (a === b) continue;
+        if (a == null) return -1;
+        if (b == null) return 1;
+        if (typeof a === 'number' && typeof b === 'number') return a < b ? -1 : 1;
+        if (typeof a === 'number') return -1;
+        if (typeof b === 'number') return 1;
+        return String(a) < String(b) ? -1 : 1;
+    }
+    return 0;
+}
+
+// search an index b-tree for an entry starting with key; returns its values (rowid last)
+async function sqliteIndexFind(db, root, key) {
+    let n = root;
+    while (n) {
+        const page = await sqliteReadPage(db, n);
+        const hdr = sqlitePageHeader(page, n);
+        if (hdr.type !== 2 && hdr.type !== 10) return null;
+        let next = hdr.rightPtr; // 0 on leaves: not found
+        for (let i = 0; i < hdr.nCells; ++i) {
+            let off = sqliteCellOffset(page, hdr, i);
+            const child = hdr.interior ? readU32(page, off) : 0;
+            if (hdr.interior) off += 4;
+            const [size, nn] = sqliteVarint(page, off); off += nn;
+            const values = sqliteRecord(await sqlitePayload(db, page, off, size, false));
+            const c = sqliteCompareKey(values, key);
+            if (c === 0) return values;
+            if (c > 0) { next = child; break; }
+        }
+        n = next;
+    }
+    return null;
+}
+
+// column names from a CREATE TABLE / CREATE INDEX statement (lower case)
+function sqliteColumnList(sql) {
+    const m = /\(([\s\S]*)\)/.exec(sql || '');
+    if (!m) return [];
+    return m[1].split(',')
+        .map(part => part.trim().split(/\s+/)[0].replace(/^["'`[]|["'`\]]$/g, '').toLowerCase())
+        .filter(Boolean);
+}
+
+// row lookup by column values: uses a matching index when the file has one,
+// otherwise scans the table once and keeps key -> rowid in memory
+async function sqliteRowFinder(db, schema, tblName, cols) {
+    const tbl = schema.find(e => e.type === 'table' && e.name === tblName);
+    if (!tbl) return null;
+    const columns = sqliteColumnList(tbl.sql);
+    const idx = schema.find(e => e.type === 'index' && e.tbl === tblName && e.root &&
+        sqliteColumnList(e.sql).slice(0, cols.length).join() === cols.join());
+    if (idx) {
+        return {
+            columns,
+            find: async key => {
+                const v = await sqliteIndexFind(db, idx.root, key);
+                return v ? sqliteTableRow(db, tbl.root, v[v.length - 1]) : null;
+            }
+        };
+    }
+    const pos = cols.map(c => columns.indexOf(c));
+    const rowids = new Map();
+    const spilled = []; // key columns stored after an overflowing blob
+    await sqliteScanTable(db, tbl.root, (rowid, v) => {
+        const key = pos.map(i => v[i]);
+        if (key.some(k => k === undefined)) spilled.push(rowid);
+        else rowids.set(key.join('/'), rowid);
+    }, true);
+    for (const rowid of spilled) {
+        const v = await sqliteTableRow(db, tbl.root, rowid);
+        if (v) rowids.set(pos.map(i => v[i]).join('/'), rowid);
+    }
+    return {
+        columns,
+        find: async key => {
+            const rowid = rowids.get(key.join('/'));
+            return rowid == null ? null : sqliteTableRow(db, tbl.root, rowid);
+        }
+    };
+}
+
+// open an MBTiles file: { name, meta, minZoom, maxZoom, mime, getTile(z, x, y) -> Blob|null }
+async function openMbtiles(file) {
+    const db = await openSqliteDb(file);
+    const schema = [];
+    await sqliteScanTable(db, 1, (rowid, v) => schema.push({ type: v[0], name: v[1], tbl: v[2], root: v[3], sql: v[4] || '' }));
+
+    const meta = {};
+    const metaTbl = schema.find(e => e.type === 'table' && e.name === 'metadata');
+    if (metaTbl) await sqliteScanTable(db, metaTbl.root, (rowid, v) => { meta[v[0]] = v[1]; });
+    const format = String(meta.format || 'png').toLowerCase();
+    if (format === 'pbf') throw new Error('vector tiles (pbf) are not supported, use a raster MBTiles file');
+    const mime = format === 'jpg' || format === 'jpeg' ? 'image/jpeg' : 'image/' + format;
+
+    const KEY = ['zoom_level', 'tile_column', 'tile_row'];
+    let readTileData;
+    if (schema.some(e => e.type === 'table' && e.name === 'tiles')) {
+        const tiles = await sqliteRowFinder(db, schema, 'tiles', KEY);
+        const dataIdx = tiles.columns.indexOf('tile_data');
+        readTileData = async key => {
+            const row = await tiles.find(key);
+            return row ? row[dataIdx] : null;
+        };
+    } else {
+        // deduplicated layout: tiles is a view over map + images
+        const mapTbl = await sqliteRowFinder(db, schema, 'map', KEY);
+        const images = await sqliteRowFinder(db, schema, 'images', ['tile_id']);
+        if (!mapTbl || !images) throw new Error('no tiles table found');
+        const idIdx = mapTbl.columns.indexOf('tile_id');
+        const dataIdx = images.columns.indexOf('tile_data');
+        readTileData = async key => {
+            const row = await mapTbl.find(key);
+            if (!row) return null;
+            const img = await images.find([row[idIdx]]);
+            return img ? img[dataIdx] : null;
+        };
+    }
+
+    return {
+        name: meta.name || file.name,
+        meta,
+        minZoom: Number.isFinite(Number(meta.minzoom)) ? Number(meta.minzoom) : 0,
+        maxZoom: Number.isFinite(Number(meta.maxzoom)) ? Number(meta.maxzoom) : 22,
+        mime,
+        // MBTiles rows are TMS (y flipped)
+        getTile: async (z, x, y) => {
+            const data = await readTileData([z, x, (1 << z) - 1 - y]);
+            return data instanceof Uint8Array ? new Blob([data], { type: mime }) : null;
+        }
+    };
+}
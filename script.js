@@ -1,68 +1,199 @@
 // Web Serial-based hex viewer with CONFIG then RUN handshake
-let port = null;
-let reader = null;
-let writer = null;
-let keepReading = false;
+const radios = []; // open receivers: { src, transport, port, reading }, the first one carries the uplink
 
 const RAD2DEG = 180.0 / Math.PI;
 
 const RUN_STR = "#RUN\n";
 
 const connectBtn = document.getElementById('connect');
-const statusEl = document.getElementById('status');
+const statusEl = document.getElementById('statusText');
 const deviceNameEl = document.getElementById('deviceName');
 const baudInput = document.getElementById('baud');
+const transportSel = document.getElementById('transport');
+const bridgeUrlInput = document.getElementById('bridgeUrl');
+const addRadioBtn = document.getElementById('addRadio');
 const tabMap = document.getElementById('tab-map');
 const tabTerm = document.getElementById('tab-term');
+const tabLink = document.getElementById('tab-link');
+const tabSep = document.getElementById('tab-sep');
+const tabTdma = document.getElementById('tab-tdma');
+const tabSync = document.getElementById('tab-sync');
+const tabCharts = document.getElementById('tab-charts');
 const mapEl = document.getElementById('map');
 const termEl = document.getElementById('terminal');
 const termContent = document.getElementById('terminalContent');
+const termView = document.getElementById('terminalView');
+const termSpacer = document.getElementById('terminalSpacer');
+const termCmdSel = document.getElementById('termCmd');
+const termNodeInput = document.getElementById('termNode');
+const termSearchInput = document.getElementById('termSearch');
+const termFollowBtn = document.getElementById('termFollow');
+const termSaveBtn = document.getElementById('termSave');
+const termClearBtn = document.getElementById('termClear');
+const termInfo = document.getElementById('termInfo');
+const consoleModeSel = document.getElementById('consoleMode');
+const consoleInput = document.getElementById('consoleInput');
+const consoleCommandsList = document.getElementById('consoleCommands');
+const consoleSendBtn = document.getElementById('consoleSend');
+const linkEl = document.getElementById('link');
+const linkContent = document.getElementById('linkContent');
+const linkResetBtn = document.getElementById('linkReset');
+const sepEl = document.getElementById('sep');
+const sepContent = document.getElementById('sepContent');
+const sepMinInput = document.getElementById('sepMin');
+const sepFrameSel = document.getElementById('sepFrame');
+const tdmaEl = document.getElementById('tdma');
+const tdmaContent = document.getElementById('tdmaContent');
+const tdmaSlotInput = document.getElementById('tdmaSlot');
+const tdmaToleranceInput = document.getElementById('tdmaTolerance');
+const tdmaClearBtn = document.getElementById('tdmaClear');
+const syncEl = document.getElementById('sync');
+const syncContent = document.getElementById('syncContent');
+const syncCanvas = document.getElementById('syncCanvas');
+const syncTable = document.getElementById('syncTable');
+const syncWindowSel = document.getElementById('syncWindow');
+const syncClearBtn = document.getElementById('syncClear');
+const chartsEl = document.getElementById('charts');
+const chartsContent = document.getElementById('chartsContent');
+const chartPickers = document.getElementById('chartPickers');
+const chartWindowSel = document.getElementById('chartWindow');
+const chartResetBtn = document.getElementById('chartReset');
+const chartInfo = document.getElementById('chartInfo');
+const recordBtn = document.getElementById('record');
+const replayBtn = document.getElementById('replay');
+const replayFileInput = document.getElementById('replayFile');
+const replayBar = document.getElementById('replayBar');
+const replayPlayBtn = document.getElementById('replayPlay');
+const replaySpeedSel = document.getElementById('replaySpeed');
+const replaySeek = document.getElementById('replaySeek');
+const replayTimeEl = document.getElementById('replayTime');
+const replayCloseBtn = document.getElementById('replayClose');
+const simBtn = document.getElementById('simulate');
+const simBar = document.getElementById('simBar');
+const simRobotsInput = document.getElementById('simRobots');
+const simPathSel = document.getElementById('simPath');
+const simSpeedInput = document.getElementById('simSpeed');
+const simErrInput = document.getElementById('simErr');
+const simDropInput = document.getElementById('simDrop');
+const simAuxCheck = document.getElementById('simAux');
 let mapRadar = null;
 
 connectBtn.textContent = 'Connect';
 connectBtn.style.background = '#2b6';
 const settingsBtn = document.getElementById('settings');
 settingsBtn.style.background = 'rgba(23, 149, 180, 1)';
+addRadioBtn.style.background = '#2b6';
+recordBtn.style.background = 'rgba(200, 120, 40, 1)';
+replayBtn.style.background = 'rgba(150, 120, 200, 1)';
+simBtn.style.background = 'rgba(90, 160, 90, 1)';
 
 const textDecoder = new TextDecoder();
 const textEncoder = new TextEncoder();
 let textBuffer = '';
 let runSent = false;
 
-// terminal line buffer (oldest removed when limit exceeded)
-const TERMINAL_MAX_LINES = 100;
-const terminalLines = [];
+// terminal ring buffer (oldest line overwritten when full) and its filtered view
+const TERMINAL_MAX_LINES = 100000;
+const TERMINAL_ROW_HEIGHT = 17; // px, matches the .terminal-pre line-height
+const terminalLines = new Array(TERMINAL_MAX_LINES);
+let terminalHead = 0; // index of the oldest line
+let terminalCount = 0;
+let terminalSeq = 0; // sequence number of the next line
+let terminalView = []; // lines matching terminalFilter, oldest first (from terminalViewStart)
+let terminalViewStart = 0;
+const terminalFilter = { cmd: '', nodes: [], search: '' };
+let terminalFollow = true;
+let terminalPausedSeq = null; // last line shown while paused
+let terminalRenderPending = false;
 
 // In-memory list of status_payload objects (one element per robot id)
 const statusArray = [];
 
+// persisted user preferences (JSON values in localStorage, namespaced)
+const PREFS_PREFIX = 'www_radio.';
+
+function loadPref(key, fallback) {
+    try {
+        const raw = localStorage.getItem(PREFS_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function savePref(key, value) {
+    try {
+        localStorage.setItem(PREFS_PREFIX + key, JSON.stringify(value));
+    } catch (e) {
+        console.warn('could not save preference', key, e);
+    }
+}
+
 tabMap.addEventListener('click', () => showTab('map'));
 tabTerm.addEventListener('click', () => showTab('term'));
+tabLink.addEventListener('click', () => showTab('link'));
+tabSep.addEventListener('click', () => showTab('sep'));
+tabTdma.addEventListener('click', () => showTab('tdma'));
+tabSync.addEventListener('click', () => showTab('sync'));
+tabCharts.addEventListener('click', () => showTab('charts'));
+
+// view name -> tab radio + panel element
+const views = {
+    map: { tab: tabMap, panel: mapEl },
+    term: { tab: tabTerm, panel: termEl },
+    link: { tab: tabLink, panel: linkEl },
+    sep: { tab: tabSep, panel: sepEl },
+    tdma: { tab: tabTdma, panel: tdmaEl },
+    sync: { tab: tabSync, panel: syncEl },
+    charts: { tab: tabCharts, panel: chartsEl }
+};
 
 // periodic refresher for all progress bars
 (function startProgressRefresher() {
     const MS_REFRESH = 200;
     setInterval(() => {
         if (!statusArray || statusArray.length === 0) return;
-        const now = Date.now();
+        const now = nowMs();
+        updateRobotLifecycle(now);
+        checkSeparation();
         for (let i = 0; i < statusArray.length; ++i) {
             const s = statusArray[i];
             const entryEl = document.querySelector(`.tree-entry[data-id="${s.id}"]`);
             if (!entryEl) continue;
-            const progInner = entryEl._progInner || entryEl.querySelector('.time-progress-inner');
-            if (!progInner) continue;
-            const last = s.tstamp ? (new Date(s.tstamp)).getTime() : now;
-            const elapsed = Math.max(0, now - last);
-            const pct = Math.min(1, elapsed / 5000);
-            progInner.style.width = (pct * 100) + '%';
-        }
-        if (activeCenteredId) updateMapRadar();
+            updateLatencyBar(entryEl, s, now);
+            // link statistics change slowly: refresh them once per second
+            if (now - (entryEl._linkAt || 0) >= 1000) {
+                entryEl._linkAt = now;
+                updateRobotLinkDom(entryEl, s, now);
+            }
+        }
+        scheduleRadarUpdate();
+        // time-limited trails shrink even when no new status arrives
+        if (trailSettings.mode === 'time') pruneAllTrails();
     }, MS_REFRESH);
 })();
 
+// re-request missing aux packets of stalled transfers
+setInterval(() => checkAuxTransfers(), 250);
+
+// live refresh of the Link panel counters
+setInterval(() => renderLinkPanel(), 500);
+linkResetBtn.addEventListener('click', () => {
+    resetLinkStats();
+    renderLinkPanel();
+});
+
+// live refresh of the separation matrix, TDMA timeline, sync monitor and charts
+setInterval(() => renderSeparationPanel(), 500);
+setInterval(() => renderTdmaPanel(), 500);
+setInterval(() => renderSyncPanel(), 1000);
+setInterval(() => renderChartsPanel(), 500);
+
 // single toggle handler: connect if disconnected, disconnect if connected
 if (connectBtn) {
     connectBtn.addEventListener('click', async () => {
+        // a manual action replaces any pending automatic reconnection
+        cancelReconnect();
         try {
             if (connectBtn.textContent === 'Disconnect') await disconnect();
             else await connect();
@@ -70,88 +201,728 @@ if (connectBtn) {
     });
 }
 
-// current channel variable (default fallback)
-if (typeof window.rfChannel === 'undefined') window.rfChannel = 13;
+// clicking the device name picks another port through the browser chooser
+// (the × of a radio chip closes only that radio)
+deviceNameEl.style.cursor = 'pointer';
+deviceNameEl.addEventListener('click', async (ev) => {
+    const close = ev.target.closest('.radio-close');
+    if (close) {
+        const radio = radios.find(r => r.src.id === Number(close.dataset.radio));
+        if (radio) closeRadio(radio).catch(e => console.warn('close radio error', e));
+        return;
+    }
+    if (transportSel.value !== 'serial') {
+        bridgeUrlInput.focus();
+        return;
+    }
+    cancelReconnect();
+    try {
+        if (radios.length) await disconnect();
+        await connect({ chooser: true });
+    } catch (e) { console.warn('choose device error', e); }
+});
+
+// data source: Web Serial or a WebSocket bridge streaming the radio bytes
+// (browsers without Web Serial only get the bridge)
+// device label while nothing is open, per transport
+const IDLE_DEVICE_LABELS = { serial: 'Choose serial device', websocket: 'Set bridge URL' };
+
+function idleDeviceLabel() {
+    return IDLE_DEVICE_LABELS[transportSel.value] || 'Choose device';
+}
+
+function showTransportFields() {
+    const serial = transportSel.value === 'serial';
+    document.getElementById('baudLabel').classList.toggle('hidden', !serial);
+    document.getElementById('bridgeUrlLabel').classList.toggle('hidden', serial);
+    deviceNameEl.title = serial ? 'Click to choose another serial device' : 'Click to edit the WebSocket bridge URL';
+    if (Object.values(IDLE_DEVICE_LABELS).includes(deviceNameEl.textContent)) deviceNameEl.textContent = idleDeviceLabel();
+}
+if (!('serial' in navigator)) transportSel.querySelector('option[value="serial"]').disabled = true;
+transportSel.value = loadPref('transport', 'serial' in navigator ? 'serial' : 'websocket');
+if (transportSel.selectedIndex < 0 || transportSel.selectedOptions[0].disabled) transportSel.value = 'websocket';
+bridgeUrlInput.value = loadPref('bridgeUrl', bridgeUrlInput.value);
+showTransportFields();
+transportSel.addEventListener('change', async () => {
+    cancelReconnect();
+    if (radios.length) await disconnect();
+    savePref('transport', transportSel.value);
+    showTransportFields();
+});
+bridgeUrlInput.addEventListener('change', () => savePref('bridgeUrl', bridgeUrlInput.value.trim()));
+
+// another receiver next to the open ones (serial chooser or the bridge URL)
+addRadioBtn.addEventListener('click', () => {
+    cancelReconnect();
+    connect({ chooser: true }).catch(e => console.warn('add radio error', e));
+});
+
+// baud rate is kept between sessions
+baudInput.value = String(loadPref('baud', Number(baudInput.value) || 921600));
+baudInput.addEventListener('change', () => {
+    const v = Number(baudInput.value);
+    if (Number.isInteger(v) && v > 0) savePref('baud', v);
+});
 
 // show configuration dialog
 settingsBtn.addEventListener('click', () => {
-    showRfChannelDialog(window.rfChannel);
+    showRadioConfigDialog();
+});
+
+// session recording toggle: stopping downloads the recorded session file
+recordBtn.addEventListener('click', () => {
+    if (sessionRecording) stopSessionRecording();
+    else startSessionRecording();
+});
+
+// replay a recorded session file through the decoder
+replayBtn.addEventListener('click', () => replayFileInput.click());
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files && replayFileInput.files[0];
+    replayFileInput.value = '';
+    loadReplayFile(file).catch(e => console.warn('replay load failed', e));
+});
+replayPlayBtn.addEventListener('click', () => {
+    if (replay) setReplayPlaying(!replay.playing);
+});
+replaySpeedSel.addEventListener('change', () => {
+    if (replay) replay.speed = Number(replaySpeedSel.value) || 1;
+});
+// the scrubber only seeks on release so dragging stays responsive on long sessions
+replaySeek.addEventListener('input', () => {
+    replaySeek._dragging = true;
+    if (replay) replayTimeEl.textContent = `${formatReplayTime(Number(replaySeek.value))} / ${formatReplayTime(replay.duration)}`;
+});
+replaySeek.addEventListener('change', () => {
+    replaySeek._dragging = false;
+    seekReplay(Number(replaySeek.value));
+});
+replayCloseBtn.addEventListener('click', () => stopReplay());
+
+// simulated radio for demos and development without hardware
+simBtn.addEventListener('click', () => {
+    if (simulator) stopSimulator();
+    else startSimulator().catch(e => console.warn('simulator start failed', e));
+});
+document.addEventListener('DOMContentLoaded', () => {
+    simRobotsInput.value = String(simSettings.robots);
+    simPathSel.value = simSettings.path;
+    simSpeedInput.value = String(simSettings.speed);
+    simErrInput.value = String(simSettings.checksumErrorPct);
+    simDropInput.value = String(simSettings.dropoutPct);
+    simAuxCheck.checked = !!simSettings.aux;
+    for (const el of [simRobotsInput, simPathSel, simSpeedInput, simErrInput, simDropInput, simAuxCheck]) el.addEventListener('change', readSimControls);
 });
 
 // default
 showTab('map');
 
 
-// show a modal dialog to pick an integer channel 1..500
-function showRfChannelDialog(current = 13) {
-    const dlg = document.createElement('div');
-    dlg.style = 'position:fixed;left:0;top:0;right:0;bottom:0;background:rgba(0,0,0,0.45);display:flex;align-items:center;justify-content:center;z-index:65536';
+/*
+ * Radio module configuration. Fields are listed in the order of the
+ * #CONFIG,<mode>,<freq>,<power>,<gain>,<modulation>,<sf>,<bw>,<cr>,<preamble> command.
+ */
+const RADIO_MODULATIONS = ['LORA', 'FLRC', 'GFSK'];
+const LORA_BANDWIDTHS_KHZ = [200, 400, 800, 1600];
+const RADIO_CONFIG_FIELDS = [
+    { key: 'mode', label: 'Mode', min: 0, max: 255 },
+    { key: 'frequencyMHz', label: 'Frequency (MHz)', min: 2400.0, max: 2500.0, step: 0.1, decimals: 1 },
+    { key: 'powerDbm', label: 'TX power (dBm)', min: -18, max: 13 },
+    { key: 'gain', label: 'RX gain', min: 0, max: 13 },
+    { key: 'modulation', label: 'Modulation', options: RADIO_MODULATIONS },
+    { key: 'spreadingFactor', label: 'Spreading factor', min: 5, max: 12, lora: true },
+    { key: 'bandwidthKHz', label: 'Bandwidth (kHz)', options: LORA_BANDWIDTHS_KHZ, lora: true },
+    { key: 'codingRate', label: 'Coding rate (4/x)', min: 5, max: 8, lora: true },
+    { key: 'preambleLength', label: 'Preamble length', min: 1, max: 65535 }
+];
+const DEFAULT_RADIO_CONFIG = {
+    mode: 0,
+    frequencyMHz: 2402.5, // channel 13
+    powerDbm: 5,
+    gain: 0,
+    modulation: 'LORA',
+    spreadingFactor: 5,
+    bandwidthKHz: 1600,
+    codingRate: 5,
+    preambleLength: 16
+};
+const RADIO_PRESETS_BUILTIN = {
+    'Default (channel 13)': DEFAULT_RADIO_CONFIG
+};
+const RADIO_CHANNEL_MAX = 500;
 
-    const box = document.createElement('div');
-    box.style = 'background:#0f0f0f;color:#eee;padding:14px;border-radius:8px;min-width:260px;box-shadow:0 6px 18px rgba(0,0,0,0.6)';
+// current radio configuration sent on connect (persisted, defaults if the stored one is invalid)
+let radioConfig = loadSavedRadioConfig();
 
-    const title = document.createElement('div');
-    title.textContent = 'RF Channel (1 - 500)';
-    title.style = 'font-weight:600;margin-bottom:8px;color:#9ad';
-    box.appendChild(title);
+function loadSavedRadioConfig() {
+    const cfg = normalizeRadioConfig(loadPref('radioConfig', DEFAULT_RADIO_CONFIG));
+    return validateRadioConfig(cfg).length ? Object.assign({}, DEFAULT_RADIO_CONFIG) : cfg;
+}
 
-    const row = document.createElement('div');
-    row.style = 'display:flex;gap:8px;align-items:center;';
+// channels are 0.2 MHz apart starting at 2400.1 MHz
+function channelToFrequency(ch) {
+    return Math.round((2400.1 + (ch - 1) * 0.2) * 10) / 10;
+}
 
-    const input = document.createElement('input');
-    input.type = 'number';
-    input.min = '1';
-    input.max = '500';
-    input.value = String(Number(current) || 13);
-    input.style = 'width:100px;padding:6px;border-radius:4px;border:1px solid #333;background:#111;color:#eee';
-    row.appendChild(input);
+// channel number for a frequency, or null when it is not on the channel raster
+function frequencyToChannel(freq) {
+    const ch = Math.round((freq - 2400.1) / 0.2) + 1;
+    return (ch >= 1 && ch <= RADIO_CHANNEL_MAX && Math.abs(channelToFrequency(ch) - freq) < 1e-6) ? ch : null;
+}
 
-    const info = document.createElement('div');
-    info.textContent = ''; info.style = 'font-size:12px;color:#9ad;opacity:0.9';
-    row.appendChild(info);
+// returns a list of error strings (empty when the configuration is valid)
+function validateRadioConfig(cfg) {
+    const errors = [];
+    const isLora = cfg.modulation === 'LORA';
+    for (const f of RADIO_CONFIG_FIELDS) {
+        const v = cfg[f.key];
+        if (f.options) {
+            // non-LoRa modulations reuse the field with their own values
+            if (f.lora && !isLora) {
+                if (!Number.isInteger(v) || v < 0) errors.push(`${f.label}: enter a non-negative integer`);
+            } else if (!f.options.includes(v)) {
+                errors.push(`${f.label}: must be one of ${f.options.join(', ')}`);
+            }
+            continue;
+        }
+        if (f.lora && !isLora) {
+            if (!Number.isInteger(v) || v < 0) errors.push(`${f.label}: enter a non-negative integer`);
+            continue;
+        }
+        const integer = !f.decimals;
+        if (!Number.isFinite(v) || (integer && !Number.isInteger(v)) || v < f.min || v > f.max) {
+            errors.push(`${f.label}: enter ${integer ? 'an integer' : 'a number'} between ${f.min} and ${f.max}`);
+        }
+    }
+    return errors;
+}
 
-    box.appendChild(row);
+function buildConfigString(cfg) {
+    return `#CONFIG,${cfg.mode},${Number(cfg.frequencyMHz).toFixed(1)},${cfg.powerDbm},${cfg.gain},${cfg.modulation},` +
+        `${cfg.spreadingFactor},${cfg.bandwidthKHz},${cfg.codingRate},${cfg.preambleLength}\n`;
+}
 
-    const btnRow = document.createElement('div');
-    btnRow.style = 'display:flex;gap:8px;justify-content:flex-end;margin-top:12px';
+// keep only known fields, coerced to their types (profiles come from files and storage)
+function normalizeRadioConfig(raw) {
+    const cfg = Object.assign({}, DEFAULT_RADIO_CONFIG);
+    if (!raw || typeof raw !== 'object') return cfg;
+    for (const f of RADIO_CONFIG_FIELDS) {
+        if (!(f.key in raw)) continue;
+        cfg[f.key] = f.key === 'modulation' ? String(raw[f.key]).toUpperCase() : Number(raw[f.key]);
+    }
+    return cfg;
+}
 
-    const btnCancel = document.createElement('button');
-    btnCancel.className = 'dialog-button';
-    btnCancel.textContent = 'Cancel';
-    btnCancel.onclick = () => document.body.removeChild(dlg);
-
-    const btnOk = document.createElement('button');
-    btnOk.className = 'dialog-button';
-    btnOk.textContent = 'Save';
-    btnOk.onclick = () => {
-        const v = Number(input.value);
-        if (!Number.isInteger(v) || v < 1 || v > 500) {
-            info.textContent = 'Enter integer between 1 and 500';
-            return;
+function loadRadioPresets() {
+    return Object.assign({}, RADIO_PRESETS_BUILTIN, loadPref('radioPresets', {}));
+}
+
+// settings dialog editing every CONFIG field, with named presets and JSON import/export
+function showRadioConfigDialog() {
+    const { box, close } = openDialog('Radio configuration', 460);
+    const inputStyle = 'padding:6px;border-radius:4px;border:1px solid #333;background:#111;color:#eee';
+    let cfg = Object.assign({}, radioConfig);
+
+    // presets row
+    const presetRow = document.createElement('div');
+    presetRow.style = 'display:flex;gap:8px;align-items:center;margin-bottom:10px;flex-wrap:wrap';
+    const presetSel = document.createElement('select');
+    presetSel.style = inputStyle;
+    const renderPresets = (selected) => {
+        presetSel.innerHTML = '';
+        for (const name of Object.keys(loadRadioPresets())) {
+            const o = document.createElement('option');
+            o.value = o.textContent = name;
+            presetSel.appendChild(o);
+        }
+        if (selected) presetSel.value = selected;
+    };
+    renderPresets();
+    const btnLoad = document.createElement('button');
+    btnLoad.className = 'dialog-button';
+    btnLoad.textContent = 'Load';
+    const btnDelete = document.createElement('button');
+    btnDelete.className = 'dialog-button';
+    btnDelete.textContent = 'Delete';
+    presetRow.appendChild(document.createTextNode('Preset'));
+    presetRow.appendChild(presetSel);
+    presetRow.appendChild(btnLoad);
+    presetRow.appendChild(btnDelete);
+    box.appendChild(presetRow);
+
+    // fields
+    const grid = document.createElement('div');
+    grid.style = 'display:grid;grid-template-columns:150px 1fr;gap:6px;align-items:center';
+    const inputs = {};
+    const addRow = (label, el) => {
+        const l = document.createElement('div');
+        l.textContent = label;
+        grid.appendChild(l);
+        grid.appendChild(el);
+    };
+    const channelInput = document.createElement('input');
+    channelInput.type = 'number';
+    channelInput.min = '1';
+    channelInput.max = String(RADIO_CHANNEL_MAX);
+    channelInput.style = inputStyle;
+    addRow(`Channel (1 - ${RADIO_CHANNEL_MAX})`, channelInput);
+    for (const f of RADIO_CONFIG_FIELDS) {
+        let el;
+        if (f.key === 'modulation') {
+            el = document.createElement('select');
+            for (const m of f.options) {
+                const o = document.createElement('option');
+                o.value = o.textContent = m;
+                el.appendChild(o);
+            }
+        } else {
+            el = document.createElement('input');
+            el.type = 'number';
+            if (f.step) el.step = String(f.step);
+            if (f.options) el.setAttribute('list', 'radioBwOptions');
         }
-        // update local variable
-        window.rfChannel = v;
+        el.style = inputStyle;
+        inputs[f.key] = el;
+        addRow(f.label, el);
+    }
+    const bwList = document.createElement('datalist');
+    bwList.id = 'radioBwOptions';
+    for (const bw of LORA_BANDWIDTHS_KHZ) {
+        const o = document.createElement('option');
+        o.value = String(bw);
+        bwList.appendChild(o);
+    }
+    grid.appendChild(bwList);
+    box.appendChild(grid);
 
-        showInfoDialog('Re-plug the radio device and click \"Connect\" for the new channel to take effect.', 'RF Channel Changed');
+    const preview = document.createElement('div');
+    preview.style = 'margin-top:10px;font-size:12px;color:#9ad;word-break:break-all';
+    box.appendChild(preview);
+    const info = document.createElement('div');
+    info.style = 'margin-top:6px;font-size:12px;color:#f39c12;white-space:pre-line;min-height:16px';
+    box.appendChild(info);
+
+    const readForm = () => {
+        const out = {};
+        for (const f of RADIO_CONFIG_FIELDS) {
+            const raw = inputs[f.key].value;
+            out[f.key] = f.key === 'modulation' ? raw : (raw === '' ? NaN : Number(raw));
+        }
+        return out;
+    };
+    const refresh = () => {
+        cfg = readForm();
+        const ch = frequencyToChannel(cfg.frequencyMHz);
+        if (document.activeElement !== channelInput) channelInput.value = ch ? String(ch) : '';
+        const errors = validateRadioConfig(cfg);
+        info.textContent = errors.join('\n');
+        preview.textContent = errors.length ? '' : buildConfigString(cfg).trim();
+        return errors;
+    };
+    const fillForm = (c) => {
+        for (const f of RADIO_CONFIG_FIELDS) {
+            const v = c[f.key];
+            inputs[f.key].value = f.decimals && Number.isFinite(v) ? v.toFixed(f.decimals) : String(v);
+        }
+        refresh();
+    };
+    for (const f of RADIO_CONFIG_FIELDS) inputs[f.key].addEventListener('input', refresh);
+    channelInput.addEventListener('input', () => {
+        const ch = Number(channelInput.value);
+        if (Number.isInteger(ch) && ch >= 1 && ch <= RADIO_CHANNEL_MAX) {
+            inputs.frequencyMHz.value = channelToFrequency(ch).toFixed(1);
+            refresh();
+        }
+    });
+    fillForm(cfg);
 
-        document.body.removeChild(dlg);
+    btnLoad.onclick = () => {
+        const p = loadRadioPresets()[presetSel.value];
+        if (p) fillForm(normalizeRadioConfig(p));
+    };
+    btnDelete.onclick = () => {
+        const name = presetSel.value;
+        if (RADIO_PRESETS_BUILTIN[name]) { info.textContent = 'Built-in presets cannot be deleted'; return; }
+        const user = loadPref('radioPresets', {});
+        delete user[name];
+        savePref('radioPresets', user);
+        renderPresets();
     };
 
-    btnRow.appendChild(btnCancel);
-    btnRow.appendChild(btnOk);
-    box.appendChild(btnRow);
+    // save-as-preset row
+    const saveRow = document.createElement('div');
+    saveRow.style = 'display:flex;gap:8px;align-items:center;margin-top:10px';
+    const presetName = document.createElement('input');
+    presetName.placeholder = 'preset name';
+    presetName.style = inputStyle + ';flex:1';
+    const btnSavePreset = document.createElement('button');
+    btnSavePreset.className = 'dialog-button';
+    btnSavePreset.textContent = 'Save as preset';
+    btnSavePreset.onclick = () => {
+        const name = presetName.value.trim();
+        if (!name) { info.textContent = 'Enter a preset name'; return; }
+        if (RADIO_PRESETS_BUILTIN[name]) { info.textContent = 'That name is used by a built-in preset'; return; }
+        if (refresh().length) return;
+        const user = loadPref('radioPresets', {});
+        user[name] = cfg;
+        savePref('radioPresets', user);
+        renderPresets(name);
+        presetName.value = '';
+    };
+    saveRow.appendChild(presetName);
+    saveRow.appendChild(btnSavePreset);
+    box.appendChild(saveRow);
+
+    // import / export profiles as JSON
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const data = JSON.parse(await file.text());
+            if (!data || data.format !== 'www_radio-radio-profiles' || typeof data.profiles !== 'object') throw new Error('not a radio profiles file');
+            const user = loadPref('radioPresets', {});
+            const names = [];
+            for (const [name, raw] of Object.entries(data.profiles)) {
+                const c = normalizeRadioConfig(raw);
+                if (validateRadioConfig(c).length) continue;
+                user[RADIO_PRESETS_BUILTIN[name] ? `${name} (imported)` : name] = c;
+                names.push(name);
+            }
+            savePref('radioPresets', user);
+            renderPresets();
+            // a single profile is most likely the team setting: show it right away
+            if (names.length === 1) {
+                presetSel.value = RADIO_PRESETS_BUILTIN[names[0]] ? `${names[0]} (imported)` : names[0];
+                fillForm(normalizeRadioConfig(user[presetSel.value]));
+            }
+            info.textContent = `imported ${names.length} profile(s)`;
+        } catch (e) {
+            info.textContent = 'Import failed: ' + (e.message || e);
+        }
+    });
+    box.appendChild(fileInput);
 
-    dlg.appendChild(box);
-    document.body.appendChild(dlg);
+    const btnRow = document.createElement('div');
+    btnRow.style = 'display:flex;gap:8px;justify-content:flex-end;margin-top:12px;flex-wrap:wrap';
+    const mkBtn = (text, onclick) => {
+        const b = document.createElement('button');
+        b.className = 'dialog-button';
+        b.textContent = text;
+        b.onclick = onclick;
+        btnRow.appendChild(b);
+        return b;
+    };
+    mkBtn('Schemas...', () => showStatusSchemaDialog());
+    mkBtn('Import...', () => fileInput.click());
+    mkBtn('Export', () => {
+        if (refresh().length) return;
+        // current form first, followed by the saved presets
+        const profiles = Object.assign({ Current: cfg }, loadPref('radioPresets', {}));
+        const data = { format: 'www_radio-radio-profiles', version: 1, profiles };
+        downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `radio_profiles_${fileTimestamp()}.json`);
+    });
+    mkBtn('Cancel', close);
+    mkBtn('Save', () => {
+        if (refresh().length) return;
+        radioConfig = cfg;
+        savePref('radioConfig', cfg);
+        close();
+        showInfoDialog('Re-plug the radio device and click "Connect" for the new configuration to take effect.', 'Radio configuration changed');
+    });
+    box.appendChild(btnRow);
 
-    // focus input
-    setTimeout(() => input.focus(), 10);
+    setTimeout(() => channelInput.focus(), 10);
 }
 
 
 function setStatus(s) { if (statusEl) statusEl.textContent = 'status: ' + s; }
 
-window.appendText = function appendText(data, { prefix = '', addNewline = true } = {}) {
+// terminal log: every line goes into a ring buffer of { seq, t, text, cmd, node }
+// (cmd/node are null for plain text); the view only renders the rows on screen
+function terminalPush(text, cmd = null, node = null) {
+    const entry = { seq: terminalSeq++, t: nowMs(), text, cmd, node };
+    if (terminalCount === TERMINAL_MAX_LINES) {
+        terminalHead = (terminalHead + 1) % TERMINAL_MAX_LINES;
+        // drop evicted lines from the filtered view too
+        const oldest = terminalLines[terminalHead === 0 ? TERMINAL_MAX_LINES - 1 : terminalHead - 1].seq + 1;
+        while (terminalViewStart < terminalView.length && terminalView[terminalViewStart].seq < oldest) terminalViewStart++;
+        if (terminalViewStart > 4096) {
+            terminalView = terminalView.slice(terminalViewStart);
+            terminalViewStart = 0;
+        }
+    } else {
+        terminalCount++;
+    }
+    terminalLines[(terminalHead + terminalCount - 1) % TERMINAL_MAX_LINES] = entry;
+    if (terminalMatches(entry)) terminalView.push(entry);
+    scheduleTerminalRender();
+}
+
+function terminalMatches(e) {
+    const f = terminalFilter;
+    if (f.cmd === 'text' ? e.cmd !== null : (f.cmd !== '' && e.cmd !== Number(f.cmd))) return false;
+    if (f.nodes.length && !f.nodes.includes(e.node)) return false;
+    if (f.search && !e.text.toLowerCase().includes(f.search)) return false;
+    return true;
+}
+
+// recompute the filtered view after a filter changed
+function rebuildTerminalView() {
+    terminalView = [];
+    terminalViewStart = 0;
+    for (let i = 0; i < terminalCount; ++i) {
+        const e = terminalLines[(terminalHead + i) % TERMINAL_MAX_LINES];
+        if (terminalMatches(e)) terminalView.push(e);
+    }
+    scheduleTerminalRender();
+}
+
+function clearTerminal() {
+    terminalLines.fill(undefined);
+    terminalHead = 0;
+    terminalCount = 0;
+    terminalView = [];
+    terminalViewStart = 0;
+    terminalPausedSeq = terminalFollow ? null : terminalSeq - 1;
+    scheduleTerminalRender();
+}
+
+function scheduleTerminalRender() {
+    if (terminalRenderPending) return;
+    terminalRenderPending = true;
+    requestAnimationFrame(() => {
+        terminalRenderPending = false;
+        renderTerminal();
+    });
+}
+
+function formatTerminalTime(t) {
+    const d = new Date(t);
+    const p = (n, w = 2) => String(n).padStart(w, '0');
+    return `${p(d.getHours())}:${p(d.getMinutes())}:${p(d.getSeconds())}.${p(d.getMilliseconds(), 3)}`;
+}
+
+// number of view lines shown: all of them when following, up to the pause point otherwise
+function terminalShownCount() {
+    const n = terminalView.length - terminalViewStart;
+    if (terminalFollow || terminalPausedSeq === null) return n;
+    let lo = terminalViewStart;
+    let hi = terminalView.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (terminalView[mid].seq <= terminalPausedSeq) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo - terminalViewStart;
+}
+
+// draw only the rows inside the viewport (plus a small margin)
+function renderTerminal() {
+    if (termEl.style.display !== 'block') return;
+    const shown = terminalShownCount();
+    termSpacer.style.height = (shown * TERMINAL_ROW_HEIGHT) + 'px';
+    if (terminalFollow) termView.scrollTop = termView.scrollHeight;
+
+    const first = Math.max(0, Math.floor(termView.scrollTop / TERMINAL_ROW_HEIGHT) - 20);
+    const last = Math.min(shown, Math.ceil((termView.scrollTop + termView.clientHeight) / TERMINAL_ROW_HEIGHT) + 20);
+    const search = terminalFilter.search;
+    const rows = [];
+    for (let i = first; i < last; ++i) {
+        const e = terminalView[terminalViewStart + i];
+        let html = escapeXml(e.text);
+        if (search) {
+            // highlight on the raw text, escaping the pieces around the matches
+            const lower = e.text.toLowerCase();
+            let out = '';
+            let pos = 0;
+            for (let k = lower.indexOf(search); k >= 0; k = lower.indexOf(search, k + search.length)) {
+                out += escapeXml(e.text.slice(pos, k)) + '<mark>' + escapeXml(e.text.slice(k, k + search.length)) + '</mark>';
+                pos = k + search.length;
+            }
+            html = out + escapeXml(e.text.slice(pos));
+        }
+        // lines about a registered robot are tagged with its name and colour
+        const reg = e.node !== null ? robotRegistry.get(e.node) : null;
+        const tag = reg ? `<span style="color:${robotColor(e.node)}">[${escapeXml(robotName(e.node))}]</span> ` : '';
+        rows.push(`<span class="terminal-time">${formatTerminalTime(e.t)}</span> ${tag}${html}`);
+    }
+    termContent.style.top = (first * TERMINAL_ROW_HEIGHT) + 'px';
+    termContent.innerHTML = rows.join('\n');
+
+    const pending = terminalView.length - terminalViewStart - shown;
+    termInfo.textContent = `${shown} / ${terminalCount} lines` + (pending > 0 ? ` (+${pending} new)` : '');
+}
+
+function setTerminalFollow(follow) {
+    terminalFollow = follow;
+    terminalPausedSeq = follow ? null : terminalSeq - 1;
+    termFollowBtn.textContent = follow ? 'Pause' : 'Follow';
+    scheduleTerminalRender();
+}
+
+// save the lines of the current view (all buffered lines when no filter is set)
+function saveTerminal() {
+    const lines = [];
+    for (let i = terminalViewStart; i < terminalView.length; ++i) {
+        const e = terminalView[i];
+        lines.push(`${formatTerminalTime(e.t)} ${e.text}`);
+    }
+    const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+    downloadBlob(blob, `terminal_${fileTimestamp()}.txt`);
+}
+
+// terminal toolbar: command type filter (filled from CMD_NAMES), node ids, search,
+// pause/follow, save and clear
+function initTerminalControls() {
+    termCmdSel.innerHTML = '<option value="">all commands</option><option value="text">text only</option>' +
+        Object.entries(CMD_NAMES).map(([cmd, name]) => `<option value="${cmd}">${name}</option>`).join('');
+    termCmdSel.addEventListener('change', () => {
+        terminalFilter.cmd = termCmdSel.value;
+        rebuildTerminalView();
+    });
+    termNodeInput.addEventListener('input', () => {
+        terminalFilter.nodes = termNodeInput.value.split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isInteger);
+        rebuildTerminalView();
+    });
+    termSearchInput.addEventListener('input', () => {
+        terminalFilter.search = termSearchInput.value.toLowerCase();
+        rebuildTerminalView();
+    });
+    termFollowBtn.addEventListener('click', () => setTerminalFollow(!terminalFollow));
+    termSaveBtn.addEventListener('click', saveTerminal);
+    termClearBtn.addEventListener('click', clearTerminal);
+    termView.addEventListener('scroll', () => {
+        // scrolling up stops following; the Follow button resumes it
+        const atBottom = termView.scrollTop + termView.clientHeight >= termView.scrollHeight - TERMINAL_ROW_HEIGHT;
+        if (terminalFollow && !atBottom) setTerminalFollow(false);
+        else scheduleTerminalRender();
+    });
+}
+document.addEventListener('DOMContentLoaded', initTerminalControls);
+
+// command console under the terminal: text mode sends '#...' lines to the module,
+// hex mode sends raw bytes, frame mode wraps 'cmd payload...' bytes with encodeFrame
+const CONSOLE_HISTORY_MAX = 100;
+const consoleHistory = loadPref('consoleHistory', []);
+let consoleHistoryPos = consoleHistory.length;
+
+// '0xFF 05 0a', 'ff050a', 'FF,05,0A' -> bytes
+function parseHexBytes(text) {
+    const parts = text.replace(/0x/gi, ' ').split(/[\s,;:]+/).filter(Boolean);
+    // one run of digits is read as pairs: an odd count would leave a byte half-typed
+    if (parts.length === 1 && parts[0].length > 2 && parts[0].length % 2) throw new Error(`odd number of hex digits in "${parts[0]}"`);
+    const digits = parts.length === 1 ? parts[0].match(/.{1,2}/g) : parts;
+    const bytes = digits.map(h => {
+        if (!/^[0-9a-f]{1,2}$/i.test(h)) throw new Error(`invalid hex byte "${h}"`);
+        return parseInt(h, 16);
+    });
+    return Uint8Array.from(bytes);
+}
+
+function hexString(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+}
+
+// known module commands first, then the history (newest first)
+function consoleCompletions() {
+    const list = [RUN_STR.trim(), buildConfigString(radioConfig).trim()];
+    for (let i = consoleHistory.length - 1; i >= 0; --i) {
+        const h = consoleHistory[i];
+        if (h.mode === 'text' && !list.includes(h.text)) list.push(h.text);
+    }
+    return list;
+}
+
+function refreshConsoleCompletions() {
+    consoleCommandsList.innerHTML = '';
+    for (const c of consoleCompletions()) {
+        const opt = document.createElement('option');
+        opt.value = c;
+        consoleCommandsList.appendChild(opt);
+    }
+}
+
+async function sendConsoleLine() {
+    const mode = consoleModeSel.value;
+    const text = consoleInput.value.trim();
+    if (!text) return;
+    let bytes;
+    let logOpts = {};
+    try {
+        if (mode === 'text') {
+            bytes = textEncoder.encode(text + '\n');
+        } else {
+            const hex = parseHexBytes(text);
+            if (!hex.length) throw new Error('no bytes');
+            if (mode === 'frame') {
+                bytes = encodeFrame(hex[0], hex.slice(1));
+                logOpts = { cmd: hex[0], node: hex.length >= 3 ? (hex[1] << 8) | hex[2] : null };
+            } else {
+                bytes = hex;
+            }
+        }
+    } catch (e) {
+        setStatus('console: ' + (e.message || e));
+        return;
+    }
+    if (!(await writeBytes(bytes))) return;
+    window.appendText('>>> ' + (mode === 'text' ? text : hexString(bytes)), logOpts);
+
+    const last = consoleHistory[consoleHistory.length - 1];
+    if (!last || last.mode !== mode || last.text !== text) {
+        consoleHistory.push({ mode, text });
+        if (consoleHistory.length > CONSOLE_HISTORY_MAX) consoleHistory.splice(0, consoleHistory.length - CONSOLE_HISTORY_MAX);
+        savePref('consoleHistory', consoleHistory);
+        refreshConsoleCompletions();
+    }
+    consoleHistoryPos = consoleHistory.length;
+    consoleInput.value = '';
+}
+
+// Enter sends, Up/Down walk the history, Tab completes a known command
+function onConsoleKey(ev) {
+    if (ev.key === 'Enter') {
+        ev.preventDefault();
+        sendConsoleLine();
+    } else if (ev.key === 'ArrowUp' || ev.key === 'ArrowDown') {
+        ev.preventDefault();
+        consoleHistoryPos = Math.max(0, Math.min(consoleHistory.length, consoleHistoryPos + (ev.key === 'ArrowUp' ? -1 : 1)));
+        const h = consoleHistory[consoleHistoryPos];
+        consoleInput.value = h ? h.text : '';
+        if (h) setConsoleMode(h.mode);
+    } else if (ev.key === 'Tab' && consoleModeSel.value === 'text') {
+        const prefix = consoleInput.value.toUpperCase();
+        const match = consoleCompletions().find(c => c.toUpperCase().startsWith(prefix) && c.length > prefix.length);
+        if (match) {
+            ev.preventDefault();
+            consoleInput.value = match;
+        }
+    }
+}
+
+function setConsoleMode(mode) {
+    consoleModeSel.value = mode;
+    // suggestions only make sense for text commands
+    if (mode === 'text') consoleInput.setAttribute('list', 'consoleCommands');
+    else consoleInput.removeAttribute('list');
+    consoleInput.placeholder = { text: '#RUN', hex: 'FF 04 03 00 02 00 05', frame: '03 00 02  (cmd payload...)' }[mode];
+}
+
+function initCommandConsole() {
+    refreshConsoleCompletions();
+    setConsoleMode('text');
+    consoleModeSel.addEventListener('change', () => setConsoleMode(consoleModeSel.value));
+    consoleInput.addEventListener('keydown', onConsoleKey);
+    consoleSendBtn.addEventListener('click', sendConsoleLine);
+}
+document.addEventListener('DOMContentLoaded', initCommandConsole);
+
+window.appendText = function appendText(data, { prefix = '', cmd = null, node = null } = {}) {
     try {
         let s;
         if (data instanceof ArrayBuffer) s = textDecoder.decode(new Uint8Array(data));
@@ -161,20 +932,17 @@ window.appendText = function appendText(data, { prefix = '', addNewline = true }
         // split incoming text into lines and push each line separately
         const lines = s.split(/\r?\n/);
         for (let i = 0; i < lines.length; ++i) {
-            // avoid adding an extra empty line from a trailing newline unless addNewline requested
-            if (lines[i] === '' && i === lines.length - 1 && !addNewline) continue;
-            terminalLines.push(prefix + lines[i]);
+            // a trailing newline does not start another line
+            if (lines[i] === '' && i === lines.length - 1 && i > 0) continue;
+            terminalPush(prefix + lines[i], cmd, node);
         }
-        while (terminalLines.length > TERMINAL_MAX_LINES) terminalLines.shift();
-        termContent.textContent = terminalLines.join('\n') + (addNewline ? '\n' : '');
-        termContent.scrollTop = termContent.scrollHeight;
     } catch (e) {
         console.error('appendText error', e);
     }
 };
 
 // append bytes (ArrayBuffer / Uint8Array) to terminal in HEX
-window.appendHex = function appendHex(data, { prefix = '', spacer = ' ', addNewline = true } = {}) {
+window.appendHex = function appendHex(data, { prefix = '', spacer = ' ', cmd = null, node = null } = {}) {
     try {
         let bytes;
         if (data instanceof ArrayBuffer) bytes = new Uint8Array(data);
@@ -182,620 +950,2677 @@ window.appendHex = function appendHex(data, { prefix = '', spacer = ' ', addNewl
         else if (Array.isArray(data)) bytes = Uint8Array.from(data);
         else {
             // fallback: treat as string line
-            const s = String(data);
-            terminalLines.push(prefix + s);
-            while (terminalLines.length > TERMINAL_MAX_LINES) terminalLines.shift();
-            termContent.textContent = terminalLines.join('\n') + (addNewline ? '\n' : '');
-            termContent.scrollTop = termContent.scrollHeight;
+            terminalPush(prefix + String(data), cmd, node);
             return;
         }
         const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(spacer);
-        terminalLines.push(prefix + hex);
-        while (terminalLines.length > TERMINAL_MAX_LINES) terminalLines.shift();
-        termContent.textContent = terminalLines.join('\n') + (addNewline ? '\n' : '');
-        termContent.scrollTop = termContent.scrollHeight;
+        terminalPush(prefix + hex, cmd, node);
     } catch (e) {
         console.error('appendHex error', e);
     }
 };
 
 function showTab(name) {
-    if (name === 'map') {
-        tabMap.setAttribute('aria-selected', 'true'); tabMap.classList.add('active');
-        tabTerm.setAttribute('aria-selected', 'false'); tabTerm.classList.remove('active');
-        mapEl.style.display = 'block';
-        termEl.style.display = 'none';
-        // if using Leaflet, invalidate size when showing map
-        if (window.map && typeof window.map.invalidateSize === 'function') {
-            setTimeout(() => window.map.invalidateSize(), 200);
-        }
-    } else {
-        tabMap.setAttribute('aria-selected', 'false'); tabMap.classList.remove('active');
-        tabTerm.setAttribute('aria-selected', 'true'); tabTerm.classList.add('active');
-        mapEl.style.display = 'none';
-        termEl.style.display = 'block';
+    for (const [key, v] of Object.entries(views)) {
+        const selected = key === name;
+        v.tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+        v.tab.classList.toggle('active', selected);
+        v.panel.style.display = selected ? 'block' : 'none';
+    }
+    // if using Leaflet, invalidate size when showing map
+    if (name === 'map' && window.map && typeof window.map.invalidateSize === 'function') {
+        setTimeout(() => window.map.invalidateSize(), 200);
     }
+    if (name === 'term') renderTerminal();
+    if (name === 'link') renderLinkPanel();
+    if (name === 'sep') renderSeparationPanel();
+    if (name === 'tdma') renderTdmaPanel();
+    if (name === 'sync') renderSyncPanel();
+    if (name === 'charts') renderChartsPanel();
 }
 
-async function writeString(s) {
-    if (!writer) return;
-    try {
-        console.log("Sending:", s);
-        await writer.write(textEncoder.encode(s));
-    } catch (e) {
-        console.warn('write error', e);
-        setStatus('write error: ' + (e.message || e));
+// render link counters into the Link panel (only while it is visible)
+function renderLinkPanel() {
+    if (!linkContent || linkEl.style.display !== 'block') return;
+    const now = nowMs();
+    const elapsedS = linkStats.startedAt ? Math.max(1, (now - linkStats.startedAt) / 1000) : 0;
+    const rate = n => elapsedS ? (n / elapsedS).toFixed(2) : '0.00';
+    const ago = t => t ? ((now - t) / 1000).toFixed(1) + ' s ago' : 'never';
+
+    const validTotal = Object.values(linkStats.frames).reduce((a, b) => a + b, 0);
+    const attempted = validTotal + linkStats.checksumErrors;
+    const errRatio = attempted ? linkStats.checksumErrors / attempted : 0;
+    const discardRatio = linkStats.rxBytes ? linkStats.discardedBytes / linkStats.rxBytes : 0;
+
+    // rough verdict: corrupted frames point at the radio link, not at the robots
+    let verdict = 'no data';
+    let verdictColor = '#9ad';
+    if (attempted) {
+        if (errRatio < 0.01 && discardRatio < 0.02) { verdict = 'good'; verdictColor = '#2ecc71'; }
+        else if (errRatio < 0.05 && discardRatio < 0.10) { verdict = 'degraded'; verdictColor = '#f39c12'; }
+        else { verdict = 'bad'; verdictColor = '#e74c3c'; }
     }
+
+    // known commands first, then anything unexpected that still passed the checksum
+    const cmds = Object.keys(CMD_NAMES).map(Number);
+    for (const k of Object.keys(linkStats.frames).map(Number)) if (!cmds.includes(k)) cmds.push(k);
+    const cmdRows = cmds.map(cmd => {
+        const n = linkStats.frames[cmd] || 0;
+        const hex = '0x' + cmd.toString(16).padStart(2, '0').toUpperCase();
+        return `<tr><td>${hex}</td><td>${CMD_NAMES[cmd] || 'UNKNOWN'}</td><td>${n}</td><td>${rate(n)}</td></tr>`;
+    }).join('');
+
+    linkContent.innerHTML = `
+     <div style="display:grid; grid-template-columns:180px 1fr; gap:3px; margin-bottom:12px;">
+       <div style="text-align:right;padding-right:6px;">link:</div><div style="color:${verdictColor};font-weight:700">${verdict}</div>
+       <div style="text-align:right;padding-right:6px;">received:</div><div>${linkStats.rxBytes} bytes (${rate(linkStats.rxBytes)} B/s)</div>
+       <div style="text-align:right;padding-right:6px;">valid frames:</div><div>${validTotal} (${rate(validTotal)} /s)</div>
+       <div style="text-align:right;padding-right:6px;">checksum failures:</div><div>${linkStats.checksumErrors} (${(errRatio * 100).toFixed(1)} %)</div>
+       <div style="text-align:right;padding-right:6px;">duplicates dropped:</div><div>${linkStats.duplicates}</div>
+       <div style="text-align:right;padding-right:6px;">discarded bytes:</div><div>${linkStats.discardedBytes} (${(discardRatio * 100).toFixed(1)} %)</div>
+       <div style="text-align:right;padding-right:6px;">oversized lengths:</div><div>${linkStats.oversizedLengths}</div>
+       <div style="text-align:right;padding-right:6px;">last byte:</div><div>${ago(linkStats.lastRxAt)}</div>
+       <div style="text-align:right;padding-right:6px;">last frame:</div><div>${ago(linkStats.lastFrameAt)}</div>
+     </div>
+     <table class="link-table">
+       <thead><tr><th>cmd</th><th>name</th><th>frames</th><th>per s</th></tr></thead>
+       <tbody>${cmdRows}</tbody>
+     </table>
+     ${rxSources.size > 1 ? `<table class="link-table" style="margin-top:12px">
+       <thead><tr><th>receiver</th><th>frames</th><th>per s</th><th>checksum failures</th><th>last frame</th></tr></thead>
+       <tbody>${[...rxSources.values()].map(src => `<tr><td>${escapeXml(src.label)}</td><td>${src.frames}</td><td>${rate(src.frames)}</td><td>${src.checksumErrors}</td><td>${ago(src.lastFrameAt)}</td></tr>`).join('')}</tbody>
+     </table>` : ''}
+   `;
 }
 
-// read from the port until the supplied substring is observed (returns accumulated text)
-// releases the temporary reader lock before returning
-async function readUntil(substring, timeoutMs = 5000) {
-    const r = port.readable.getReader();
-    let acc = '';
-    const deadline = timeoutMs ? (Date.now() + timeoutMs) : Infinity;
-    try {
-        while (Date.now() < deadline) {
-            const { value, done } = await r.read();
-            if (done) break;
-            if (value && value.length) {
-                const chunk = textDecoder.decode(value, { stream: true });
-                acc += chunk;
-                if (acc.includes(substring)) {
-                    return acc;
+// pairwise robot separation: distance, bearing and closing speed between all
+// robots with a position; pairs closer than minM are joined by a line on the map
+const separationSettings = Object.assign({ minM: 2, speedFrame: 'body' }, loadPref('separation', {}));
+const separationLines = new Map(); // 'a-b' (a < b) -> L.Polyline while the pair is too close
+const EARTH_RADIUS_M = 6371008.8;
+
+sepMinInput.value = String(separationSettings.minM);
+sepMinInput.addEventListener('change', () => {
+    const v = Number(sepMinInput.value);
+    if (!Number.isFinite(v) || v < 0) { sepMinInput.value = String(separationSettings.minM); return; }
+    separationSettings.minM = v;
+    savePref('separation', separationSettings);
+    checkSeparation();
+    renderSeparationPanel();
+});
+sepFrameSel.value = separationSettings.speedFrame;
+sepFrameSel.addEventListener('change', () => {
+    separationSettings.speedFrame = sepFrameSel.value;
+    savePref('separation', separationSettings);
+    renderSeparationPanel();
+});
+
+// east/north offset in meters from a to b (equirectangular, fine at robot distances)
+function enuOffset(a, b) {
+    const lat0 = a.latitude / RAD2DEG;
+    return {
+        e: (b.longitude - a.longitude) / RAD2DEG * Math.cos(lat0) * EARTH_RADIUS_M,
+        n: (b.latitude - a.latitude) / RAD2DEG * EARTH_RADIUS_M
+    };
+}
+
+// east/north velocity in m/s; body frame speeds (x forward, y left) are rotated by the heading
+function worldVelocity(s) {
+    const vx = Number(s.speed_x) || 0;
+    const vy = Number(s.speed_y) || 0;
+    if (separationSettings.speedFrame === 'world') return { e: vx, n: vy };
+    const h = Number(s.heading) || 0;
+    return { e: vx * Math.cos(h) - vy * Math.sin(h), n: vx * Math.sin(h) + vy * Math.cos(h) };
+}
+
+// distance (m), compass bearing a -> b (deg) and closing speed (m/s, positive = approaching)
+function pairGeometry(a, b) {
+    const d = enuOffset(a, b);
+    const dist = Math.hypot(d.e, d.n);
+    const bearing = (Math.atan2(d.e, d.n) * RAD2DEG + 360) % 360;
+    const va = worldVelocity(a);
+    const vb = worldVelocity(b);
+    const closing = dist > 0 ? -((vb.e - va.e) * d.e + (vb.n - va.n) * d.n) / dist : 0;
+    return { dist, bearing, closing };
+}
+
+function hasPosition(s) {
+    return Number.isFinite(s.latitude) && Number.isFinite(s.longitude);
+}
+
+// compare every pair with the minimum separation; a new breach draws a line and raises an alarm
+function checkSeparation() {
+    const robots = statusArray.filter(s => hasPosition(s) && s._state !== 'lost');
+    const breached = new Set();
+    for (let i = 0; i < robots.length; ++i) {
+        for (let j = i + 1; j < robots.length; ++j) {
+            const [a, b] = Number(robots[i].id) < Number(robots[j].id) ? [robots[i], robots[j]] : [robots[j], robots[i]];
+            const g = pairGeometry(a, b);
+            if (g.dist >= separationSettings.minM) continue;
+            const key = `${a.id}-${b.id}`;
+            const latlngs = [[a.latitude, a.longitude], [b.latitude, b.longitude]];
+            const text = `${robotName(a.id)} - ${robotName(b.id)}: ${g.dist.toFixed(2)} m`;
+            breached.add(key);
+            if (separationLines.has(key)) {
+                const line = separationLines.get(key);
+                if (line) {
+                    line.setLatLngs(latlngs);
+                    line.setTooltipContent(escapeXml(text));
                 }
-                // keep the accumulator bounded
-                if (acc.length > 20000) acc = acc.slice(-4000);
+                continue;
             }
+            const line = map ? L.polyline(latlngs, { color: '#ff3b3b', weight: 3, dashArray: '6 4' }).bindTooltip(escapeXml(text), { sticky: true }).addTo(map) : null;
+            separationLines.set(key, line);
+            raiseMapAlert(Number(a.id), `separation ${text} (min ${separationSettings.minM} m)`);
         }
-        throw new Error('readUntil timeout or stream closed');
-    } finally {
-        try { r.releaseLock(); } catch (e) { /* ignore */ }
+    }
+    for (const [key, line] of separationLines) {
+        if (breached.has(key)) continue;
+        if (line && map) map.removeLayer(line);
+        separationLines.delete(key);
     }
 }
 
-/**
- * Compute simple 16-bit checksum as sum of bytes modulo 65536.
- * Accepts Array<number> or Uint8Array.
- */
-function computeChecksum(bytes) {
-    const arr = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
-    let sum = 0;
-    for (let i = 0; i < arr.length; ++i) {
-        sum = (sum + arr[i]) & 0xFFFF;
+function clearSeparationLines() {
+    for (const line of separationLines.values()) {
+        try { line && map && map.removeLayer(line); } catch (e) { /* ignore */ }
     }
-    return sum;
+    separationLines.clear();
 }
 
-// NEW: message-oriented read loop
-// Message format: 0xFF, <len:1>, <cmd:1>, <payload: len - 3>, <checksum:2>
-// Only append a message to console if cmd === 0x01 and checksum matches
-async function readLoop() {
-    //console.log("Starting read loop...");
-    const buffer = []; // accumulate incoming bytes (numbers 0-255)
-    try {
-        while (keepReading && reader) {
-            //console.log("Reading chunk...");
-            const { value, done } = await reader.read();
-            //console.log("Read chunk:", value);
-            if (done) break;
-            if (!value || !value.length) continue;
-
-            // append incoming bytes to buffer
-            for (const b of value) buffer.push(b);
-
-            // parse messages while possible
-            while (true) {
-                // find start byte 0xFF
-                const startIdx = buffer.indexOf(0xFF);
-                if (startIdx === -1) {
-                    // no start byte, discard old data to avoid unbounded growth
-                    if (buffer.length > 1024) buffer.splice(0, buffer.length - 512);
-                    break;
-                }
+// render the separation matrix into its panel (only while it is visible)
+function renderSeparationPanel() {
+    if (!sepContent || sepEl.style.display !== 'block') return;
+    const robots = statusArray.filter(hasPosition).sort((a, b) => Number(a.id) - Number(b.id));
+    if (robots.length < 2) {
+        sepContent.innerHTML = '<div style="color:#9ad">Waiting for at least two robots with a position</div>';
+        return;
+    }
+    const minM = separationSettings.minM;
+    const head = robots.map(s => `<th>${escapeXml(robotName(s.id))}</th>`).join('');
+    const rows = robots.map(a => {
+        const cells = robots.map(b => {
+            if (a === b) return '<td class="sep-self">-</td>';
+            const g = pairGeometry(a, b);
+            // red: below the minimum; orange: closing in on it within 5 s
+            let cls = '';
+            if (g.dist < minM) cls = 'sep-breach';
+            else if (g.closing > 0 && (g.dist - minM) / g.closing < 5) cls = 'sep-warn';
+            const closing = (g.closing >= 0 ? '+' : '') + g.closing.toFixed(2);
+            return `<td class="${cls}">${g.dist.toFixed(2)} m<br/>${g.bearing.toFixed(0)}° · ${closing} m/s</td>`;
+        }).join('');
+        const dim = a._state === 'lost' || a._state === 'stale' ? ' style="opacity:0.5"' : '';
+        return `<tr${dim}><th>${escapeXml(robotName(a.id))}</th>${cells}</tr>`;
+    }).join('');
+    sepContent.innerHTML = `
+     <div style="color:#9ad;margin-bottom:8px">row → column: distance, compass bearing, closing speed (+ = approaching)</div>
+     <table class="link-table sep-table">
+       <thead><tr><th></th>${head}</tr></thead>
+       <tbody>${rows}</tbody>
+     </table>
+   `;
+}
 
-                // ensure we have at least start + length byte
-                if (buffer.length < startIdx + 2) break;
-
-                const len = buffer[startIdx + 1]; // length byte
-                const totalNeeded = startIdx + 2 + len;
-                if (buffer.length < totalNeeded) break; // wait for full message
-
-                // extract full payload (len bytes)
-                const msgData = buffer.slice(startIdx + 2, startIdx + 2 + len);
-
-                const cmd = msgData[0]; // command byte
-
-                // payload must be at least 3 bytes: marker + checksum(2)
-                if (msgData.length >= 3) {
-                    // data to checksum = msgData[0 .. len-3] (i.e. excluding last two checksum bytes)
-                    const payloadSegment = msgData.slice(0, msgData.length - 2);
-                    const chkHigh = msgData[msgData.length - 2];
-                    const chkLow = msgData[msgData.length - 1];
-                    const expected = (chkHigh << 8) | chkLow;
-                    const actual = computeChecksum(payloadSegment);
-
-                    if (actual === expected) {
-                        //window.appendHex(msgData, { prefix: '' });
-                        switch (cmd) {
-                            case 0x03://Status request message
-                                if (termEl.style.display === 'block') {
-                                    const node_id = (msgData[1] << 8) | msgData[2];
-                                    window.appendText(`STATUS REQUEST ${node_id}\t--->`, { prefix: '' });
-                                }
-                                break;
-                            case 0x01://Status message
-                                // payloadSegment[0] == 0x01 (marker). The C struct bytes start at payloadSegment[1].
-                                // pass only the struct bytes to parseMessage
-                                const structBytes = Uint8Array.from(payloadSegment.slice(1));
-                                const status = parseMessage(structBytes, 0);
-                                if (status) {
-                                    updateStatusArray(status);
-                                }
-
-                                if (termEl.style.display === 'block') {
-                                    window.appendText(`                             <--- ${status.id} STATUS`, { prefix: '' });
-                                }
-                                break;
-                            case 0x04://Status not available response 
-                                if (termEl.style.display === 'block') {
-                                    const node_id = (msgData[1] << 8) | msgData[2];
-                                    window.appendText(`                             <--- ${node_id} STATUS NOT AVAILABLE`, { prefix: '' });
-                                }
-                                break;
-                            case 0x05://Sync transfer request 
-                                if (termEl.style.display === 'block') {
-                                    const node_id = (msgData[1] << 8) | msgData[2];
-                                    window.appendText(`SYNC TRANSF REQ  ${node_id}\t--->`, { prefix: '' });
-                                }
-                                break;
-                            case 0x02://Synchronization message
-                                if (termEl.style.display === 'block') {
-                                    const sync_id = (msgData[1] << 8) | msgData[2];
-                                    window.appendText(`                             <--- ${sync_id} SYNC`, { prefix: '' });
-                                }
-                                break;
-                            case 0x06://Sync transfer ack 
-                                if (termEl.style.display === 'block') {
-                                    window.appendText(`                             <--- SYNC TRANSF ACK`, { prefix: '' });
-                                }
-                                break;
-                            case 0x07://Aux data request 
-                                if (termEl.style.display === 'block') {
-                                    const node_id = (msgData[1] << 8) | msgData[2];
-                                    window.appendText(`AUX DATA REQUEST ${node_id}\t--->`, { prefix: '' });
-                                }
-                                break;
-                            case 0x08://Aux data  ack 
-                                if (termEl.style.display === 'block') {
-                                    window.appendText(`                             <--- AUX DATA ACK`, { prefix: '' });
-                                }
-                                break;
-                            case 0x08://Aux data  
-                                if (termEl.style.display === 'block') {
-                                    window.appendText(`                             <--- AUX DATA`, { prefix: '' });
-                                }
-                                break;
-                            case 0x0A://Aux packet request data  
-                                if (termEl.style.display === 'block') {
-                                    const node_id = (msgData[1] << 8) | msgData[2];
-                                    window.appendText(`AUX DATA REQ ${node_id} PCK ${msgData[5]}\t--->`, { prefix: '' });
-                                }
-                                break;
-                        }
-                    } else {
-                        const actualHex = '0x' + actual.toString(16).padStart(4, '0').toUpperCase();
-                        const expectedHex = '0x' + expected.toString(16).padStart(4, '0').toUpperCase();
-                        console.warn(`Checksum mismatch for message id=${msgData[1]}: actual=${actualHex} expected=${expectedHex}`);
-                    }
-                }
+// TDMA timeline: every 0x02 SYNC opens a cycle; requests heard in it become slots
+// that are closed by the matching answer for the same node. Frame times are the
+// arrival times of the USB/WebSocket chunks that carried them, so frames of one chunk
+// share a time and every frame is late by the chunk latency. An answering STATUS that
+// follows the cycle's SYNC is placed at its own time_offset_ms from that SYNC instead;
+// other comparisons allow toleranceMs (at least one chunk period) of slack.
+const TDMA_MAX_CYCLES = 200;
+const TDMA_ROWS = 40;
+const TDMA_ANSWERS = { 0x03: [0x01, 0x04], 0x05: [0x06], 0x07: [0x08], 0x0A: [0x09] }; // request -> answer cmds
+const tdmaSettings = Object.assign({ slotMs: 20, toleranceMs: 20 }, loadPref('tdma', {}));
+// cycles: { syncId, t0, end, lastAt, slots: [{ cmd, node, t, answer, answerAt, answerRx, robotTime }],
+//           others: [{ cmd, node, t }] }
+// answerAt is the answer time drawn (robot time for STATUS when known), answerRx its chunk arrival
+const tdmaCycles = [];
+
+tdmaSlotInput.value = String(tdmaSettings.slotMs);
+tdmaSlotInput.addEventListener('change', () => {
+    const v = Number(tdmaSlotInput.value);
+    if (!(v > 0)) { tdmaSlotInput.value = String(tdmaSettings.slotMs); return; }
+    tdmaSettings.slotMs = v;
+    savePref('tdma', tdmaSettings);
+    renderTdmaPanel();
+});
+tdmaToleranceInput.value = String(tdmaSettings.toleranceMs);
+tdmaToleranceInput.addEventListener('change', () => {
+    const v = Number(tdmaToleranceInput.value);
+    if (!(v >= 0)) { tdmaToleranceInput.value = String(tdmaSettings.toleranceMs); return; }
+    tdmaSettings.toleranceMs = v;
+    savePref('tdma', tdmaSettings);
+    renderTdmaPanel();
+});
+tdmaClearBtn.addEventListener('click', () => {
+    tdmaCycles.length = 0;
+    renderTdmaPanel();
+});
 
-                // remove consumed bytes up to end of this message
-                buffer.splice(0, totalNeeded);
-                // continue parsing any further messages in buffer
-            } // end inner parse loop
+// status: the parsed STATUS of a 0x01 frame (null otherwise)
+function recordTdmaFrame(cmd, node, t, status = null) {
+    if (cmd === 0x02) {
+        const prev = tdmaCycles[tdmaCycles.length - 1];
+        if (prev) prev.end = t;
+        tdmaCycles.push({ syncId: node, t0: t, end: null, lastAt: t, slots: [], others: [] });
+        if (tdmaCycles.length > TDMA_MAX_CYCLES) tdmaCycles.shift();
+        return;
+    }
+    // nothing to place before the first SYNC
+    const cycle = tdmaCycles[tdmaCycles.length - 1];
+    if (!cycle) return;
+    cycle.lastAt = t;
+    if (TDMA_ANSWERS[cmd]) {
+        cycle.slots.push({ cmd, node, t, answer: null, answerAt: null, answerRx: null, robotTime: false });
+        return;
+    }
+    const robotTime = !!status && status.sync_id === cycle.syncId && Number.isFinite(status.time_offset_ms);
+    // an answer closes the latest open request of the matching kind for that node
+    for (let i = cycle.slots.length - 1; i >= 0; --i) {
+        const s = cycle.slots[i];
+        if (s.answer === null && s.node === node && TDMA_ANSWERS[s.cmd].includes(cmd)) {
+            s.answer = cmd;
+            s.answerAt = robotTime ? cycle.t0 + status.time_offset_ms : t;
+            s.answerRx = t;
+            s.robotTime = robotTime;
+            return;
         }
-    } catch (err) {
-        console.error('Read error', err);
-        setStatus('read error: ' + (err.message || err));
-    } finally {
-        try { reader && reader.releaseLock(); } catch (e) { /* ignore */ }
     }
+    // unsolicited traffic (aux data stream, status without request) is shown as ticks
+    cycle.others.push({ cmd, node, t });
+}
+
+// 'ok' | 'na' (not available) | 'overrun' (late or past the next request) | 'unanswered' | 'open'
+function tdmaSlotState(cycle, i, now) {
+    const s = cycle.slots[i];
+    const next = cycle.slots[i + 1];
+    const tol = tdmaSettings.toleranceMs;
+    if (s.answerAt === null) {
+        const closed = cycle.end !== null || now - s.t > tdmaSettings.slotMs + tol;
+        return closed ? 'unanswered' : 'open';
+    }
+    // frames that arrived in the same chunk as the next request cannot be ordered
+    const pastNext = next && next.t !== s.answerRx && s.answerAt > next.t + tol;
+    if (s.answerAt - s.t > tdmaSettings.slotMs + tol || pastNext) return 'overrun';
+    return s.answer === 0x04 ? 'na' : 'ok';
 }
 
-async function connect() {
-    if (!('serial' in navigator)) {
-        setStatus('Web Serial not supported. Enable experimental features or use Chromium');
+// render the latest cycles as rows, newest first (only while the panel is visible)
+function renderTdmaPanel() {
+    if (!tdmaContent || tdmaEl.style.display !== 'block') return;
+    if (!tdmaCycles.length) {
+        tdmaContent.innerHTML = '<div style="color:#9ad">Waiting for a SYNC (0x02) frame</div>';
         return;
     }
-    try {
-        console.log("Connecting using RF channel:", window.rfChannel);
-        const baudRate = Number(baudInput.value) || 921600;
+    const now = nowMs();
+    const cycles = tdmaCycles.slice(-TDMA_ROWS).reverse();
+    // the open cycle extends to its latest frame, not to the current time
+    const spanOf = c => (c.end !== null ? c.end : c.lastAt) - c.t0;
+    const scaleMs = Math.max(tdmaSettings.slotMs * 2, ...cycles.map(spanOf));
+    const pct = ms => Math.max(0, Math.min(100, ms / scaleMs * 100));
+
+    let requests = 0;
+    let unanswered = 0;
+    let overruns = 0;
+    const rows = cycles.map(c => {
+        const items = [];
+        let rowUnanswered = 0;
+        c.slots.forEach((s, i) => {
+            const state = tdmaSlotState(c, i, now);
+            requests++;
+            if (state === 'unanswered') { unanswered++; rowUnanswered++; }
+            if (state === 'overrun') overruns++;
+            const dur = s.answerAt !== null ? Math.max(0, s.answerAt - s.t) : Math.min(tdmaSettings.slotMs, Math.max(0, now - s.t));
+            const title = `${CMD_NAMES[s.cmd]} ${s.node} @ +${s.t - c.t0} ms` +
+                (s.answerAt !== null ? ` -> ${CMD_NAMES[s.answer]} +${s.answerAt - c.t0} ms${s.robotTime ? ' (robot time)' : ''} (${dur} ms)` : ' -> no answer');
+            items.push(`<div class="tdma-slot tdma-${state}" style="left:${pct(s.t - c.t0)}%;width:${pct(dur)}%" title="${escapeXml(title)}">${s.node}</div>`);
+        });
+        for (const o of c.others) {
+            const title = `${CMD_NAMES[o.cmd] || 'cmd ' + o.cmd} ${o.node ?? ''} @ +${o.t - c.t0} ms`;
+            items.push(`<div class="tdma-tick" style="left:${pct(o.t - c.t0)}%" title="${escapeXml(title)}"></div>`);
+        }
+        const span = spanOf(c);
+        const label = `sync ${c.syncId} · ${span} ms` + (rowUnanswered ? ` · <span style="color:#e74c3c">${rowUnanswered} missed</span>` : '');
+        return `<div class="tdma-row"><div class="tdma-label">${label}</div><div class="tdma-track">${items.join('')}</div></div>`;
+    }).join('');
+
+    // time axis in ms from the SYNC frame
+    const mag = Math.pow(10, Math.floor(Math.log10(scaleMs / 10)));
+    const step = [1, 2, 5, 10].map(m => m * mag).find(v => scaleMs / v <= 10);
+    let ticks = '';
+    for (let ms = 0; ms <= scaleMs; ms += step) ticks += `<span style="left:${pct(ms)}%">${ms}</span>`;
+
+    const closed = tdmaCycles.filter(c => c.end !== null);
+    const meanPeriod = closed.length ? closed.reduce((a, c) => a + c.end - c.t0, 0) / closed.length : 0;
+    tdmaContent.innerHTML = `
+     <div style="color:#9ad;margin-bottom:8px">
+       ${tdmaCycles.length} cycles · mean period ${meanPeriod.toFixed(1)} ms · last ${cycles.length} rows: ${requests} requests,
+       <span style="color:#e74c3c">${unanswered} unanswered</span>, <span style="color:#f39c12">${overruns} overruns</span>
+       · ms from the SYNC arrival, STATUS answers at the robot's offset · tolerance ${tdmaSettings.toleranceMs} ms
+     </div>
+     <div class="tdma-row"><div class="tdma-label">ms from SYNC</div><div class="tdma-track tdma-axis">${ticks}</div></div>
+     ${rows}
+   `;
+}
 
-        // user selects port
-        port = await navigator.serial.requestPort();
+// clock sync monitor. SYNC frames are remembered with their arrival time; a status
+// names the sync it follows (sync_id) and its time since that sync (time_offset_ms),
+// which gives the robot-side timestamp. That reading of the two status fields is an
+// assumption from their names in the firmware status struct (and the sync id carried
+// by the 0x02 SYNC frame); it is not documented anywhere we have.
+// sync_state per status:
+//   'ok' recent sync, 'lost' sync older than SYNC_LOST_CYCLES cycles,
+//   'other' a sync id never heard here, 'unknown' no SYNC heard at all
+// Only 'ok' and 'lost' give a robot time; 'lost' ones can lie many cycles in the past.
+const SYNC_HISTORY_MAX = 64;
+const SYNC_LOST_CYCLES = 3;
+const SYNC_SAMPLES_MAX = 5000;
+const SYNC_STATE_COLORS = { ok: '#2ecc71', lost: '#e74c3c', other: '#f39c12', unknown: '#888' };
+const syncHistory = []; // [{ id, t }] oldest first
+const syncSamples = new Map(); // robot id -> [{ t, offset, syncId, state }]
+const syncSettings = Object.assign({ windowS: 60 }, loadPref('syncMonitor', {}));
+
+syncWindowSel.value = String(syncSettings.windowS);
+syncWindowSel.addEventListener('change', () => {
+    syncSettings.windowS = Number(syncWindowSel.value) || 60;
+    savePref('syncMonitor', syncSettings);
+    renderSyncPanel();
+});
+syncClearBtn.addEventListener('click', () => {
+    syncSamples.clear();
+    renderSyncPanel();
+});
 
-        // print port name selected
-        const label = await getPortLabel(port);
-        deviceNameEl.textContent = `${label}: connected`;
+function recordSyncFrame(id, t) {
+    syncHistory.push({ id, t });
+    if (syncHistory.length > SYNC_HISTORY_MAX) syncHistory.shift();
+}
 
-        // open port
-        await port.open({ baudRate });
-        connectBtn.textContent = 'Disconnect';
-        connectBtn.style.background = '#c44';
+// robot-side time of a status (epoch ms) and its sync state; time is null when the
+// status does not follow a SYNC heard here (no mixing in of the arrival time)
+function resolveRobotTime(syncId, offsetMs) {
+    if (!syncHistory.length) return { time: null, state: 'unknown' };
+    for (let i = syncHistory.length - 1; i >= 0; --i) {
+        if (syncHistory[i].id !== syncId) continue;
+        const age = syncHistory.length - 1 - i;
+        return { time: syncHistory[i].t + offsetMs, state: age > SYNC_LOST_CYCLES ? 'lost' : 'ok' };
+    }
+    return { time: null, state: 'other' };
+}
 
-        //deviceNameEl.textContent = 'connected';
-        setStatus(`open @ ${baudRate}`);
+function recordSyncSample(s, rxTime) {
+    const id = Number(s.id);
+    let samples = syncSamples.get(id);
+    if (!samples) {
+        samples = [];
+        syncSamples.set(id, samples);
+    }
+    samples.push({ t: rxTime, offset: s.time_offset_ms, syncId: s.sync_id, state: s.sync_state });
+    if (samples.length > SYNC_SAMPLES_MAX) samples.splice(0, samples.length - SYNC_SAMPLES_MAX);
+}
 
-        // Read serial port and check if "#NOT_INITIALIZED" string is on the data read. If so, print on console not initialized, if not print initialized
-        textBuffer = '';
-        let initialized = true;
+// offset plot (one line per robot) above one sync state strip per robot, then a table
+function renderSyncPanel() {
+    if (!syncContent || syncEl.style.display !== 'block') return;
+    const ids = [...syncSamples.keys()].sort((a, b) => a - b);
+    if (!ids.length) {
+        syncCanvas.style.display = 'none';
+        syncTable.innerHTML = '<div style="color:#9ad">Waiting for status messages</div>';
+        return;
+    }
+    syncCanvas.style.display = 'block';
+
+    const now = nowMs();
+    const t0 = now - syncSettings.windowS * 1000;
+    const PLOT_H = 220;
+    const STRIP_H = 14;
+    const LEFT = 60;
+    const width = Math.max(300, syncContent.clientWidth - 4);
+    const height = PLOT_H + 30 + ids.length * (STRIP_H + 4);
+    syncCanvas.width = width;
+    syncCanvas.height = height;
+    const ctx = syncCanvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '10px monospace';
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const id of ids) {
+        for (const p of syncSamples.get(id)) {
+            if (p.t < t0) continue;
+            min = Math.min(min, p.offset);
+            max = Math.max(max, p.offset);
+        }
+    }
+    if (!Number.isFinite(min)) { min = 0; max = 1; }
+    if (max - min < 1) { max += 0.5; min -= 0.5; }
+    const x = t => LEFT + (t - t0) / (now - t0) * (width - LEFT - 8);
+    const y = v => 8 + (1 - (v - min) / (max - min)) * (PLOT_H - 16);
+
+    // axes: offset in ms on the left, seconds ago along the bottom
+    ctx.strokeStyle = '#333';
+    ctx.fillStyle = '#9ad';
+    for (let i = 0; i <= 4; ++i) {
+        const v = min + (max - min) * i / 4;
+        ctx.beginPath();
+        ctx.moveTo(LEFT, y(v));
+        ctx.lineTo(width - 8, y(v));
+        ctx.stroke();
+        ctx.fillText(v.toFixed(0) + ' ms', 4, y(v) + 3);
+    }
+    for (let i = 0; i <= 6; ++i) {
+        const t = t0 + (now - t0) * i / 6;
+        ctx.fillText(`-${((now - t) / 1000).toFixed(0)} s`, x(t) - 12, PLOT_H + 10);
+    }
 
-        // temporary reader to check initialization
-        const tempReader = port.readable.getReader();
+    for (const id of ids) {
+        const pts = syncSamples.get(id).filter(p => p.t >= t0);
+        ctx.strokeStyle = robotColor(id);
+        ctx.beginPath();
+        pts.forEach((p, i) => i ? ctx.lineTo(x(p.t), y(p.offset)) : ctx.moveTo(x(p.t), y(p.offset)));
+        ctx.stroke();
+    }
 
-        try {
-            const initDeadline = Date.now() + 1000; // 1 second to detect
-            while (Date.now() < initDeadline) {
-                const { value, done } = await tempReader.read();
-                if (done) break;
-                if (value && value.length) {
-                    const chunk = textDecoder.decode(value, { stream: true });
-                    textBuffer += chunk;
-                    if (textBuffer.includes('#NOT_INITIALIZED')) {
-                        initialized = false;
-                        console.log("Receiver not initialized. Initializing...");
-                        break;
-                    }
-                    // keep buffer bounded
-                    if (textBuffer.length > 1000) textBuffer = textBuffer.slice(-500);
-                }
-            }
-        }
-        catch (e) {
-            console.warn('init read error', e);
-        } finally {
-            try { tempReader.releaseLock(); } catch (e) { /* ignore */ }
+    // state strips: each sample colours the strip up to the next sample
+    ids.forEach((id, row) => {
+        const top = PLOT_H + 22 + row * (STRIP_H + 4);
+        ctx.fillStyle = robotColor(id);
+        ctx.fillText(robotName(id), 4, top + 10);
+        const pts = syncSamples.get(id);
+        for (let i = 0; i < pts.length; ++i) {
+            const end = i + 1 < pts.length ? pts[i + 1].t : now;
+            if (end < t0) continue;
+            ctx.fillStyle = SYNC_STATE_COLORS[pts[i].state] || '#888';
+            const x0 = x(Math.max(t0, pts[i].t));
+            ctx.fillRect(x0, top, Math.max(1, x(end) - x0), STRIP_H);
         }
+    });
 
-        if (!initialized) {
-            console.log("Initializing receiver...");
-            // prepare writer
-            if (port.writable) {
-                writer = port.writable.getWriter();
-                // 1) send CONFIG
-                // center frequency as string with exactly one decimal place
-                const rfFrequencyMHz = (2400.1 + (Number(window.rfChannel) - 1) * 0.2).toFixed(1);
-                const CONFIG_STR = `#CONFIG,0,${rfFrequencyMHz},5,0,LORA,5,1600,5,16\n`;
-                await writeString(CONFIG_STR);
-
-                // 2) wait for "#OK"
-                console.log("Waiting for config ACK...");
-                try {
-                    setStatus('waiting for first OK...');
-                    let read = await readUntil('#OK', 200);
-                    console.log("Received:", read);
-                } catch (e) {
-                    console.error("Error waiting for config ACK:", e);
-                    // cleanup and abort
-                    try { await disconnect(); } catch (_) { }
-                    return;
-                }
+    // most robots should follow the same sync id: others are shown in orange
+    const current = ids.map(id => getStatusById(id)).filter(Boolean);
+    const votes = {};
+    for (const s of current) votes[s.sync_id] = (votes[s.sync_id] || 0) + 1;
+    const common = Number(Object.keys(votes).sort((a, b) => votes[b] - votes[a])[0]);
+    const rows = current.map(s => {
+        const drift = s.robot_time ? new Date(s.tstamp).getTime() - new Date(s.robot_time).getTime() : NaN;
+        const syncStyle = s.sync_id !== common ? ' style="color:#f39c12"' : '';
+        return `<tr><td>${escapeXml(robotName(s.id))}</td><td${syncStyle}>${s.sync_id}</td><td>${s.time_offset_ms} ms</td>` +
+            `<td style="color:${SYNC_STATE_COLORS[s.sync_state] || '#888'}">${s.sync_state || 'unknown'}</td>` +
+            `<td>${Number.isFinite(drift) ? drift.toFixed(0) + ' ms' : 'N/A'}</td></tr>`;
+    }).join('');
+    const last = syncHistory[syncHistory.length - 1];
+    syncTable.innerHTML = `
+     <div style="color:#9ad;margin:8px 0">last SYNC heard: ${last ? `${last.id}, ${((now - last.t) / 1000).toFixed(1)} s ago` : 'none'}</div>
+     <table class="link-table">
+       <thead><tr><th>robot</th><th>sync_id</th><th>offset</th><th>state</th><th>arrival - robot time</th></tr></thead>
+       <tbody>${rows}</tbody>
+     </table>
+   `;
+}
 
-                // 3) send RUN
-                await writeString(RUN_STR);
+// time-series charts: per-robot history of the decoded motion signals (filled by
+// live data and by replays alike), one canvas per signal with a shared time axis
+const CHART_SIGNALS = { speed_x: 'speed_x (m/s)', speed_y: 'speed_y (m/s)', rot_speed: 'rot_speed (rad/s)', heading: 'heading (rad)' };
+const CHART_HISTORY_MAX = 20000; // samples per robot
+const CHART_HEIGHT = 160;
+const CHART_LEFT = 56; // room for the value axis labels
+const statusHistory = new Map(); // id -> [{ t, speed_x, speed_y, rot_speed, heading }]
+const chartSettings = Object.assign({ windowS: 60, signals: ['speed_x', 'speed_y', 'rot_speed', 'heading'] }, loadPref('charts', {}));
+const chartHiddenIds = new Set(); // robots unticked in the picker (new robots are shown)
+let chartView = null; // { t0, t1 } while zoomed or panned, null = follow the latest data
+let chartCursorT = null;
+let chartDrag = null;
+let chartRobotKey = '';
+
+chartWindowSel.value = String(chartSettings.windowS);
+chartWindowSel.addEventListener('change', () => {
+    chartSettings.windowS = Number(chartWindowSel.value) || 60;
+    savePref('charts', chartSettings);
+    chartView = null;
+    renderChartsPanel();
+});
+chartResetBtn.addEventListener('click', () => {
+    chartView = null;
+    renderChartsPanel();
+});
 
-                // 4) wait for "#OK"
-                console.log("Waiting for run ACK...");
-                try {
-                    setStatus('OK received');
-                    let read = await readUntil('#OK', 200);
-                    console.log("Received:", read);
-                } catch (e) {
-                    console.error("Error waiting for run ACK:", e);
-                    try { await disconnect(); } catch (_) { }
-                    return;
-                }
-            } else {
-                console.error("Port not writable");
-                setStatus('port not writable');
-            }
-        } else {
-            console.log("Receiver already initialized.");
-        }
+function recordStatusHistory(s) {
+    const id = Number(s.id);
+    let h = statusHistory.get(id);
+    if (!h) {
+        h = [];
+        statusHistory.set(id, h);
+    }
+    h.push({ t: new Date(s.tstamp).getTime(), speed_x: s.speed_x, speed_y: s.speed_y, rot_speed: s.rot_speed, heading: s.heading });
+    if (h.length > CHART_HISTORY_MAX) h.splice(0, h.length - CHART_HISTORY_MAX);
+}
 
-        // 5) start continuous read loop (message-oriented)
-        keepReading = true;
-        reader = port.readable.getReader();
-        setStatus('running - streaming hex messages');
-        readLoop();
-    } catch (err) {
-        console.error(err);
-        setStatus('open error: ' + (err.message || err));
-        try { await disconnect(); } catch (_) { }
+// first sample index with t >= time (samples are in arrival order)
+function historyIndexAt(h, time) {
+    let lo = 0;
+    let hi = h.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (h[mid].t < time) lo = mid + 1;
+        else hi = mid;
     }
+    return lo;
 }
 
-async function disconnect() {
-    keepReading = false;
-    try {
-        if (reader) {
-            await reader.cancel();
-            await reader.releaseLock();
-            reader = null;
-        }
-        if (writer) {
-            try { await writer.close(); } catch (e) { /* ignore */ }
-            try { writer.releaseLock(); } catch (e) { /* ignore */ }
-            writer = null;
-        }
-        if (port) {
-            await port.close();
-            port = null;
-        }
-        setStatus('closed');
-        connectBtn.textContent = 'Connect';
-        connectBtn.style.background = '#2b6';
-    } catch (err) {
-        console.warn('disconnect error', err);
-        setStatus('close error: ' + (err.message || err));
-    } finally {
-        deviceNameEl.textContent = 'Choose device';
+function chartRange() {
+    if (chartView) return chartView;
+    const t1 = nowMs();
+    return { t0: t1 - chartSettings.windowS * 1000, t1 };
+}
+
+// robot and signal pickers (rebuilt only when the robot set changes)
+function renderChartPickers() {
+    const ids = [...statusHistory.keys()].sort((a, b) => a - b);
+    const key = ids.join(',') + '|' + chartSettings.signals.join(',');
+    if (key === chartRobotKey) return;
+    chartRobotKey = key;
+    chartPickers.innerHTML = '';
+    const addBox = (label, checked, color, onChange) => {
+        const l = document.createElement('label');
+        l.style.marginRight = '10px';
+        l.style.color = color;
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = checked;
+        cb.addEventListener('change', () => onChange(cb.checked));
+        l.appendChild(cb);
+        l.appendChild(document.createTextNode(' ' + label));
+        chartPickers.appendChild(l);
+    };
+    for (const id of ids) {
+        addBox(robotName(id), !chartHiddenIds.has(id), robotColor(id), (on) => {
+            if (on) chartHiddenIds.delete(id);
+            else chartHiddenIds.add(id);
+            renderChartsPanel();
+        });
     }
-    // clear all runtime state produced by the session so reconnect starts fresh
-    try {
-        // clear status array
-        statusArray.length = 0;
-        // remove all markers from the map
-        if (map) {
-            for (const m of markers.values()) {
-                try { map.removeLayer(m); } catch (e) { /* ignore */ }
-            }
-        }
-        markers.clear();
-        // remove tree DOM
-        removeTreeContainer();
-        // reset first-location flag so map recenters on next valid position
-        firstLocationSet = false;
-        activeCenteredId = null;
-        // clear terminal content and internal buffer
-        if (typeof termContent !== 'undefined' && termContent) termContent.textContent = '';
-        terminalLines.length = 0;
-    } catch (e) {
-        console.warn('cleanup after disconnect failed', e);
+    chartPickers.appendChild(document.createElement('br'));
+    for (const sig of Object.keys(CHART_SIGNALS)) {
+        addBox(sig, chartSettings.signals.includes(sig), '#9ad', (on) => {
+            chartSettings.signals = Object.keys(CHART_SIGNALS).filter(k => k === sig ? on : chartSettings.signals.includes(k));
+            savePref('charts', chartSettings);
+            renderChartsPanel();
+        });
     }
 }
 
-// show available granted ports and react to physical plug/unplug events
-if ('serial' in navigator) {
-    // initial availability
-    (async () => {
-        try {
-            const ports = await navigator.serial.getPorts();
-            // connectBtn.disabled = !(ports && ports.length > 0);
-        } catch (e) {
-            console.warn('getPorts failed', e);
+function renderChartsPanel() {
+    if (!chartsContent || chartsEl.style.display !== 'block') return;
+    renderChartPickers();
+    const ids = [...statusHistory.keys()].filter(id => !chartHiddenIds.has(id)).sort((a, b) => a - b);
+    const signals = chartSettings.signals;
+
+    // one canvas per selected signal
+    while (chartsContent.children.length > signals.length) chartsContent.lastChild.remove();
+    while (chartsContent.children.length < signals.length) chartsContent.appendChild(createChartCanvas());
+    const { t0, t1 } = chartRange();
+    signals.forEach((sig, i) => drawChart(chartsContent.children[i], sig, ids, t0, t1));
+    chartInfo.textContent = chartView ? 'zoomed (double-click or Reset to follow)' : 'following';
+}
+
+function createChartCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'chart-canvas';
+    canvas.height = CHART_HEIGHT;
+    const timeAt = (ev) => {
+        const { t0, t1 } = chartRange();
+        const rect = canvas.getBoundingClientRect();
+        return t0 + (ev.clientX - rect.left - CHART_LEFT) / Math.max(1, canvas.width - CHART_LEFT - 8) * (t1 - t0);
+    };
+    canvas.addEventListener('mousemove', (ev) => {
+        if (chartDrag) {
+            // drag pans the view
+            const { t0, t1 } = chartDrag.view;
+            const dt = (ev.clientX - chartDrag.x) / Math.max(1, canvas.width - CHART_LEFT - 8) * (t1 - t0);
+            chartView = { t0: t0 - dt, t1: t1 - dt };
         }
-    })();
+        chartCursorT = timeAt(ev);
+        renderChartsPanel();
+    });
+    canvas.addEventListener('mouseleave', () => {
+        chartCursorT = null;
+        chartDrag = null;
+        renderChartsPanel();
+    });
+    canvas.addEventListener('mousedown', (ev) => {
+        chartDrag = { x: ev.clientX, view: chartRange() };
+    });
+    canvas.addEventListener('mouseup', () => { chartDrag = null; });
+    // wheel zooms the time axis around the cursor
+    canvas.addEventListener('wheel', (ev) => {
+        ev.preventDefault();
+        const { t0, t1 } = chartRange();
+        const tc = timeAt(ev);
+        const f = ev.deltaY > 0 ? 1.25 : 0.8;
+        if ((t1 - t0) * f < 200) return;
+        chartView = { t0: tc - (tc - t0) * f, t1: tc + (t1 - tc) * f };
+        renderChartsPanel();
+    }, { passive: false });
+    canvas.addEventListener('dblclick', () => {
+        chartView = null;
+        renderChartsPanel();
+    });
+    return canvas;
+}
 
-    // when a device is physically connected (granted by origin previously)
-    // navigator.serial.addEventListener('connect', (ev) => {
-    //     try {
-    //         // enable connect button and ensure label is "Connect" when not currently connected
-    //         if (connectBtn) {
-    //             connectBtn.disabled = false;
-    //             if (!port) {
-    //                 connectBtn.textContent = 'Connect';
-    //                 connectBtn.style.background = '#2b6';
-    //             }
-    //         }
-    //     } catch (e) { console.warn(e); }
-    // });
+function drawChart(canvas, sig, ids, t0, t1) {
+    const width = Math.max(300, chartsContent.clientWidth - 4);
+    if (canvas.width !== width) canvas.width = width;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, CHART_HEIGHT);
+    ctx.font = '10px monospace';
 
-    // when a device is physically disconnected
-    navigator.serial.addEventListener('disconnect', (ev) => {
-        try {
-            // if the disconnected port is the one currently open, perform cleanup
-            if (ev && ev.port && port && ev.port === port) {
-                // best-effort cleanup
-                disconnect().catch(() => { });
-            }
-            // disable connect if no granted ports remain
-            (async () => {
-                try {
-                    const ports = await navigator.serial.getPorts();
-                    const has = ports && ports.length > 0;
-                    if (connectBtn) {
-                        connectBtn.disabled = !has;
-                        connectBtn.textContent = 'Connect';
-                        connectBtn.style.background = '#2b6';
-                    }
-                    // clear device label if the disconnected port was the shown device
-                    if (!has && deviceNameEl) deviceNameEl.textContent = 'Choose device';
-                } catch (e) {
-                    console.warn('post-disconnect getPorts failed', e);
-                }
-            })();
-        } catch (e) { console.warn(e); }
+    const ranges = ids.map(id => {
+        const h = statusHistory.get(id);
+        return { id, h, from: Math.max(0, historyIndexAt(h, t0) - 1), to: Math.min(h.length, historyIndexAt(h, t1) + 1) };
     });
+    let min = Infinity;
+    let max = -Infinity;
+    for (const r of ranges) {
+        for (let i = r.from; i < r.to; ++i) {
+            const v = r.h[i][sig];
+            if (!Number.isFinite(v)) continue;
+            min = Math.min(min, v);
+            max = Math.max(max, v);
+        }
+    }
+    if (!Number.isFinite(min)) { min = -1; max = 1; }
+    if (max - min < 1e-3) { max += 0.5; min -= 0.5; }
+    const plotW = width - CHART_LEFT - 8;
+    const x = t => CHART_LEFT + (t - t0) / (t1 - t0) * plotW;
+    const y = v => 14 + (1 - (v - min) / (max - min)) * (CHART_HEIGHT - 34);
+
+    ctx.strokeStyle = '#333';
+    ctx.fillStyle = '#9ad';
+    for (let i = 0; i <= 4; ++i) {
+        const v = min + (max - min) * i / 4;
+        ctx.beginPath();
+        ctx.moveTo(CHART_LEFT, y(v));
+        ctx.lineTo(width - 8, y(v));
+        ctx.stroke();
+        ctx.fillText(v.toFixed(2), 4, y(v) + 3);
+    }
+    for (let i = 0; i <= 6; ++i) {
+        const t = t0 + (t1 - t0) * i / 6;
+        ctx.fillText(formatTerminalTime(t).slice(0, 8), x(t) - 22, CHART_HEIGHT - 4);
+    }
+    ctx.fillText(CHART_SIGNALS[sig], CHART_LEFT + 4, 10);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(CHART_LEFT, 0, plotW, CHART_HEIGHT);
+    ctx.clip();
+    for (const r of ranges) {
+        ctx.strokeStyle = robotColor(r.id);
+        ctx.beginPath();
+        let started = false;
+        for (let i = r.from; i < r.to; ++i) {
+            const v = r.h[i][sig];
+            if (!Number.isFinite(v)) { started = false; continue; }
+            if (started) ctx.lineTo(x(r.h[i].t), y(v));
+            else ctx.moveTo(x(r.h[i].t), y(v));
+            started = true;
+        }
+        ctx.stroke();
+    }
+    ctx.restore();
+
+    // cursor line and the value of each robot at (or just before) the cursor time
+    if (chartCursorT !== null && chartCursorT >= t0 && chartCursorT <= t1) {
+        ctx.strokeStyle = '#fff';
+        ctx.beginPath();
+        ctx.moveTo(x(chartCursorT), 12);
+        ctx.lineTo(x(chartCursorT), CHART_HEIGHT - 18);
+        ctx.stroke();
+        let tx = CHART_LEFT + 160;
+        ctx.fillStyle = '#fff';
+        ctx.fillText(formatTerminalTime(chartCursorT), tx, 10);
+        tx += 90;
+        for (const r of ranges) {
+            const i = historyIndexAt(r.h, chartCursorT + 1) - 1;
+            if (i < 0 || !Number.isFinite(r.h[i][sig])) continue;
+            const text = `${robotName(r.id)}: ${r.h[i][sig].toFixed(3)}`;
+            ctx.fillStyle = robotColor(r.id);
+            ctx.fillText(text, tx, 10);
+            tx += ctx.measureText(text).width + 12;
+        }
+    }
+}
+
+async function writeString(s, radio = radios[0]) {
+    if (!radio) return; // nothing to configure on the simulator
+    try {
+        console.log("Sending:", s);
+        const bytes = textEncoder.encode(s);
+        recordSessionEvent('tx', bytes, Date.now(), radio.src.id);
+        await radio.transport.write(bytes);
+    } catch (e) {
+        console.warn('write error', e);
+        setStatus('write error: ' + (e.message || e));
+    }
 }
 
+// write raw bytes to a receiver, by default the first opened one (returns false
+// when there is nothing to write to)
+async function writeBytes(bytes, radio = radios[0]) {
+    if (simulator) {
+        recordSessionEvent('tx', bytes);
+        simulatorUplink(bytes);
+        return true;
+    }
+    if (!radio) {
+        setStatus('not connected: cannot send');
+        return false;
+    }
+    try {
+        recordSessionEvent('tx', bytes, Date.now(), radio.src.id);
+        await radio.transport.write(bytes);
+        return true;
+    } catch (e) {
+        console.warn('write error', e);
+        setStatus('write error: ' + (e.message || e));
+        return false;
+    }
+}
 
 /**
- * Parse a status message status data struct.
+ * Build an uplink frame: 0xFF, <len:1>, <cmd:1>, <payload>, <checksum:2>
+ * Same rules as the receive path: len counts cmd + payload + checksum and the
+ * big-endian checksum is computeChecksum() over cmd + payload.
  */
+function encodeFrame(cmd, payload = []) {
+    const body = [cmd & 0xFF, ...Array.from(payload, b => b & 0xFF)];
+    const len = body.length + 2;
+    if (len > FRAME_MAX_LEN) throw new Error(`frame too long (${len} > ${FRAME_MAX_LEN})`);
+    const chk = computeChecksum(body);
+    return Uint8Array.from([0xFF, len, ...body, (chk >> 8) & 0xFF, chk & 0xFF]);
+}
 
-function parseMessage(buf, startOffset = 0, littleEndian = true) {
-    const p = buf instanceof Uint8Array ? buf : Uint8Array.from(buf);
-    const STRUCT_SIZE = 40; // adjust if your C++ sizeof(status_payload) differs
-    if (p.length < startOffset + STRUCT_SIZE) return null;
+async function sendFrame(cmd, payload = []) {
+    return writeBytes(encodeFrame(cmd, payload));
+}
 
-    const dv = new DataView(p.buffer, p.byteOffset + startOffset, STRUCT_SIZE);
-    let off = 0;
+// node id as the two big-endian bytes used by the request frames
+function nodeIdBytes(id) {
+    return [(id >> 8) & 0xFF, id & 0xFF];
+}
 
-    const id = dv.getUint16(off, littleEndian); off += 2;
-    const sync_id = dv.getUint16(off, littleEndian); off += 2;
-    const time_offset_ms = dv.getInt16(off, littleEndian); off += 2;
-
-    // skip 2 bytes padding to align the next double to 8 bytes
-    off += 2;
-
-    const latitude = dv.getFloat64(off, littleEndian); off += 8;
-    const longitude = dv.getFloat64(off, littleEndian); off += 8;
-    const heading = dv.getFloat32(off, littleEndian); off += 4;
-    const cov_pos = dv.getFloat32(off, littleEndian); off += 4;
-    const speed_x = (dv.getInt16(off, littleEndian)) / 1000.0; off += 2;
-    const speed_y = (dv.getInt16(off, littleEndian)) / 1000.0; off += 2;
-    const rot_speed = (dv.getInt16(off, littleEndian)) / 1000.0; off += 2;
-    const drive_mode = dv.getUint8(off); off += 1;
-    const aux_data_status = dv.getUint8(off); off += 1;
-    const tstamp = new Date();
-    let distance = 0.0;
-    let angle = 0.0;
-    let xy = { x: 0.0, y: 0.0 };
-
-    if (activeCenteredId) {
-        //get latlng of activeCenteredId
-        const m = markers.get(Number(activeCenteredId));
-        if (m) {
-            const latlngCenter = m.getLatLng();
-            if (latlngCenter) {
-                const latlng = L.latLng(latitude, longitude);
-
-                // Compute distance between latlng and current status position
-                distance = latlngCenter.distanceTo(latlngCenter, latlng);
-                xy = latLngToRobotXY(latlngCenter.lat, latlngCenter.lng, latitude, longitude, heading * Math.PI / 180);
-            }
-        }
-    }
+async function sendStatusRequest(id) {
+    const ok = await sendFrame(0x03, nodeIdBytes(id));
+    if (ok) window.appendText(`TX STATUS REQUEST ${id}\t--->`, { cmd: 0x03, node: id });
+    return ok;
+}
 
-    return {
+async function sendAuxDataRequest(id) {
+    const ok = await sendFrame(0x07, nodeIdBytes(id));
+    if (ok) window.appendText(`TX AUX DATA REQUEST ${id}\t--->`, { cmd: 0x07, node: id });
+    return ok;
+}
+
+/*
+ * Aux data transfers. Frame layouts after the command byte (ids and counts big-endian):
+ *   0x07 AUX DATA REQUEST   node_id(2)
+ *   0x08 AUX DATA ACK       node_id(2), n_packets(2), total_size(2, optional)
+ *   0x09 AUX DATA           node_id(2), n_packets(2), packet(1), data(...)
+ *   0x0A AUX PACKET REQUEST node_id(2), n_packets(2), packet(1)
+ * ASSUMED: only the 0x07/0x0A node id and the 0x0A packet byte come from the original
+ * terminal decoder. The 0x09 code (listed there as a second "case 0x08: Aux data"),
+ * the ACK and data payloads and total_size are our reading of the protocol, not
+ * taken from the firmware; the offsets below are the only place they live.
+ * A transfer is tracked per node id; packets missing after AUX_PACKET_TIMEOUT_MS
+ * are asked for again with 0x0A frames. The packet index is one byte, so a transfer
+ * announcing more than AUX_MAX_PACKETS packets cannot be received and is failed at once.
+ */
+const AUX_N_PACKETS_OFFSET = 3;  // in the frame after 0xFF/len: cmd(1), node_id(2), then n_packets(2)
+const AUX_ACK_SIZE_OFFSET = 5;   // optional total_size(2) of the ACK
+const AUX_DATA_PCK_OFFSET = 5;   // packet index(1) of a data packet, data follows
+const AUX_ACK_MIN_LEN = 7;       // cmd + node_id + n_packets + checksum
+const AUX_DATA_MIN_LEN = 8;      // cmd + node_id + n_packets + packet + checksum
+const AUX_MAX_PACKETS = 256;     // packet(1) can only address 0..255
+const AUX_PACKET_TIMEOUT_MS = 1000;
+const AUX_MAX_RETRIES = 5;
+const AUX_MAX_REQUESTS_PER_ROUND = 8;
+
+const auxTransfers = new Map(); // node id -> transfer
+
+function createAuxTransfer(id, nPackets, size, t) {
+    const tr = {
         id,
-        sync_id,
-        time_offset_ms,
-        latitude,
-        longitude,
-        heading,
-        cov_pos,
-        speed_x,
-        speed_y,
-        rot_speed,
-        drive_mode,
-        aux_data_status,
-        tstamp,
-        distance,
-        angle,
-        xy
+        nPackets,
+        size,                 // total bytes when announced by the ACK, else null
+        packets: new Array(nPackets).fill(null),
+        received: 0,
+        startedAt: t,
+        lastPacketAt: t,
+        retries: 0,
+        state: 'receiving',   // receiving | complete | failed
+        blob: null
     };
+    auxTransfers.set(id, tr);
+    if (nPackets > AUX_MAX_PACKETS) failAuxTransfer(tr, `${nPackets} packets announced, at most ${AUX_MAX_PACKETS} can be addressed`);
+    return tr;
 }
 
-function latLngToRobotXY(lat0, lon0, lat1, lon1, headingRad) {
-    const R = 6371000; // earth radius (m)
-    const toRad = Math.PI / 180;
-    const dLat = (lat1 - lat0) * toRad;
-    const dLon = (lon1 - lon0) * toRad;
-    const meanLat = (lat0 + lat1) * 0.5 * toRad;
+function failAuxTransfer(tr, reason) {
+    tr.state = 'failed';
+    window.appendText(`AUX DATA ${tr.id} failed: ${reason}`, { cmd: 0x09, node: tr.id });
+}
 
-    // delta in global East/North (meters)
-    const dNorth = dLat * R;
-    const dEast = dLon * R * Math.cos(meanLat);
+// 0x08: the robot announced a new transfer
+function handleAuxAck(msgData, rxTime) {
+    if (msgData.length < AUX_ACK_MIN_LEN) return;
+    const id = (msgData[1] << 8) | msgData[2];
+    const nPackets = (msgData[AUX_N_PACKETS_OFFSET] << 8) | msgData[AUX_N_PACKETS_OFFSET + 1];
+    // optional total size: present when the frame has room for it before the checksum
+    const size = msgData.length >= AUX_ACK_SIZE_OFFSET + 4 ? ((msgData[AUX_ACK_SIZE_OFFSET] << 8) | msgData[AUX_ACK_SIZE_OFFSET + 1]) : null;
+    if (!nPackets) return;
+    createAuxTransfer(id, nPackets, size, rxTime);
+    updateAuxTransferDom(id);
+}
 
-    // robot x unit in global ENU: [cosθ, sinθ], y unit: [-sinθ, cosθ]
-    const cosH = Math.cos(headingRad), sinH = Math.sin(headingRad);
+// 0x09: one packet of a transfer
+function handleAuxData(msgData, rxTime) {
+    // a short frame would take the checksum (or nothing) for the packet index
+    if (msgData.length < AUX_DATA_MIN_LEN) return;
+    const id = (msgData[1] << 8) | msgData[2];
+    const nPackets = (msgData[AUX_N_PACKETS_OFFSET] << 8) | msgData[AUX_N_PACKETS_OFFSET + 1];
+    const pck = msgData[AUX_DATA_PCK_OFFSET];
+    if (!nPackets || !Number.isInteger(pck)) return;
+    const data = Uint8Array.from(msgData.slice(AUX_DATA_PCK_OFFSET + 1, msgData.length - 2));
+
+    let tr = auxTransfers.get(id);
+    // the ACK may have been lost: start tracking from the first data packet
+    if (!tr || tr.state !== 'receiving' || tr.nPackets !== nPackets) {
+        // late duplicate, or more packets of a transfer already failed as too long
+        if (tr && tr.state !== 'receiving' && tr.nPackets === nPackets) return;
+        tr = createAuxTransfer(id, nPackets, null, rxTime);
+    }
+    if (tr.state !== 'receiving' || pck >= tr.nPackets) {
+        updateAuxTransferDom(id);
+        return;
+    }
+    if (!tr.packets[pck]) {
+        tr.packets[pck] = data;
+        tr.received++;
+        tr.retries = 0;
+    }
+    tr.lastPacketAt = rxTime;
+    if (tr.received === tr.nPackets) completeAuxTransfer(tr);
+    updateAuxTransferDom(id);
+}
 
-    const x = dEast * cosH + dNorth * sinH;          // forward (m)
-    const y = -dEast * sinH + dNorth * cosH;         // left  (m)
-    return { x, y };
+function completeAuxTransfer(tr) {
+    let bytes = new Uint8Array(tr.packets.reduce((n, p) => n + p.length, 0));
+    let off = 0;
+    for (const p of tr.packets) { bytes.set(p, off); off += p.length; }
+    // last packet may be padded
+    if (tr.size != null && tr.size <= bytes.length) bytes = bytes.slice(0, tr.size);
+    tr.blob = new Blob([bytes], { type: 'application/octet-stream' });
+    tr.state = 'complete';
+    window.appendText(`AUX DATA ${tr.id} complete: ${bytes.length} bytes in ${tr.nPackets} packets`, { cmd: 0x09, node: tr.id });
 }
 
+function getAuxMissingPackets(tr) {
+    const missing = [];
+    for (let i = 0; i < tr.nPackets; ++i) if (!tr.packets[i]) missing.push(i);
+    return missing;
+}
 
-// helper: ensure tree container exists
-function ensureTreeContainer() {
-    let container = document.getElementById('treeContent');
-    if (!container) {
-        const tree = document.createElement('aside');
-        tree.id = 'tree';
-        tree.setAttribute('aria-label', 'Robot tree');
-        // layout constants used to align ticks & bars
-        const AUX_WIDTH = 10;      // px (aux icon)
-        const LABEL_WIDTH = 64;    // px (fixed label width for all entries)
-        const GAP = 8;             // px (gap between header children)
-        const START_OFFSET_PX = (AUX_WIDTH + GAP + LABEL_WIDTH + GAP) + 'px';
+// ask again for packets of stalled transfers (called periodically)
+function checkAuxTransfers() {
+    const now = nowMs();
+    for (const tr of auxTransfers.values()) {
+        if (tr.state !== 'receiving' || now - tr.lastPacketAt < AUX_PACKET_TIMEOUT_MS) continue;
+        if (tr.retries >= AUX_MAX_RETRIES) {
+            failAuxTransfer(tr, `${tr.nPackets - tr.received} packets missing`);
+            updateAuxTransferDom(tr.id);
+            continue;
+        }
+        tr.retries++;
+        tr.lastPacketAt = now;
+        // a replayed session cannot be asked for anything
+        if (!radios.length && !simulator) continue;
+        const missing = getAuxMissingPackets(tr).slice(0, AUX_MAX_REQUESTS_PER_ROUND);
+        for (const pck of missing) sendAuxPacketRequest(tr.id, tr.nPackets, pck);
+    }
+}
 
-        // Header row: title at left, time scale (0s..5s with per-second ticks) fills remaining space
-        const h = document.createElement('div');
-        h.style.display = 'flex';
-        h.style.alignItems = 'center';
-        h.style.margin = '0 0 6px 0';
+async function sendAuxPacketRequest(id, nPackets, pck) {
+    const ok = await sendFrame(0x0A, [...nodeIdBytes(id), (nPackets >> 8) & 0xFF, nPackets & 0xFF, pck & 0xFF]);
+    if (ok) window.appendText(`TX AUX DATA REQ ${id} PCK ${pck}\t--->`, { cmd: 0x0A, node: id });
+    return ok;
+}
 
-        const title = document.createElement('span');
-        title.textContent = 'Latency:';
-        title.style.color = '#9ad';
-        title.style.fontWeight = '800';
-        title.style.marginRight = '8px';
-        title.style.marginLeft = '20px';
+function downloadAuxTransfer(id) {
+    const tr = auxTransfers.get(id);
+    if (!tr || !tr.blob) return;
+    downloadBlob(tr.blob, `aux_${id}_${fileTimestamp(new Date(tr.lastPacketAt))}.bin`);
+}
 
-        // scale container matches progress bar width (flex:1) so ticks align with bars
-        const scaleWrap = document.createElement('div');
-        scaleWrap.style.flex = '1 1 auto';
-        scaleWrap.style.display = 'flex';
-        scaleWrap.style.alignItems = 'center';
-        scaleWrap.style.gap = '8px';
+// short progress text for a node's transfer ('' when there is none)
+function auxTransferSummary(id) {
+    const tr = auxTransfers.get(id);
+    if (!tr) return '';
+    const pct = Math.round(100 * tr.received / tr.nPackets);
+    if (tr.state === 'complete') return `transfer complete (${tr.blob.size} bytes)`;
+    if (tr.state === 'failed') return `transfer failed (${tr.received}/${tr.nPackets} packets)`;
+    return `receiving ${tr.received}/${tr.nPackets} packets (${pct}%)`;
+}
 
-        // visual area where ticks are positioned absolutely
-        const scaleArea = document.createElement('div');
-        scaleArea.style.position = 'relative';
-        scaleArea.style.height = '18px';
-        scaleArea.style.flex = '1 1 100%';
-        // pad-left so the 0s tick lines up with the start of each progress bar
-        scaleArea.style.paddingLeft = START_OFFSET_PX;
+// refresh the transfer row of a tree entry and its aux icon
+function updateAuxTransferDom(id) {
+    const entry = document.querySelector(`.tree-entry[data-id="${id}"]`);
+    if (!entry) return;
+    const s = getStatusById(id);
+    const auxIcon = entry.querySelector('.aux-icon');
+    if (auxIcon && s) updateAuxIconElem(auxIcon, s.aux_data_status, id);
+
+    const row = entry.querySelector('.tree-aux');
+    if (!row) return;
+    const tr = auxTransfers.get(id);
+    if (!tr) {
+        row.style.display = 'none';
+        return;
+    }
+    const pct = Math.round(100 * tr.received / tr.nPackets);
+    const color = tr.state === 'failed' ? '#e74c3c' : '#2ecc71';
+    row.style.display = 'block';
+    row.innerHTML = `
+     <div style="font-size:0.9em;color:#bbb;margin-bottom:3px">aux: ${auxTransferSummary(id)}</div>
+     <div style="height:6px;background:#333;border-radius:3px;overflow:hidden">
+       <div style="height:100%;width:${pct}%;background:${color}"></div>
+     </div>
+     ${tr.state === 'complete' ? `<button class="robot-action" style="margin-top:4px" data-robot-action="aux-download" data-id="${id}">Download aux data</button>` : ''}
+   `;
+}
 
-        // create ticks 0..5 (0s .. 5s) positioned by percent
-        for (let i = 0; i <= 5; ++i) {
-            const pos = (i / 5) * 100;
-            const tick = document.createElement('div');
-            tick.style.position = 'absolute';
-            tick.style.left = pos + '%';
-            tick.style.top = '0';
-            tick.style.transform = 'translateX(-50%)';
-            tick.style.display = 'flex';
-            tick.style.flexDirection = 'column';
-            tick.style.alignItems = 'center';
-            tick.style.fontSize = '0.75em';
-            tick.style.color = '#9ad';
-            tick.style.opacity = '0.9';
-
-            const line = document.createElement('div');
-            line.style.width = '2px';
-            line.style.height = '8px';
-            line.style.background = '#9ad';
-            line.style.marginBottom = '2px';
-
-            const lbl = document.createElement('div');
-            lbl.textContent = i + 's';
-            lbl.style.lineHeight = '1';
-            lbl.style.fontSize = '10px';
-
-            tick.appendChild(line);
-            tick.appendChild(lbl);
-            scaleArea.appendChild(tick);
+// read from a radio until the supplied substring is observed (returns accumulated text)
+async function readUntil(radio, substring, timeoutMs = 5000) {
+    let acc = '';
+    const deadline = timeoutMs ? (Date.now() + timeoutMs) : Infinity;
+    while (Date.now() < deadline) {
+        const { value, done } = await radio.transport.read(timeoutMs ? Math.max(1, deadline - Date.now()) : 0);
+        if (done) break;
+        if (value && value.length) {
+            recordSessionEvent('rx', value, Date.now(), radio.src.id);
+            const chunk = textDecoder.decode(value, { stream: true });
+            acc += chunk;
+            if (acc.includes(substring)) {
+                return acc;
+            }
+            // keep the accumulator bounded
+            if (acc.length > 20000) acc = acc.slice(-4000);
         }
+    }
+    throw new Error('readUntil timeout or stream closed');
+}
 
-        // left "0s" label (redundant with ticks but keeps visual at start)
-        const leftLabel = document.createElement('div');
-        leftLabel.textContent = ''; // ticks include labels
-        leftLabel.style.flex = '0 0 auto';
-
-        // right spacer (if needed)
-        const rightLabel = document.createElement('div');
-        rightLabel.textContent = ''; // ticks include labels
-        rightLabel.style.flex = '0 0 auto';
-
-        scaleWrap.appendChild(leftLabel);
-        scaleWrap.appendChild(scaleArea);
-        scaleWrap.appendChild(rightLabel);
-
-        h.appendChild(title);
+/**
+ * Compute simple 16-bit checksum as sum of bytes modulo 65536.
+ * Accepts Array<number> or Uint8Array.
+ */
+function computeChecksum(bytes) {
+    const arr = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+    let sum = 0;
+    for (let i = 0; i < arr.length; ++i) {
+        sum = (sum + arr[i]) & 0xFFFF;
+    }
+    return sum;
+}
+
+// per-receiver parser state: every radio (and every receiver of a replayed session)
+// frames its own byte stream. buffer holds bytes not yet consumed by the frame
+// parser, textLine the '#' text line being collected
+const rxSources = new Map(); // id -> { id, label, buffer, textLine, frames, checksumErrors, resyncing, lastFrameAt }
+
+function getRxSource(id, label = `R${id}`) {
+    let src = rxSources.get(id);
+    if (!src) {
+        src = { id, label, buffer: [], textLine: '', frames: 0, checksumErrors: 0, resyncing: false, lastFrameAt: 0 };
+        rxSources.set(id, src);
+    }
+    return src;
+}
+
+// the same transmission heard by several receivers is decoded once: a frame identical
+// to one that another receiver delivered less than FRAME_DUP_WINDOW_MS ago is dropped
+const FRAME_DUP_WINDOW_MS = 100;
+const recentFrames = new Map(); // frame bytes -> { t, src }, oldest first
+
+function isDuplicateFrame(msgData, rxTime, src) {
+    const key = msgData.join(',');
+    const prev = recentFrames.get(key);
+    if (prev && prev.src !== src.id && rxTime - prev.t < FRAME_DUP_WINDOW_MS) return true;
+    recentFrames.delete(key);
+    recentFrames.set(key, { t: rxTime, src: src.id });
+    for (const [k, v] of recentFrames) {
+        if (rxTime - v.t < FRAME_DUP_WINDOW_MS) break;
+        recentFrames.delete(k);
+    }
+    return false;
+}
+
+// robot that transmitted a frame (null for frames sent by the base)
+// status: the struct bytes and the schema already selected for them (see handleFrame)
+function frameSender(msgData, status = null) {
+    switch (msgData[0]) {
+        case 0x01: return status && status.schema ? statusPayloadId(status.bytes, status.schema) : null;
+        case 0x04:
+        case 0x08:
+        case 0x09: return (msgData[1] << 8) | msgData[2];
+        default: return null;
+    }
+}
+
+// which receivers heard each robot: every robot frame per receiver (duplicates
+// included) against the frames decoded for the robot, over ROBOT_LINK_WINDOW_MS
+const robotReceivers = new Map(); // robot id -> { frames: [t], bySource: Map(src id -> [t]) }
+
+function recordReception(id, srcId, t, unique) {
+    let rec = robotReceivers.get(id);
+    if (!rec) {
+        rec = { frames: [], bySource: new Map() };
+        robotReceivers.set(id, rec);
+    }
+    const push = (list) => {
+        list.push(t);
+        let old = 0;
+        while (old < list.length && list[old] < t - ROBOT_LINK_WINDOW_MS) old++;
+        if (old) list.splice(0, old);
+    };
+    if (unique) push(rec.frames);
+    if (!rec.bySource.has(srcId)) rec.bySource.set(srcId, []);
+    push(rec.bySource.get(srcId));
+}
+
+// per receiver: share of the robot's frames it heard and when it last heard one
+function robotReceptionSummary(id, now) {
+    const rec = robotReceivers.get(Number(id));
+    if (!rec) return [];
+    const cutoff = now - ROBOT_LINK_WINDOW_MS;
+    const total = rec.frames.filter(t => t >= cutoff).length;
+    return [...rec.bySource.entries()].sort((a, b) => a[0] - b[0]).map(([srcId, times]) => {
+        const heard = times.filter(t => t >= cutoff).length;
+        const src = rxSources.get(srcId);
+        return {
+            id: srcId,
+            label: src ? src.label : `R${srcId}`,
+            heard,
+            share: total ? Math.min(1, heard / total) : 0,
+            lastAt: times.length ? times[times.length - 1] : 0
+        };
+    });
+}
+
+// frame length limits (value of the length byte): cmd + checksum(2) at least.
+// The radio's maximum is not documented; the longest frames we know are a v1 status
+// (43) and an aux packet with 64 data bytes (72), so a length byte above 128 is taken
+// as corruption rather than waiting for up to 255 bytes that never form a frame.
+// Raise it if a firmware sends longer payloads.
+const FRAME_MIN_LEN = 3;
+const FRAME_MAX_LEN = 128;
+
+// command byte -> display name. 0x08/0x09/0x0A payloads are decoded by handleAuxAck,
+// handleAuxData and sendAuxPacketRequest; the 0x09 code and its layout are ASSUMED
+// (the original decoder had a second "case 0x08" for aux data), see the aux block above.
+const CMD_NAMES = {
+    0x01: 'STATUS',
+    0x02: 'SYNC',
+    0x03: 'STATUS REQUEST',
+    0x04: 'STATUS NOT AVAILABLE',
+    0x05: 'SYNC TRANSF REQ',
+    0x06: 'SYNC TRANSF ACK',
+    0x07: 'AUX DATA REQUEST',
+    0x08: 'AUX DATA ACK',
+    0x09: 'AUX DATA',
+    0x0A: 'AUX PACKET REQUEST'
+};
+
+// link quality counters shown in the Link panel (reset with the session)
+const linkStats = {};
+resetLinkStats();
+
+function resetLinkStats() {
+    Object.assign(linkStats, {
+        startedAt: 0,       // time of the first received byte
+        lastRxAt: 0,
+        lastFrameAt: 0,
+        rxBytes: 0,
+        frames: {},         // cmd -> valid frame count
+        checksumErrors: 0,
+        duplicates: 0,      // frames already delivered by another receiver
+        discardedBytes: 0,  // bytes skipped while looking for a valid frame
+        oversizedLengths: 0 // start markers followed by a length > FRAME_MAX_LEN
+    });
+}
+
+/*
+ * Byte transports. connect() talks to the radio only through one of these:
+ *   { kind, label, baudRate, open(), read(timeoutMs) -> { value, done }, write(bytes), close() }
+ * read() returns the next received chunk, or { value: null } once timeoutMs
+ * passes (0 waits forever). Chunks the handshake does not consume stay queued
+ * for the read loop, so framing and decoding are the same on every transport.
+ */
+
+// received chunks waiting for read(); a timed out read leaves the queue untouched
+function createChunkQueue() {
+    const chunks = [];
+    let waiter = null;
+    let ended = false;
+    let error = null;
+    const wake = () => {
+        if (!waiter) return;
+        const w = waiter;
+        waiter = null;
+        w(true);
+    };
+    return {
+        push(chunk) {
+            chunks.push(chunk);
+            wake();
+        },
+        end(err = null) {
+            ended = true;
+            error = err;
+            wake();
+        },
+        async read(timeoutMs = 0) {
+            while (!chunks.length && !ended) {
+                let timer = null;
+                const woke = await new Promise(resolve => {
+                    waiter = resolve;
+                    if (timeoutMs) timer = setTimeout(() => resolve(false), timeoutMs);
+                });
+                clearTimeout(timer);
+                if (!woke) {
+                    waiter = null;
+                    return { value: null, done: false };
+                }
+            }
+            if (chunks.length) return { value: chunks.shift(), done: false };
+            if (error) throw error;
+            return { value: undefined, done: true };
+        }
+    };
+}
+
+// Web Serial port: a background pump keeps the reader locked for the whole session
+function createSerialTransport(serialPort, baudRate, label) {
+    const rx = createChunkQueue();
+    let reader = null;
+    let writer = null;
+    return {
+        kind: 'serial',
+        label,
+        baudRate,
+        async open() {
+            await serialPort.open({ baudRate });
+            if (serialPort.writable) writer = serialPort.writable.getWriter();
+            reader = serialPort.readable.getReader();
+            (async () => {
+                try {
+                    while (true) {
+                        const { value, done } = await reader.read();
+                        if (done) break;
+                        if (value && value.length) rx.push(value);
+                    }
+                    rx.end();
+                } catch (e) {
+                    rx.end(e);
+                } finally {
+                    try { reader.releaseLock(); } catch (e) { /* ignore */ }
+                }
+            })();
+        },
+        read: rx.read,
+        async write(bytes) {
+            if (!writer) throw new Error('port not writable');
+            await writer.write(bytes);
+        },
+        async close() {
+            // an unplugged device may fail to cancel: still release and close below
+            if (reader) {
+                try { await reader.cancel(); } catch (e) { /* ignore */ }
+                try { reader.releaseLock(); } catch (e) { /* ignore */ }
+                reader = null;
+            }
+            if (writer) {
+                try { await writer.close(); } catch (e) { /* ignore */ }
+                try { writer.releaseLock(); } catch (e) { /* ignore */ }
+                writer = null;
+            }
+            await serialPort.close();
+        }
+    };
+}
+
+// local bridge (e.g. a serial-to-WebSocket relay on the machine the receiver is
+// plugged into): binary messages carry the raw radio bytes in both directions,
+// text messages are taken as UTF-8 bytes. The relay contract and example relays
+// are in the README.
+function createWebSocketTransport(url) {
+    const rx = createChunkQueue();
+    let ws = null;
+    return {
+        kind: 'websocket',
+        label: url,
+        baudRate: null,
+        open() {
+            return new Promise((resolve, reject) => {
+                ws = new WebSocket(url);
+                ws.binaryType = 'arraybuffer';
+                ws.onopen = () => resolve();
+                ws.onerror = () => reject(new Error(`cannot reach bridge ${url}`));
+                ws.onmessage = (ev) => {
+                    rx.push(typeof ev.data === 'string' ? textEncoder.encode(ev.data) : new Uint8Array(ev.data));
+                };
+                ws.onclose = () => rx.end();
+            });
+        },
+        read: rx.read,
+        async write(bytes) {
+            if (!ws || ws.readyState !== WebSocket.OPEN) throw new Error('bridge not connected');
+            ws.send(bytes);
+        },
+        async close() {
+            if (ws) ws.close();
+            ws = null;
+        }
+    };
+}
+
+// NEW: message-oriented read loop
+// Message format: 0xFF, <len:1>, <cmd:1>, <payload: len - 3>, <checksum:2>
+// Only append a message to console if cmd === 0x01 and checksum matches
+async function readLoop(radio) {
+    //console.log("Starting read loop...");
+    try {
+        while (radio.reading) {
+            //console.log("Reading chunk...");
+            const { value, done } = await radio.transport.read();
+            //console.log("Read chunk:", value);
+            if (done) break;
+            if (!value || !value.length) continue;
+
+            const rxTime = Date.now();
+            recordSessionEvent('rx', value, rxTime, radio.src.id);
+            processRxBytes(value, rxTime, radio.src);
+        }
+    } catch (err) {
+        console.error('Read error', err);
+        setStatus(`read error (${radio.src.label}): ` + (err.message || err));
+    }
+    // the bridge went away (an unplugged serial radio is handled by its disconnect event)
+    if (radio.reading && radio.transport.kind === 'websocket') {
+        const label = radio.src.label;
+        closeRadio(radio).catch(() => { }).finally(() => setStatus(`bridge connection closed: ${label}`));
+    }
+}
+
+// text lines from the module ('#OK', '#ERR ...') arrive between frames: bytes the
+// frame parser skips are collected here and complete '#' lines go to the terminal
+const RX_TEXT_MAX = 256;
+
+function collectRxText(bytes, src) {
+    // lines are prefixed with the receiver once several are open
+    const prefix = rxSources.size > 1 ? `<<< [${src.label}] ` : '<<< ';
+    for (const b of bytes) {
+        if (b === 0x0A) {
+            if (src.textLine) window.appendText(prefix + src.textLine.replace(/\r$/, ''));
+            src.textLine = '';
+        } else if (src.textLine ? (b >= 0x20 && b < 0x7F) || b === 0x0D : b === 0x23) {
+            // a line starts at '#' and continues while the bytes are printable
+            src.textLine = src.textLine.length < RX_TEXT_MAX ? src.textLine + String.fromCharCode(b) : '';
+        } else {
+            src.textLine = '';
+        }
+    }
+}
+
+// append a received chunk to the buffer of its receiver and dispatch every complete
+// frame in it. rxTime is the epoch ms at which the chunk arrived (live or replayed).
+function processRxBytes(value, rxTime = Date.now(), src = getRxSource(1)) {
+    const buffer = src.buffer;
+
+    // append incoming bytes to buffer
+    for (const b of value) buffer.push(b);
+    linkStats.rxBytes += value.length;
+    if (!linkStats.startedAt) linkStats.startedAt = rxTime;
+    linkStats.lastRxAt = rxTime;
+
+    // parse messages while possible
+    while (true) {
+        // find start byte 0xFF
+        const startIdx = buffer.indexOf(0xFF);
+        if (startIdx === -1) {
+            // no start byte, nothing in the buffer can belong to a frame
+            collectRxText(buffer, src);
+            linkStats.discardedBytes += buffer.length;
+            buffer.length = 0;
+            break;
+        }
+        // drop garbage in front of the start marker
+        if (startIdx > 0) {
+            collectRxText(buffer.slice(0, startIdx), src);
+            linkStats.discardedBytes += startIdx;
+            buffer.splice(0, startIdx);
+        }
+
+        // ensure we have at least start + length byte
+        if (buffer.length < 2) break;
+
+        const len = buffer[1]; // length byte
+        // payload must be at least 3 bytes: marker + checksum(2); anything above
+        // FRAME_MAX_LEN is a corrupted length byte. Either way this 0xFF was not a
+        // real start marker: skip it and rescan from the next byte
+        if (len < FRAME_MIN_LEN || len > FRAME_MAX_LEN) {
+            if (len > FRAME_MAX_LEN) linkStats.oversizedLengths++;
+            linkStats.discardedBytes++;
+            buffer.splice(0, 1);
+            continue;
+        }
+
+        const totalNeeded = 2 + len;
+        if (buffer.length < totalNeeded) break; // wait for full message
+
+        // extract full payload (len bytes)
+        const msgData = buffer.slice(2, totalNeeded);
+
+        // data to checksum = msgData[0 .. len-3] (i.e. excluding last two checksum bytes)
+        const payloadSegment = msgData.slice(0, msgData.length - 2);
+        const chkHigh = msgData[msgData.length - 2];
+        const chkLow = msgData[msgData.length - 1];
+        const expected = (chkHigh << 8) | chkLow;
+        const actual = computeChecksum(payloadSegment);
+
+        if (actual !== expected) {
+            // the claimed length cannot be trusted: resynchronize from the byte
+            // after the bad start marker so following frames are not thrown away.
+            // False 0xFF markers inside the bad frame fail too: count (and log) one
+            // failure per resync, until a valid frame is found again
+            if (!src.resyncing) {
+                const actualHex = '0x' + actual.toString(16).padStart(4, '0').toUpperCase();
+                const expectedHex = '0x' + expected.toString(16).padStart(4, '0').toUpperCase();
+                console.warn(`Checksum mismatch for message id=${msgData[1]}: actual=${actualHex} expected=${expectedHex}`);
+                linkStats.checksumErrors++;
+                src.checksumErrors++;
+                src.resyncing = true;
+            }
+            linkStats.discardedBytes++;
+            buffer.splice(0, 1);
+            continue;
+        }
+
+        // per receiver every valid frame counts; the global per-cmd counts are
+        // kept in handleFrame, once per transmission
+        src.resyncing = false;
+        src.frames++;
+        src.lastFrameAt = rxTime;
+
+        // remove consumed bytes up to end of this message
+        buffer.splice(0, totalNeeded);
+        handleFrame(msgData, rxTime, src);
+        // continue parsing any further messages in buffer
+    } // end inner parse loop
+}
+
+// dispatch one checksum-verified frame: msgData = <cmd>, <payload>, <checksum:2>
+function handleFrame(msgData, rxTime, src) {
+    const cmd = msgData[0]; // command byte
+    // status struct bytes follow the command byte; the schema is selected once per frame
+    let status = null;
+    if (cmd === 0x01) {
+        const bytes = Uint8Array.from(msgData.slice(1, msgData.length - 2));
+        status = { bytes, schema: selectStatusSchema(bytes, userStatusSchemas, builtinStatusSchemas) };
+    }
+    // every receiver that heard a robot counts, but each transmission is decoded once
+    const sender = frameSender(msgData, status);
+    const duplicate = isDuplicateFrame(msgData, rxTime, src);
+    if (sender !== null) recordReception(sender, src.id, rxTime, !duplicate);
+    if (duplicate) {
+        linkStats.duplicates++;
+        return;
+    }
+    linkStats.frames[cmd] = (linkStats.frames[cmd] || 0) + 1;
+    linkStats.lastFrameAt = rxTime;
+
+    //window.appendHex(msgData, { prefix: '' });
+    // every frame is logged, whatever tab is visible; requests at the left, answers indented
+    const node_id = (msgData[1] << 8) | msgData[2];
+    const log = (text, node = node_id) => window.appendText(text, { cmd, node });
+    let frameNode = node_id; // node (or sync id) used for the TDMA timeline
+    let parsedStatus = null;
+    switch (cmd) {
+        case 0x03://Status request message
+            log(`STATUS REQUEST ${node_id}\t--->`);
+            break;
+        case 0x01: {//Status message
+            // msgData[0] == 0x01 (marker). The C struct bytes start at msgData[1] and
+            // were split off above together with their schema
+            const parsed = status.schema ? parseMessage(status.bytes, 0, rxTime, status.schema) : null;
+            frameNode = parsed ? Number(parsed.id) : null;
+            parsedStatus = parsed;
+            if (parsed) {
+                recordSyncSample(parsed, rxTime);
+                recordStatusHistory(parsed);
+                updateStatusArray(parsed);
+                log(`                             <--- ${parsed.id} STATUS`, Number(parsed.id));
+            }
+            break;
+        }
+        case 0x04://Status not available response 
+            log(`                             <--- ${node_id} STATUS NOT AVAILABLE`);
+            break;
+        case 0x05://Sync transfer request 
+            log(`SYNC TRANSF REQ  ${node_id}\t--->`);
+            break;
+        case 0x02://Synchronization message (carries the sync id, not a node)
+            recordSyncFrame(node_id, rxTime);
+            log(`                             <--- ${node_id} SYNC`, null);
+            break;
+        case 0x06://Sync transfer ack 
+            log(`                             <--- SYNC TRANSF ACK`, null);
+            break;
+        case 0x07://Aux data request 
+            log(`AUX DATA REQUEST ${node_id}\t--->`);
+            break;
+        case 0x08: {//Aux data  ack 
+            handleAuxAck(msgData, rxTime);
+            const n_packets = (msgData[3] << 8) | msgData[4];
+            log(`                             <--- ${node_id} AUX DATA ACK (${n_packets} PCK)`);
+            break;
+        }
+        case 0x09://Aux data (code and payload ASSUMED, see the aux transfer block)
+            handleAuxData(msgData, rxTime);
+            log(`                             <--- ${node_id} AUX DATA PCK ${msgData[5]}`);
+            break;
+        case 0x0A://Aux packet request data  
+            log(`AUX DATA REQ ${node_id} PCK ${msgData[5]}\t--->`);
+            break;
+    }
+    recordTdmaFrame(cmd, frameNode, rxTime, parsedStatus);
+    recordRobotLink(cmd, frameNode, rxTime);
+}
+
+// open a radio through the selected transport, next to the ones already open (each
+// runs its own handshake and framing). Serial: the last used port when it is still
+// granted, otherwise the browser port chooser (always with chooser: true). auto:
+// reconnect attempt without a user gesture, so never prompt. Returns true once streaming.
+async function connect({ chooser = false, auto = false } = {}) {
+    const kind = transportSel.value;
+    if (kind === 'serial' && !('serial' in navigator)) {
+        setStatus('Web Serial not supported. Use the WebSocket bridge, enable experimental features or use Chromium');
+        return false;
+    }
+    // a live session replaces any replay or simulation in progress
+    if (replay) stopReplay();
+    if (simulator) stopSimulator();
+    const radio = { src: null, transport: null, port: null, reading: false };
+    try {
+        console.log("Connecting using radio config:", buildConfigString(radioConfig).trim());
+
+        if (kind === 'websocket') {
+            const url = bridgeUrlInput.value.trim();
+            setStatus(`${url}: connecting`);
+            radio.transport = createWebSocketTransport(url);
+        } else {
+            const baudRate = Number(baudInput.value) || 921600;
+            // reuse the previously granted radio, or let the user select a port
+            radio.port = chooser ? null : await findLastGrantedPort();
+            if (radio.port && radios.some(r => r.port === radio.port)) radio.port = null;
+            if (!radio.port) {
+                if (auto) return false;
+                radio.port = await navigator.serial.requestPort();
+            }
+            if (radios.some(r => r.port === radio.port)) {
+                setStatus('this radio is already open');
+                return false;
+            }
+            radio.transport = createSerialTransport(radio.port, baudRate, await getPortLabel(radio.port));
+        }
+
+        // open the transport
+        await radio.transport.open();
+        if (radio.port && !radios.length) savePref('lastPort', portInfo(radio.port));
+        const srcId = Math.max(0, ...rxSources.keys()) + 1;
+        radio.src = getRxSource(srcId, `R${srcId} ${radio.transport.label}`);
+        radios.push(radio);
+        renderRadioList();
+        if (sessionRecording && sessionRecording.baudRate == null) sessionRecording.baudRate = radio.transport.baudRate;
+        connectBtn.textContent = 'Disconnect';
+        connectBtn.style.background = '#c44';
+
+        //deviceNameEl.textContent = 'connected';
+        setStatus(radio.transport.baudRate ? `open @ ${radio.transport.baudRate}` : `open: ${radio.transport.label}`);
+
+        // Read serial port and check if "#NOT_INITIALIZED" string is on the data read. If so, print on console not initialized, if not print initialized
+        textBuffer = '';
+        let initialized = true;
+
+        try {
+            const initDeadline = Date.now() + 1000; // 1 second to detect
+            while (Date.now() < initDeadline) {
+                const { value, done } = await radio.transport.read(Math.max(1, initDeadline - Date.now()));
+                if (done) break;
+                if (value && value.length) {
+                    recordSessionEvent('rx', value, Date.now(), radio.src.id);
+                    const chunk = textDecoder.decode(value, { stream: true });
+                    textBuffer += chunk;
+                    if (textBuffer.includes('#NOT_INITIALIZED')) {
+                        initialized = false;
+                        console.log("Receiver not initialized. Initializing...");
+                        break;
+                    }
+                    // keep buffer bounded
+                    if (textBuffer.length > 1000) textBuffer = textBuffer.slice(-500);
+                }
+            }
+        }
+        catch (e) {
+            console.warn('init read error', e);
+        }
+
+        if (!initialized) {
+            console.log("Initializing receiver...");
+            // 1) send CONFIG
+            await writeString(buildConfigString(radioConfig), radio);
+
+            // 2) wait for "#OK"
+            console.log("Waiting for config ACK...");
+            try {
+                setStatus('waiting for first OK...');
+                let read = await readUntil(radio, '#OK', 200);
+                console.log("Received:", read);
+            } catch (e) {
+                console.error("Error waiting for config ACK:", e);
+                // cleanup and abort
+                try { await closeRadio(radio); } catch (_) { }
+                return false;
+            }
+
+            // 3) send RUN
+            await writeString(RUN_STR, radio);
+
+            // 4) wait for "#OK"
+            console.log("Waiting for run ACK...");
+            try {
+                setStatus('OK received');
+                let read = await readUntil(radio, '#OK', 200);
+                console.log("Received:", read);
+            } catch (e) {
+                console.error("Error waiting for run ACK:", e);
+                try { await closeRadio(radio); } catch (_) { }
+                return false;
+            }
+        } else {
+            console.log("Receiver already initialized.");
+        }
+
+        // 5) start continuous read loop (message-oriented)
+        radio.reading = true;
+        setStatus(radios.length > 1 ? `running - ${radios.length} radios` : 'running - streaming hex messages');
+        readLoop(radio);
+        return true;
+    } catch (err) {
+        console.error(err);
+        setStatus('open error: ' + (err.message || err));
+        try { await closeRadio(radio); } catch (_) { }
+        return false;
+    }
+}
+
+// close every radio and clear the session
+async function disconnect() {
+    const open = radios.splice(0);
+    try {
+        for (const r of open) {
+            r.reading = false;
+            await r.transport.close();
+        }
+        setStatus('closed');
+        connectBtn.textContent = 'Connect';
+        connectBtn.style.background = '#2b6';
+    } catch (err) {
+        console.warn('disconnect error', err);
+        setStatus('close error: ' + (err.message || err));
+    } finally {
+        renderRadioList();
+    }
+    // clear all runtime state produced by the session so reconnect starts fresh
+    clearSessionState();
+    rxSources.clear();
+}
+
+// close one radio; the session and the other radios keep running (closing the
+// last one is a full disconnect)
+async function closeRadio(radio) {
+    if (!radios.includes(radio)) {
+        // failed while opening: only the transport needs closing
+        if (radio.transport) try { await radio.transport.close(); } catch (e) { /* ignore */ }
+        return;
+    }
+    if (radios.length === 1) return disconnect();
+    radios.splice(radios.indexOf(radio), 1);
+    radio.reading = false;
+    try {
+        await radio.transport.close();
+    } catch (e) {
+        console.warn('close error', e);
+    }
+    radio.src.buffer.length = 0;
+    renderRadioList();
+    setStatus(`${radio.src.label} closed - ${radios.length} radio${radios.length > 1 ? 's' : ''} open`);
+}
+
+// device label: one chip per open radio, with a close button when several are open
+function renderRadioList() {
+    if (!radios.length) {
+        deviceNameEl.textContent = idleDeviceLabel();
+        addRadioBtn.classList.add('hidden');
+        return;
+    }
+    deviceNameEl.innerHTML = radios.map(r => `<span class="radio-chip">${escapeXml(r.src.label)}` +
+        (radios.length > 1 ? `<span class="radio-close" data-radio="${r.src.id}" title="Close this radio">×</span>` : '') + '</span>').join('');
+    addRadioBtn.classList.remove('hidden');
+}
+
+// reset decoded state (statuses, markers, tree, terminal, parser buffer)
+// used on disconnect and whenever a replay restarts from the beginning
+function clearSessionState() {
+    try {
+        // drop any partially received frame or text line
+        for (const src of rxSources.values()) {
+            src.buffer.length = 0;
+            src.textLine = '';
+            src.frames = 0;
+            src.checksumErrors = 0;
+            src.resyncing = false;
+            src.lastFrameAt = 0;
+        }
+        recentFrames.clear();
+        robotReceivers.clear();
+        // clear status array
+        statusArray.length = 0;
+        renderMeasureList();
+        // remove all markers from the map
+        if (map) {
+            for (const m of markers.values()) {
+                try { map.removeLayer(m); } catch (e) { /* ignore */ }
+            }
+        }
+        markers.clear();
+        removeAllTrails();
+        removeAllCovCircles();
+        // remove tree DOM
+        removeTreeContainer();
+        // reset first-location flag so map recenters on next valid position
+        firstLocationSet = false;
+        activeCenteredId = null;
+        resetLinkStats();
+        auxTransfers.clear();
+        geofenceViolations.clear();
+        clearSeparationLines();
+        tdmaCycles.length = 0;
+        syncHistory.length = 0;
+        syncSamples.clear();
+        statusHistory.clear();
+        robotLinkStats.clear();
+        // clear terminal buffer and view
+        clearTerminal();
+    } catch (e) {
+        console.warn('session state cleanup failed', e);
+    }
+}
+
+// USB ids of a port (null when the port is not a USB device)
+function portInfo(p) {
+    try {
+        const info = (p && typeof p.getInfo === 'function') ? p.getInfo() : {};
+        return { usbVendorId: info.usbVendorId ?? null, usbProductId: info.usbProductId ?? null };
+    } catch (e) {
+        return { usbVendorId: null, usbProductId: null };
+    }
+}
+
+// previously granted port matching the VID/PID of the last used one (null if none)
+async function findLastGrantedPort() {
+    const last = loadPref('lastPort', null);
+    if (!last || last.usbVendorId == null) return null;
+    const ports = await navigator.serial.getPorts();
+    return ports.find(p => {
+        const info = portInfo(p);
+        return info.usbVendorId === last.usbVendorId && info.usbProductId === last.usbProductId;
+    }) || null;
+}
+
+// automatic reconnection after the radio was unplugged: retries with exponential backoff
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+let reconnectState = null; // { attempt, timer }
+
+function scheduleReconnect() {
+    if (!reconnectState) reconnectState = { attempt: 0, timer: null };
+    clearTimeout(reconnectState.timer);
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * Math.pow(2, reconnectState.attempt));
+    reconnectState.attempt++;
+    reconnectState.timer = setTimeout(tryReconnect, delay);
+    setStatus(`radio unplugged - retrying in ${Math.round(delay / 1000)} s`);
+}
+
+function cancelReconnect() {
+    if (!reconnectState) return;
+    clearTimeout(reconnectState.timer);
+    reconnectState = null;
+}
+
+async function tryReconnect() {
+    if (!reconnectState || radios.length) return;
+    clearTimeout(reconnectState.timer);
+    let candidate = null;
+    try { candidate = await findLastGrantedPort(); } catch (e) { /* ignore */ }
+    if (!reconnectState || radios.length) return;
+    if (candidate && await connect({ auto: true })) {
+        cancelReconnect();
+        return;
+    }
+    scheduleReconnect();
+}
+
+// reopen the last used radio on page load and react to physical plug/unplug events
+if ('serial' in navigator) {
+    // initial availability: reconnect to the previously granted radio if it is plugged in
+    (async () => {
+        try {
+            if (transportSel.value === 'serial' && await findLastGrantedPort()) await connect({ auto: true });
+        } catch (e) {
+            console.warn('getPorts failed', e);
+        }
+    })();
+
+    // when a granted device is physically connected, retry right away
+    navigator.serial.addEventListener('connect', () => {
+        if (reconnectState) tryReconnect();
+    });
+
+    // when a device is physically disconnected
+    navigator.serial.addEventListener('disconnect', (ev) => {
+        try {
+            // if the disconnected port is one of the open radios, close it and,
+            // when it was the last one, wait for it to come back
+            const radio = ev && ev.port && radios.find(r => r.port === ev.port);
+            if (radio) {
+                closeRadio(radio).catch(() => { }).finally(() => {
+                    if (!radios.length) scheduleReconnect();
+                });
+            }
+        } catch (e) { console.warn(e); }
+    });
+}
+
+
+// session recorder: raw rx chunks and tx writes, each stamped with ms since start
+// (the CONFIG/RUN handshake is captured too when recording starts before connect)
+let sessionRecording = null; // { startedAt, baudRate, events: [{ t, dir, data }] }
+
+// active replay of a loaded session file (null when the source is the serial port)
+let replay = null;
+const REPLAY_TICK_MS = 50;
+
+// current time of the data source: wall clock when live, virtual clock when replaying
+function nowMs() {
+    return replay ? replay.startedAt + replay.pos : Date.now();
+}
+
+function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; ++i) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+    const bin = atob(b64);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; ++i) out[i] = bin.charCodeAt(i);
+    return out;
+}
+
+// trigger a browser download for a Blob
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// local date/time usable in file names, e.g. 2024-05-01_13-45-10
+function fileTimestamp(d = new Date()) {
+    const p = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}_${p(d.getHours())}-${p(d.getMinutes())}-${p(d.getSeconds())}`;
+}
+
+// radio: receiver the bytes came from or went to (events without one belong to receiver 1)
+function recordSessionEvent(dir, bytes, time = Date.now(), radio = null) {
+    if (!sessionRecording || replay || !bytes || !bytes.length) return;
+    const ev = { t: time - sessionRecording.startedAt, dir, data: bytesToBase64(bytes) };
+    if (radio !== null && radio !== 1) ev.radio = radio;
+    sessionRecording.events.push(ev);
+}
+
+function startSessionRecording() {
+    sessionRecording = {
+        startedAt: Date.now(),
+        baudRate: radios.length ? radios[0].transport.baudRate : null,
+        events: []
+    };
+    recordBtn.textContent = 'Stop rec';
+    recordBtn.style.background = '#c44';
+    setStatus(radios.length ? 'recording' : 'recording armed - handshake will be captured on connect');
+}
+
+// stop recording and offer the session as a JSON download
+function stopSessionRecording() {
+    const rec = sessionRecording;
+    sessionRecording = null;
+    recordBtn.textContent = 'Rec';
+    recordBtn.style.background = 'rgba(200, 120, 40, 1)';
+    if (!rec || rec.events.length === 0) {
+        showInfoDialog('Nothing was received while recording.', 'Recording');
+        return;
+    }
+    const session = {
+        format: 'www_radio-session',
+        version: 1,
+        startedAt: new Date(rec.startedAt).toISOString(),
+        baudRate: rec.baudRate,
+        radioConfig,
+        radios: [...rxSources.values()].map(src => ({ id: src.id, label: src.label })),
+        events: rec.events
+    };
+    downloadBlob(new Blob([JSON.stringify(session)], { type: 'application/json' }), `session_${fileTimestamp(new Date(rec.startedAt))}.json`);
+    setStatus(`recording saved (${rec.events.length} chunks)`);
+}
+
+async function loadReplayFile(file) {
+    if (!file) return;
+    let session;
+    try {
+        session = JSON.parse(await file.text());
+    } catch (e) {
+        showInfoDialog('Could not read session file: ' + (e.message || e), 'Replay');
+        return;
+    }
+    if (!session || session.format !== 'www_radio-session' || !Array.isArray(session.events)) {
+        showInfoDialog('Not a recorded session file.', 'Replay');
+        return;
+    }
+    await startReplay(session, file.name);
+}
+
+async function startReplay(session, name) {
+    cancelReconnect();
+    // only one data source at a time
+    if (radios.length) await disconnect();
+    if (replay) stopReplay();
+    if (simulator) stopSimulator();
+
+    const events = [];
+    for (const ev of session.events) {
+        if (!ev || ev.dir !== 'rx' || typeof ev.data !== 'string') continue;
+        try {
+            events.push({ t: Math.max(0, Number(ev.t) || 0), bytes: base64ToBytes(ev.data), radio: Number(ev.radio) || 1 });
+        } catch (e) { /* skip corrupted chunk */ }
+    }
+    events.sort((a, b) => a.t - b.t);
+
+    clearSessionState();
+    // every recorded receiver is framed separately, as it was live
+    rxSources.clear();
+    for (const r of Array.isArray(session.radios) ? session.radios : []) {
+        if (Number(r.id) > 0) getRxSource(Number(r.id), String(r.label || `R${r.id}`));
+    }
+    replay = {
+        name,
+        startedAt: Date.parse(session.startedAt) || 0,
+        events,
+        duration: events.length ? events[events.length - 1].t : 0,
+        pos: 0,
+        idx: 0,
+        playing: false,
+        speed: Number(replaySpeedSel.value) || 1,
+        timer: setInterval(replayTick, REPLAY_TICK_MS),
+        lastTick: Date.now()
+    };
+    deviceNameEl.textContent = `${name}: replay`;
+    replaySeek.max = String(replay.duration);
+    replayBar.style.display = 'flex';
+    setReplayPlaying(true);
+    setStatus(`replaying ${name}`);
+}
+
+function stopReplay() {
+    if (!replay) return;
+    clearInterval(replay.timer);
+    replay = null;
+    replayBar.style.display = 'none';
+    clearSessionState();
+    rxSources.clear();
+    deviceNameEl.textContent = idleDeviceLabel();
+    setStatus('replay closed');
+}
+
+function setReplayPlaying(playing) {
+    if (!replay) return;
+    // restart from the beginning when play is pressed at the end
+    if (playing && replay.pos >= replay.duration) seekReplay(0);
+    replay.playing = playing;
+    replay.lastTick = Date.now();
+    replayPlayBtn.textContent = playing ? 'Pause' : 'Play';
+    updateReplayBar();
+}
+
+// feed every recorded chunk up to pos (ms since start) through the frame parser
+function feedReplayUntil(pos) {
+    while (replay.idx < replay.events.length && replay.events[replay.idx].t <= pos) {
+        const ev = replay.events[replay.idx++];
+        processRxBytes(ev.bytes, replay.startedAt + ev.t, getRxSource(ev.radio));
+    }
+    replay.pos = pos;
+}
+
+function seekReplay(pos) {
+    if (!replay) return;
+    pos = Math.max(0, Math.min(replay.duration, Number(pos) || 0));
+    // going backwards means decoding again from the start
+    if (pos < replay.pos) {
+        clearSessionState();
+        replay.idx = 0;
+        replay.pos = 0;
+    }
+    feedReplayUntil(pos);
+    updateReplayBar();
+}
+
+function replayTick() {
+    if (!replay || !replay.playing) return;
+    const now = Date.now();
+    const dt = now - replay.lastTick;
+    replay.lastTick = now;
+    feedReplayUntil(Math.min(replay.duration, replay.pos + dt * replay.speed));
+    if (replay && replay.pos >= replay.duration) setReplayPlaying(false);
+    updateReplayBar();
+}
+
+function formatReplayTime(ms) {
+    const total = Math.floor(ms / 1000);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+function updateReplayBar() {
+    if (!replay) return;
+    if (!replaySeek._dragging) replaySeek.value = String(Math.round(replay.pos));
+    replayTimeEl.textContent = `${formatReplayTime(replay.pos)} / ${formatReplayTime(replay.duration)}`;
+}
+
+// built-in simulated radio: N robots on configurable paths answering a TDMA cycle
+// (SYNC, STATUS REQUEST, STATUS / NOT AVAILABLE, aux transfers). The generated
+// bytes go through processRxBytes like the serial port, and uplink frames written
+// while it runs are answered by the simulated robots.
+const SIM_TICK_MS = 10;
+const SIM_PATHS = ['circle', 'line', 'figure8', 'random'];
+const SIM_AUX_PACKET_BYTES = 64;
+const simSettings = Object.assign({
+    robots: 3,
+    path: 'circle',
+    speed: 1.0, // m/s
+    radiusM: 15,
+    cycleMs: 200,
+    checksumErrorPct: 0,
+    dropoutPct: 0, // chance per robot and cycle to drop out for 1-5 s
+    aux: false,
+    originLat: 46.5197,
+    originLon: 6.5660
+}, loadPref('simulator', {}));
+let simulator = null; // { timer, queue, robots, syncId, cycleStart, nextCycle, aux }
+
+function simRobot(id, index, count) {
+    return {
+        id,
+        phase: index / Math.max(1, count), // fraction of the path ahead of robot 1
+        skew: Math.round(Math.random() * 4 - 2), // ms, robot clock vs radio
+        e: null, n: null, heading: 0, t: null,
+        walk: { e: (Math.random() - 0.5) * simSettings.radiusM, n: (Math.random() - 0.5) * simSettings.radiusM, heading: Math.random() * 2 * Math.PI },
+        downUntil: 0,
+        auxPending: false
+    };
+}
+
+function simSyncRobots() {
+    const n = Math.max(1, Math.min(20, Math.round(simSettings.robots) || 1));
+    const robots = simulator.robots;
+    while (robots.length > n) robots.pop();
+    for (let i = 0; i < robots.length; ++i) robots[i].phase = i / n;
+    while (robots.length < n) robots.push(simRobot(robots.length + 1, robots.length, n));
+}
+
+// position (ENU metres around the origin) of a robot at time t
+function simPathPosition(r, t, dt) {
+    const R = Math.max(1, simSettings.radiusM);
+    const a = simSettings.speed * t / 1000 / R + r.phase * 2 * Math.PI;
+    switch (simSettings.path) {
+        case 'line': {
+            // back and forth along the east axis, one lane per robot
+            const u = ((a / Math.PI) % 2 + 2) % 2;
+            return { e: R * (u < 1 ? 2 * u - 1 : 3 - 2 * u), n: (r.id - 1) * 3 };
+        }
+        case 'figure8':
+            return { e: R * Math.sin(a), n: R * Math.sin(a) * Math.cos(a) };
+        case 'random': {
+            // random walk that turns back towards the origin when leaving the area
+            const w = r.walk;
+            const home = Math.atan2(-w.n, -w.e);
+            if (Math.hypot(w.e, w.n) > R) w.heading += Math.atan2(Math.sin(home - w.heading), Math.cos(home - w.heading)) * 0.2;
+            else w.heading += (Math.random() - 0.5) * 0.4;
+            const step = simSettings.speed * dt / 1000;
+            w.e += step * Math.cos(w.heading);
+            w.n += step * Math.sin(w.heading);
+            return { e: w.e, n: w.n };
+        }
+        default:
+            return { e: R * Math.cos(a), n: R * Math.sin(a) };
+    }
+}
+
+// 40-byte status struct (little-endian, same layout as parseMessage)
+function simStatusBytes(r, t, syncId, offsetMs) {
+    const dt = r.t === null ? SIM_TICK_MS : Math.max(1, t - r.t);
+    const p = simPathPosition(r, t, dt);
+    let ve = 0;
+    let vn = 0;
+    let rot = 0;
+    let heading = r.heading;
+    if (r.e !== null) {
+        ve = (p.e - r.e) / dt * 1000;
+        vn = (p.n - r.n) / dt * 1000;
+        if (Math.hypot(ve, vn) > 1e-3) heading = Math.atan2(vn, ve);
+        rot = Math.atan2(Math.sin(heading - r.heading), Math.cos(heading - r.heading)) / dt * 1000;
+    }
+    Object.assign(r, { e: p.e, n: p.n, heading, t });
+
+    const lat0 = simSettings.originLat;
+    const lat = lat0 + p.n / EARTH_RADIUS_M * 180 / Math.PI;
+    const lon = simSettings.originLon + p.e / (EARTH_RADIUS_M * Math.cos(lat0 * Math.PI / 180)) * 180 / Math.PI;
+    const mm = v => Math.max(-32768, Math.min(32767, Math.round(v * 1000)));
+    const b = new ArrayBuffer(40);
+    const dv = new DataView(b);
+    dv.setUint16(0, r.id, true);
+    dv.setUint16(2, syncId, true);
+    dv.setInt16(4, Math.max(-32768, Math.min(32767, Math.round(offsetMs))), true);
+    dv.setFloat64(8, lat, true);
+    dv.setFloat64(16, lon, true);
+    dv.setFloat32(24, heading, true);
+    dv.setFloat32(28, 0.05 + Math.random() * 0.1, true);
+    // body frame speeds: x forward, y left
+    dv.setInt16(32, mm(ve * Math.cos(heading) + vn * Math.sin(heading)), true);
+    dv.setInt16(34, mm(-ve * Math.sin(heading) + vn * Math.cos(heading)), true);
+    dv.setInt16(36, mm(rot), true);
+    dv.setUint8(38, 1);
+    dv.setUint8(39, r.auxPending ? 1 : 0);
+    return new Uint8Array(b);
+}
+
+function simQueue(at, build) {
+    simulator.queue.push({ at, build });
+    simulator.queue.sort((a, b) => a.at - b.at);
+}
+
+// one TDMA cycle: SYNC, then a request/answer slot pair per robot, then an aux slot
+function simScheduleCycle(t0) {
+    const sim = simulator;
+    const slot = Math.max(1, tdmaSettings.slotMs);
+    sim.syncId = (sim.syncId + 1) & 0xFFFF;
+    sim.cycleStart = t0; // time of the SYNC that statuses answered out of slot refer to
+    const syncId = sim.syncId;
+    simQueue(t0, () => encodeFrame(0x02, nodeIdBytes(syncId)));
+    sim.robots.forEach((r, i) => {
+        const reqAt = t0 + (1 + 2 * i) * slot;
+        simQueue(reqAt, () => encodeFrame(0x03, nodeIdBytes(r.id)));
+        simQueue(reqAt + slot, () => {
+            if (r.downUntil <= reqAt && Math.random() * 100 < simSettings.dropoutPct) {
+                r.downUntil = reqAt + 1000 + Math.random() * 4000;
+            }
+            if (r.downUntil > reqAt) return encodeFrame(0x04, nodeIdBytes(r.id));
+            return encodeFrame(0x01, simStatusBytes(r, reqAt + slot, syncId, reqAt + slot - t0 + r.skew));
+        });
+    });
+    const cycleMs = Math.max(simSettings.cycleMs, (2 + 2 * sim.robots.length) * slot);
+    simScheduleAux(t0 + (1 + 2 * sim.robots.length) * slot, cycleMs);
+    return cycleMs;
+}
+
+// aux transfers: a robot flags pending data, the radio requests it, the robot acks
+// with the packet count and sends one packet per cycle (lost packets are asked again)
+function simScheduleAux(at, cycleMs) {
+    const sim = simulator;
+    const tr = sim.aux;
+    if (!tr) {
+        // about one new transfer every 10 s
+        if (!simSettings.aux || Math.random() > cycleMs / 10000) return;
+        const r = sim.robots[Math.floor(Math.random() * sim.robots.length)];
+        const size = 200 + Math.floor(Math.random() * 1200);
+        const data = new Uint8Array(size);
+        for (let i = 0; i < size; ++i) data[i] = Math.floor(Math.random() * 256);
+        r.auxPending = true;
+        sim.aux = { id: r.id, data, nPackets: Math.ceil(size / SIM_AUX_PACKET_BYTES), next: -1, resend: [] };
+        return;
+    }
+    if (tr.next === -1) {
+        simQueue(at, () => encodeFrame(0x07, nodeIdBytes(tr.id)));
+        tr.next = 0;
+        return;
+    }
+    if (tr.next === 0 && !tr.acked) {
+        const n = tr.nPackets;
+        const size = tr.data.length;
+        simQueue(at, () => encodeFrame(0x08, [...nodeIdBytes(tr.id), (n >> 8) & 0xFF, n & 0xFF, (size >> 8) & 0xFF, size & 0xFF]));
+        tr.acked = true;
+        return;
+    }
+    const pck = tr.resend.length ? tr.resend.shift() : tr.next++;
+    if (pck < tr.nPackets) simQueue(at, () => simAuxPacket(tr, pck));
+    if (tr.next >= tr.nPackets && !tr.resend.length) {
+        const r = sim.robots.find(x => x.id === tr.id);
+        if (r) r.auxPending = false;
+        // keep answering packet requests for a while before the next transfer
+        if (tr.next++ > tr.nPackets + 50) sim.aux = null;
+    }
+}
+
+function simAuxPacket(tr, pck) {
+    const chunk = tr.data.slice(pck * SIM_AUX_PACKET_BYTES, (pck + 1) * SIM_AUX_PACKET_BYTES);
+    return encodeFrame(0x09, [...nodeIdBytes(tr.id), (tr.nPackets >> 8) & 0xFF, tr.nPackets & 0xFF, pck, ...chunk]);
+}
+
+function simTick() {
+    const sim = simulator;
+    if (!sim) return;
+    const now = Date.now();
+    if (now >= sim.nextCycle) sim.nextCycle = Math.max(sim.nextCycle, now - 1000) + simScheduleCycle(Math.max(sim.nextCycle, now));
+    while (sim.queue.length && sim.queue[0].at <= now) {
+        const item = sim.queue.shift();
+        const bytes = item.build();
+        if (!bytes) continue;
+        // corrupt one byte after the length to exercise checksum resynchronization
+        if (Math.random() * 100 < simSettings.checksumErrorPct) bytes[2 + Math.floor(Math.random() * (bytes.length - 2))] ^= 0x5A;
+        recordSessionEvent('rx', bytes, now, sim.src.id);
+        processRxBytes(bytes, now, sim.src);
+    }
+}
+
+// frames written to the simulated radio: requests are answered in the next slot
+function simulatorUplink(bytes) {
+    const sim = simulator;
+    for (let i = 0; i + 2 < bytes.length; ++i) {
+        if (bytes[i] !== 0xFF) continue;
+        const len = bytes[i + 1];
+        const f = bytes.slice(i + 2, i + 2 + len);
+        if (len < FRAME_MIN_LEN || f.length < len) continue;
+        i += 1 + len;
+        const id = (f[1] << 8) | f[2];
+        const r = sim.robots.find(x => x.id === id);
+        const at = Date.now() + tdmaSettings.slotMs;
+        if (f[0] === 0x03 && r) simQueue(at, () => encodeFrame(0x01, simStatusBytes(r, at, sim.syncId, at - sim.cycleStart + r.skew)));
+        else if (f[0] === 0x07 && sim.aux && sim.aux.id === id && sim.aux.next === -1) sim.aux.next = 0;
+        else if (f[0] === 0x0A && sim.aux && sim.aux.id === id && f[5] < sim.aux.nPackets) sim.aux.resend.push(f[5]);
+    }
+}
+
+function readSimControls() {
+    simSettings.robots = Number(simRobotsInput.value) || simSettings.robots;
+    simSettings.path = SIM_PATHS.includes(simPathSel.value) ? simPathSel.value : 'circle';
+    simSettings.speed = Math.max(0, Number(simSpeedInput.value) || 0);
+    simSettings.checksumErrorPct = Math.max(0, Math.min(100, Number(simErrInput.value) || 0));
+    simSettings.dropoutPct = Math.max(0, Math.min(100, Number(simDropInput.value) || 0));
+    simSettings.aux = simAuxCheck.checked;
+    savePref('simulator', simSettings);
+    if (simulator) simSyncRobots();
+}
+
+async function startSimulator() {
+    cancelReconnect();
+    // only one data source at a time
+    if (radios.length) await disconnect();
+    if (replay) stopReplay();
+    clearSessionState();
+    rxSources.clear();
+    simulator = { timer: setInterval(simTick, SIM_TICK_MS), queue: [], robots: [], syncId: 0, cycleStart: Date.now(), nextCycle: Date.now(), aux: null, src: getRxSource(1, 'Simulator') };
+    simSyncRobots();
+    deviceNameEl.textContent = 'Simulator: running';
+    simBtn.textContent = 'Stop sim';
+    simBtn.style.background = '#c44';
+    simBar.style.display = 'flex';
+    setStatus(`simulating ${simulator.robots.length} robots`);
+}
+
+function stopSimulator() {
+    if (!simulator) return;
+    clearInterval(simulator.timer);
+    simulator = null;
+    simBtn.textContent = 'Sim';
+    simBtn.style.background = 'rgba(90, 160, 90, 1)';
+    simBar.style.display = 'none';
+    clearSessionState();
+    rxSources.clear();
+    deviceNameEl.textContent = idleDeviceLabel();
+    setStatus('simulator stopped');
+}
+
+// built-in layouts plus the ones loaded from JSON files (kept between sessions);
+// the schema format and decoding are in status_schema.js
+const builtinStatusSchemas = BUILTIN_STATUS_SCHEMAS.map(normalizeStatusSchema);
+let userStatusSchemas = [];
+for (const raw of loadPref('statusSchemas', [])) {
+    try {
+        userStatusSchemas.push(normalizeStatusSchema(raw));
+    } catch (e) {
+        console.warn('ignoring saved status schema', e);
+    }
+}
+
+function saveUserStatusSchemas() {
+    savePref('statusSchemas', userStatusSchemas.map(s => s.source));
+}
+
+// a JSON file holds one schema, an array of schemas or { schemas: [...] };
+// a loaded schema replaces the one with the same name
+function importStatusSchemas(data) {
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.schemas) ? data.schemas : [data]);
+    const loaded = list.map(normalizeStatusSchema);
+    for (const s of loaded) {
+        userStatusSchemas = userStatusSchemas.filter(x => x.name !== s.name);
+        userStatusSchemas.push(s);
+    }
+    saveUserStatusSchemas();
+    return loaded;
+}
+
+function showStatusSchemaDialog() {
+    const { box, close } = openDialog('Status payload schemas', 480);
+    const list = document.createElement('div');
+    list.style = 'display:grid;grid-template-columns:1fr auto auto auto;gap:4px 10px;align-items:center;font-size:13px';
+    box.appendChild(list);
+    const info = document.createElement('div');
+    info.style = 'margin-top:8px;font-size:12px;color:#f39c12;white-space:pre-line;min-height:16px';
+    box.appendChild(info);
+
+    const render = () => {
+        list.innerHTML = '';
+        const add = (html) => {
+            const d = document.createElement('div');
+            d.innerHTML = html;
+            list.appendChild(d);
+            return d;
+        };
+        for (const s of [...userStatusSchemas, ...builtinStatusSchemas]) {
+            const builtin = builtinStatusSchemas.includes(s);
+            add(`${escapeXml(s.name)}${builtin ? ' <span style="color:#888">(built-in)</span>' : ''}`);
+            add(s.versionField ? `version ${s.version}` : `${s.size} bytes`);
+            add(`${s.fields.length} fields`);
+            const cell = add('');
+            if (builtin) continue;
+            const rm = document.createElement('button');
+            rm.className = 'dialog-button';
+            rm.textContent = 'Remove';
+            rm.onclick = () => {
+                userStatusSchemas = userStatusSchemas.filter(x => x !== s);
+                saveUserStatusSchemas();
+                render();
+            };
+            cell.appendChild(rm);
+        }
+    };
+    render();
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const loaded = importStatusSchemas(JSON.parse(await file.text()));
+            info.textContent = `loaded ${loaded.map(s => s.name).join(', ')}`;
+            render();
+        } catch (e) {
+            info.textContent = 'Load failed: ' + (e.message || e);
+        }
+    });
+    box.appendChild(fileInput);
+
+    const btnRow = document.createElement('div');
+    btnRow.style = 'display:flex;gap:8px;justify-content:flex-end;margin-top:12px';
+    const mkBtn = (text, onclick) => {
+        const b = document.createElement('button');
+        b.className = 'dialog-button';
+        b.textContent = text;
+        b.onclick = onclick;
+        btnRow.appendChild(b);
+    };
+    mkBtn('Load JSON...', () => fileInput.click());
+    // the built-in layout as a starting point for a new firmware version
+    mkBtn('Export template', () => {
+        downloadBlob(new Blob([JSON.stringify({ schemas: BUILTIN_STATUS_SCHEMAS }, null, 2)], { type: 'application/json' }), 'status_schema.json');
+    });
+    mkBtn('Close', close);
+    box.appendChild(btnRow);
+}
+
+/**
+ * Parse a status message status data struct, using the given schema or the one
+ * selected for the payload (see selectStatusSchema). Returns null when no schema fits.
+ */
+function parseMessage(buf, startOffset = 0, rxTime = Date.now(), schema = null) {
+    const p = buf instanceof Uint8Array ? buf : Uint8Array.from(buf);
+    const payload = p.subarray(startOffset);
+    if (!schema) schema = selectStatusSchema(payload, userStatusSchemas, builtinStatusSchemas);
+    if (!schema) return null;
+
+    const decoded = decodeStatusFields(schema, payload);
+    const v = decoded.values;
+    const { id, sync_id, time_offset_ms, latitude, longitude, heading } = v;
+    // optional in a schema: motion and mode fields default to 0, the covariance to unknown
+    const cov_pos = v.cov_pos ?? NaN;
+    const speed_x = v.speed_x ?? 0;
+    const speed_y = v.speed_y ?? 0;
+    const rot_speed = v.rot_speed ?? 0;
+    const drive_mode = v.drive_mode ?? 0;
+    const aux_data_status = v.aux_data_status ?? 0;
+    const tstamp = new Date(rxTime);
+    // robot-side time base: arrival of the followed SYNC plus the robot's offset
+    const robotClock = resolveRobotTime(sync_id, time_offset_ms);
+    const robot_time = robotClock.time !== null ? new Date(robotClock.time) : null;
+    const sync_state = robotClock.state;
+
+    return {
+        id,
+        sync_id,
+        time_offset_ms,
+        latitude,
+        longitude,
+        heading,
+        cov_pos,
+        speed_x,
+        speed_y,
+        rot_speed,
+        drive_mode,
+        aux_data_status,
+        schema: schema.name,
+        bits: decoded.bits,
+        units: decoded.units,
+        extra: decoded.extra,
+        tstamp,
+        robot_time,
+        sync_state
+    };
+}
+
+function latLngToRobotXY(lat0, lon0, lat1, lon1, headingRad) {
+    const R = 6371000; // earth radius (m)
+    const toRad = Math.PI / 180;
+    const dLat = (lat1 - lat0) * toRad;
+    const dLon = (lon1 - lon0) * toRad;
+    const meanLat = (lat0 + lat1) * 0.5 * toRad;
+
+    // delta in global East/North (meters)
+    const dNorth = dLat * R;
+    const dEast = dLon * R * Math.cos(meanLat);
+
+    // robot x unit in global ENU: [cosθ, sinθ], y unit: [-sinθ, cosθ]
+    const cosH = Math.cos(headingRad), sinH = Math.sin(headingRad);
+
+    const x = dEast * cosH + dNorth * sinH;          // forward (m)
+    const y = -dEast * sinH + dNorth * cosH;         // left  (m)
+    return { x, y };
+}
+
+
+// robot lifecycle: the time since the last status moves a robot from live to
+// late, stale and finally lost; lost robots are removed or kept as dimmed ghosts
+const lifecycleSettings = Object.assign({ lateS: 2, staleS: 5, lostS: 30, lostAction: 'ghost' }, loadPref('lifecycleSettings', {}));
+const STATE_MARKER_OPACITY = { live: 1, late: 0.85, stale: 0.55, lost: 0.3 };
+
+function robotState(s, now) {
+    const last = s.tstamp ? (new Date(s.tstamp)).getTime() : now;
+    const elapsedS = Math.max(0, now - last) / 1000;
+    if (elapsedS >= lifecycleSettings.lostS) return 'lost';
+    if (elapsedS >= lifecycleSettings.staleS) return 'stale';
+    if (elapsedS >= lifecycleSettings.lateS) return 'late';
+    return 'live';
+}
+
+// apply a state to the tree entry and marker of a robot (no-op when unchanged)
+function setRobotState(s, state) {
+    if (s._state === state) return;
+    s._state = state;
+    const entryEl = document.querySelector(`.tree-entry[data-id="${s.id}"]`);
+    if (entryEl) entryEl.dataset.state = state;
+    const m = markers.get(s.id);
+    if (m) {
+        m.setOpacity(STATE_MARKER_OPACITY[state]);
+        const el = m.getElement();
+        if (el) el.classList.toggle('robot-ghost', state === 'lost');
+    }
+}
+
+function updateRobotLifecycle(now) {
+    // iterate backwards: removing lost robots shrinks statusArray
+    for (let i = statusArray.length - 1; i >= 0; --i) {
+        const s = statusArray[i];
+        const state = robotState(s, now);
+        if (state === 'lost' && lifecycleSettings.lostAction === 'remove') removeRobot(s.id);
+        else setRobotState(s, state);
+    }
+}
+
+// drop a robot from the tree and the map (marker, trail, uncertainty circle)
+function removeRobot(id) {
+    id = Number(id);
+    const m = markers.get(id);
+    if (m && map) map.removeLayer(m);
+    markers.delete(id);
+    const tr = trails.get(id);
+    if (tr && map) map.removeLayer(tr.line);
+    trails.delete(id);
+    const c = covCircles.get(id);
+    if (c && map) map.removeLayer(c);
+    covCircles.delete(id);
+    const entryEl = document.querySelector(`.tree-entry[data-id="${id}"]`);
+    if (entryEl && entryEl.parentNode) entryEl.parentNode.removeChild(entryEl);
+    if (activeCenteredId === id) activeCenteredId = null;
+    geofenceViolations.delete(id);
+    robotLinkStats.delete(id);
+    syncSamples.delete(id);
+    robotReceivers.delete(id);
+    statusHistory.delete(id);
+    removeStatusById(id);
+    renderMeasureList();
+    checkSeparation();
+}
+
+// latency scale ticks from 0 s to the stale threshold, at a readable step
+function renderLatencyScale(scaleArea = document.getElementById('latencyScale')) {
+    if (!scaleArea) return;
+    scaleArea.innerHTML = '';
+    const maxS = lifecycleSettings.staleS;
+    const step = [0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300].find(v => maxS / v <= 6) || Math.ceil(maxS / 6);
+    for (let t = 0; t <= maxS + 1e-9; t += step) {
+        const pos = (t / maxS) * 100;
+        const tick = document.createElement('div');
+        tick.style.position = 'absolute';
+        tick.style.left = pos + '%';
+        tick.style.top = '0';
+        tick.style.transform = 'translateX(-50%)';
+        tick.style.display = 'flex';
+        tick.style.flexDirection = 'column';
+        tick.style.alignItems = 'center';
+        tick.style.fontSize = '0.75em';
+        tick.style.color = '#9ad';
+        tick.style.opacity = '0.9';
+
+        const line = document.createElement('div');
+        line.style.width = '2px';
+        line.style.height = '8px';
+        line.style.background = '#9ad';
+        line.style.marginBottom = '2px';
+
+        const lbl = document.createElement('div');
+        lbl.textContent = (Math.round(t * 10) / 10) + 's';
+        lbl.style.lineHeight = '1';
+        lbl.style.fontSize = '10px';
+
+        tick.appendChild(line);
+        tick.appendChild(lbl);
+        scaleArea.appendChild(tick);
+    }
+}
+
+// map panel with the lifecycle thresholds and what happens to lost robots
+function createLifecycleControl() {
+    const LifecycleControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const box = L.DomUtil.create('div', 'map-control');
+            L.DomEvent.disableClickPropagation(box);
+            L.DomEvent.disableScrollPropagation(box);
+
+            const title = document.createElement('div');
+            title.className = 'map-control-title';
+            title.textContent = 'Robot timeouts (s)';
+            box.appendChild(title);
+
+            const inputs = {};
+            const showValues = () => {
+                for (const key of Object.keys(inputs)) inputs[key].value = String(lifecycleSettings[key]);
+            };
+            const apply = () => {
+                const v = {};
+                for (const key of Object.keys(inputs)) v[key] = Number(inputs[key].value);
+                // thresholds must be positive and strictly increasing
+                if (!(v.lateS > 0 && v.staleS > v.lateS && v.lostS > v.staleS)) { showValues(); return; }
+                Object.assign(lifecycleSettings, v);
+                savePref('lifecycleSettings', lifecycleSettings);
+                renderLatencyScale();
+                updateRobotLifecycle(nowMs());
+            };
+            for (const [key, label] of [['lateS', 'late'], ['staleS', 'stale'], ['lostS', 'lost']]) {
+                const row = document.createElement('label');
+                row.className = 'map-control-row';
+                const text = document.createElement('span');
+                text.textContent = label;
+                text.style.width = '40px';
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0.1';
+                input.step = '0.5';
+                input.style.width = '60px';
+                input.addEventListener('change', apply);
+                inputs[key] = input;
+                row.appendChild(text);
+                row.appendChild(input);
+                box.appendChild(row);
+            }
+            showValues();
+
+            const row = document.createElement('div');
+            row.className = 'map-control-row';
+            const actionSel = document.createElement('select');
+            actionSel.innerHTML = '<option value="ghost">keep lost as ghosts</option><option value="remove">remove lost robots</option>';
+            actionSel.value = lifecycleSettings.lostAction;
+            actionSel.addEventListener('change', () => {
+                lifecycleSettings.lostAction = actionSel.value;
+                savePref('lifecycleSettings', lifecycleSettings);
+                updateRobotLifecycle(nowMs());
+            });
+            row.appendChild(actionSel);
+            box.appendChild(row);
+            return box;
+        }
+    });
+    new LifecycleControl().addTo(map);
+}
+
+// helper: ensure tree container exists
+function ensureTreeContainer() {
+    let container = document.getElementById('treeContent');
+    if (!container) {
+        const tree = document.createElement('aside');
+        tree.id = 'tree';
+        tree.setAttribute('aria-label', 'Robot tree');
+        // layout constants used to align ticks & bars
+        const AUX_WIDTH = 10;      // px (aux icon)
+        const LABEL_WIDTH = 64;    // px (fixed label width for all entries)
+        const GAP = 8;             // px (gap between header children)
+        const START_OFFSET_PX = (AUX_WIDTH + GAP + LABEL_WIDTH + GAP) + 'px';
+
+        // Header row: title at left, time scale (0s..5s with per-second ticks) fills remaining space
+        const h = document.createElement('div');
+        h.style.display = 'flex';
+        h.style.alignItems = 'center';
+        h.style.margin = '0 0 6px 0';
+
+        const title = document.createElement('span');
+        title.textContent = 'Latency:';
+        title.style.color = '#9ad';
+        title.style.fontWeight = '800';
+        title.style.marginRight = '8px';
+        title.style.marginLeft = '20px';
+
+        // scale container matches progress bar width (flex:1) so ticks align with bars
+        const scaleWrap = document.createElement('div');
+        scaleWrap.style.flex = '1 1 auto';
+        scaleWrap.style.display = 'flex';
+        scaleWrap.style.alignItems = 'center';
+        scaleWrap.style.gap = '8px';
+
+        // visual area where ticks are positioned absolutely
+        const scaleArea = document.createElement('div');
+        scaleArea.style.position = 'relative';
+        scaleArea.style.height = '18px';
+        scaleArea.style.flex = '1 1 100%';
+        // pad-left so the 0s tick lines up with the start of each progress bar
+        scaleArea.style.paddingLeft = START_OFFSET_PX;
+
+        // ticks 0s .. stale threshold (rebuilt when the thresholds change)
+        scaleArea.id = 'latencyScale';
+        renderLatencyScale(scaleArea);
+
+        // left "0s" label (redundant with ticks but keeps visual at start)
+        const leftLabel = document.createElement('div');
+        leftLabel.textContent = ''; // ticks include labels
+        leftLabel.style.flex = '0 0 auto';
+
+        // right spacer: width of the answer ratio badge after each bar
+        const rightLabel = document.createElement('div');
+        rightLabel.textContent = ''; // ticks include labels
+        rightLabel.style.flex = '0 0 36px';
+
+        scaleWrap.appendChild(leftLabel);
+        scaleWrap.appendChild(scaleArea);
+        scaleWrap.appendChild(rightLabel);
+
+        h.appendChild(title);
         h.appendChild(scaleWrap);
         tree.appendChild(h);
         container = document.createElement('div');
@@ -803,618 +3628,2630 @@ function ensureTreeContainer() {
         tree.appendChild(container);
         document.body.appendChild(tree);
     }
-    return container;
+    return container;
+}
+
+function removeTreeContainer() {
+    const container = document.getElementById('treeContent');
+    if (container) {
+        // remove all child nodes
+        while (container.firstChild) container.removeChild(container.firstChild);
+        // remove the aside wrapper if present
+        const aside = document.getElementById('tree');
+        if (aside && aside.parentNode) aside.parentNode.removeChild(aside);
+    }
+}
+
+// render detail HTML for a status object
+function renderStatusDetailsHtml(s) {
+    const lat = Number.isFinite(s.latitude) ? s.latitude.toFixed(6) : 'N/A';
+    const lon = Number.isFinite(s.longitude) ? s.longitude.toFixed(6) : 'N/A';
+    // units of the core fields as the payload schema declares them (built-in layout otherwise)
+    const units = { time_offset_ms: 'ms', heading: 'rad', speed_x: 'm/s', speed_y: 'm/s', rot_speed: 'rad/s', ...s.units };
+    const unit = name => units[name] ? ' ' + escapeXml(units[name]) : '';
+    const heading = Number.isFinite(s.heading) ? s.heading.toFixed(3) : 'N/A';
+    const cov = Number.isFinite(s.cov_pos) ? s.cov_pos.toFixed(3) : 'N/A';
+    const sigma = covSigmaMeters(s.cov_pos);
+    const covQuality = Number.isFinite(sigma) ? ` <span style="color:${covQualityColor(sigma)}">(σ ${sigma.toFixed(2)} m)</span>` : '';
+    const spdX = (typeof s.speed_x !== 'undefined') ? s.speed_x.toFixed(3) : 'N/A';
+    const spdY = (typeof s.speed_y !== 'undefined') ? s.speed_y.toFixed(3) : 'N/A';
+    const rot = (typeof s.rot_speed !== 'undefined') ? s.rot_speed.toFixed(3) : 'N/A';
+    const sync = (typeof s.sync_id !== 'undefined') ? s.sync_id : 'N/A';
+    const time_off = (typeof s.time_offset_ms !== 'undefined') ? s.time_offset_ms : 'N/A';
+    const drive_mode_hex = '0x' + (Number(s.drive_mode) || 0).toString(16).padStart(2, '0').toUpperCase();
+    const aux_hex = '0x' + (Number(s.aux_data_status) || 0).toString(16).padStart(2, '0').toUpperCase();
+    // position relative to the radar reference robot
+    const rel = radarOffset(radarReference(), s);
+
+    // flag names come from the payload schema
+    const bits = s.bits || {};
+    let aux_data_mode_str = bits.aux_data_status || aux_hex;
+    const auxTransfer = auxTransferSummary(s.id);
+    if (auxTransfer) aux_data_mode_str += `, ${auxTransfer}`;
+
+    const drive_mode_str = bits.drive_mode || drive_mode_hex;
+    // fields of newer firmware the viewer does not use itself
+    const extraRows = (s.extra || []).map(e => {
+        const value = e.flags || (Number.isInteger(e.value) ? String(e.value) : Number(e.value).toFixed(3));
+        return `<div style="text-align:right;padding-right:6px;">${escapeXml(e.name)}:</div><div>${escapeXml(value)}${e.unit ? ' ' + escapeXml(e.unit) : ''}</div>`;
+    }).join('');
+
+    return `
+     <div style="margin-left:4px; display:grid; grid-template-columns:110px 1fr; gap:3px; font-size:0.9em; color:#bbb;">
+       <div style="text-align:right;padding-right:6px;">sync:</div><div>${sync} <span style="color:${SYNC_STATE_COLORS[s.sync_state] || '#888'}">(${s.sync_state || 'unknown'})</span></div>
+       <div style="text-align:right;padding-right:6px;">t_off:</div><div>${time_off}${unit('time_offset_ms')}</div>
+       <div style="text-align:right;padding-right:6px;">lat:</div><div>${lat}</div>
+       <div style="text-align:right;padding-right:6px;">lon:</div><div>${lon}</div>
+       <div style="text-align:right;padding-right:6px;">hdg:</div><div>${heading}${unit('heading')}</div>
+       <div style="text-align:right;padding-right:6px;">cov:</div><div>${cov}${covQuality}</div>
+       <div style="text-align:right;padding-right:6px;">spdX:</div><div>${spdX}${unit('speed_x')}</div>
+       <div style="text-align:right;padding-right:6px;">spdY:</div><div>${spdY}${unit('speed_y')}</div>
+       <div style="text-align:right;padding-right:6px;">rot:</div><div>${rot}${unit('rot_speed')}</div>
+       <div style="text-align:right;padding-right:6px;">mode:</div><div>${drive_mode_str}</div>
+       <div style="text-align:right;padding-right:6px;">aux:</div><div>${aux_data_mode_str}</div>
+       ${extraRows}
+       <div style="text-align:right;padding-right:6px;">payload:</div><div>${escapeXml(s.schema || 'N/A')}</div>
+       <div style="text-align:right;padding-right:6px;">polar pos:</div><div>${rel ? `d: ${rel.distance.toFixed(1)} m, a: ${rel.angle.toFixed(1)} deg` : 'N/A'}</div>
+       <div style="text-align:right;padding-right:6px;">XY pos:</div><div>${rel ? `X: ${rel.x.toFixed(1)}, Y: ${rel.y.toFixed(1)} m` : 'N/A'}</div>
+     </div>
+   `;
+}
+
+
+// radar: every robot relative to a reference robot, recomputed from the current
+// statuses whenever one of them changes. refId null follows the robot the map is
+// centered on; orientation 'heading' puts the reference's forward axis up, 'north'
+// puts north up; range is 'auto' or a fixed outer ring in metres
+const RADAR_RANGES_M = [10, 25, 50, 100, 250, 500, 1000];
+const radarSettings = Object.assign({ refId: null, orientation: 'heading', range: 'auto' }, loadPref('radar', {}));
+let radarUpdatePending = false;
+
+function radarReference() {
+    const id = radarSettings.refId !== null ? radarSettings.refId : activeCenteredId;
+    if (id === null || id === undefined) return null;
+    const ref = getStatusById(id);
+    return ref && hasPosition(ref) ? ref : null;
+}
+
+// position of s seen from ref: x/y in the reference's body frame (x forward, y left),
+// e/n in east/north, distance in metres and bearing relative to the reference heading (deg, left positive)
+function radarOffset(ref, s) {
+    if (!ref || !hasPosition(s)) return null;
+    const { e, n } = enuOffset(ref, s);
+    const h = Number(ref.heading) || 0;
+    const xy = latLngToRobotXY(ref.latitude, ref.longitude, s.latitude, s.longitude, h);
+    return { e, n, x: xy.x, y: xy.y, distance: Math.hypot(e, n), angle: RAD2DEG * Math.atan2(xy.y, xy.x) };
+}
+
+// redraw at most once per animation frame however many statuses arrive
+function scheduleRadarUpdate() {
+    if (radarUpdatePending) return;
+    radarUpdatePending = true;
+    requestAnimationFrame(() => {
+        radarUpdatePending = false;
+        updateMapRadar();
+    });
+}
+
+// create a small radar SVG overlay inside the map element (bottom-left)
+function createMapRadar() {
+    if (!mapEl) return;
+    if (mapRadar) return; // already created
+    const wrap = document.createElement('div');
+    wrap.id = 'map-radar-wrap';
+    wrap.style.position = 'absolute';
+    wrap.style.left = '12px';
+    wrap.style.bottom = '12px';
+    wrap.style.width = '220px';
+    wrap.style.background = 'rgba(10,10,12,0.65)';
+    wrap.style.border = '1px solid rgba(150,170,190,0.12)';
+    wrap.style.borderRadius = '8px';
+    wrap.style.padding = '8px';
+    wrap.style.boxSizing = 'border-box';
+    wrap.style.zIndex = 650; // above map tiles
+    wrap.style.pointerEvents = 'none'; // allow clicks to pass through (except controls and blips)
+    // title and controls: reference robot, orientation, range
+    const title = document.createElement('div');
+    title.className = 'radar-controls';
+    title.innerHTML = `
+        <span style="color:#9ad;font-size:12px;font-weight:700">Radar</span>
+        <select class="radar-ref" title="Reference robot"></select>
+        <select class="radar-orient" title="Orientation">
+            <option value="heading">hdg up</option>
+            <option value="north">N up</option>
+        </select>
+        <select class="radar-range" title="Range">
+            <option value="auto">auto</option>
+            ${RADAR_RANGES_M.map(r => `<option value="${r}">${r} m</option>`).join('')}
+        </select>`;
+    wrap.appendChild(title);
+    L.DomEvent.disableClickPropagation(title);
+    L.DomEvent.disableScrollPropagation(title);
+    const refSel = title.querySelector('.radar-ref');
+    const orientSel = title.querySelector('.radar-orient');
+    const rangeSel = title.querySelector('.radar-range');
+    orientSel.value = radarSettings.orientation;
+    rangeSel.value = String(radarSettings.range);
+    const changed = () => {
+        radarSettings.refId = refSel.value === '' ? null : Number(refSel.value);
+        radarSettings.orientation = orientSel.value;
+        radarSettings.range = rangeSel.value === 'auto' ? 'auto' : Number(rangeSel.value);
+        savePref('radar', radarSettings);
+        updateMapRadar();
+    };
+    for (const sel of [refSel, orientSel, rangeSel]) sel.addEventListener('change', changed);
+
+    const svgNS = "http://www.w3.org/2000/svg";
+    const size = 180;
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('width', String(size));
+    svg.setAttribute('height', String(size));
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.style.display = 'block';
+    svg.style.marginTop = '6px';
+    svg.style.pointerEvents = 'none';
+    // clicking a blip centers the map on that robot
+    svg.addEventListener('click', (ev) => {
+        const blip = ev.target.closest('[data-id]');
+        if (blip) centerMapOnId(Number(blip.dataset.id));
+    });
+    // keep the map from treating a blip click as a click on the map (which closes the popup)
+    L.DomEvent.disableClickPropagation(svg);
+    wrap.appendChild(svg);
+
+    mapEl.appendChild(wrap);
+    mapRadar = { wrap, svg, size, refSel, refKey: '' };
+    // initial draw
+    updateMapRadar();
+}
+
+// reference selector options: follow the centered robot, or one fixed robot
+function updateRadarRefOptions() {
+    const ids = statusArray.map(s => Number(s.id)).sort((a, b) => a - b);
+    if (radarSettings.refId !== null && !ids.includes(radarSettings.refId)) ids.push(radarSettings.refId);
+    const key = ids.join(',');
+    if (key === mapRadar.refKey) return;
+    mapRadar.refKey = key;
+    mapRadar.refSel.innerHTML = '<option value="">centered</option>' + ids.map(id => `<option value="${id}">${escapeXml(robotName(id))}</option>`).join('');
+    mapRadar.refSel.value = radarSettings.refId === null ? '' : String(radarSettings.refId);
+}
+
+// redraw the radar from the current statuses around the reference robot
+function updateMapRadar() {
+    if (!mapRadar) return;
+    updateRadarRefOptions();
+    const svg = mapRadar.svg;
+    const size = mapRadar.size;
+    const center = size / 2;
+    const margin = 8;
+    const maxR = center - margin;
+    const ref = radarReference();
+    const headingUp = radarSettings.orientation !== 'north';
+
+    // screen offsets (metres right / up of the center) of every other robot
+    const blips = [];
+    for (const s of statusArray) {
+        if (ref && s === ref) continue;
+        const o = radarOffset(ref, s);
+        if (!o) continue;
+        blips.push({ s, o, right: headingUp ? -o.y : o.e, up: headingUp ? o.x : o.n });
+    }
+
+    let outerMeters;
+    if (radarSettings.range === 'auto') {
+        const maxDist = blips.reduce((m, b) => Math.max(m, b.o.distance), 0);
+        outerMeters = Math.ceil(Math.max(10, maxDist + 10) / 5) * 5; // round up to multiple of 5
+    } else {
+        outerMeters = Number(radarSettings.range) || 10;
+    }
+    const pxPerM = maxR / outerMeters;
+
+    // clear
+    while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+    const create = (name, attrs = {}) => {
+        const el = document.createElementNS(svg.namespaceURI, name);
+        Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+        return el;
+    };
+
+    // axes
+    svg.appendChild(create('line', { x1: center, y1: center - maxR, x2: center, y2: center + maxR, stroke: '#9aa', 'stroke-width': 1 }));
+    svg.appendChild(create('line', { x1: center - maxR, y1: center, x2: center + maxR, y2: center, stroke: '#9aa', 'stroke-width': 1 }));
+
+    // diagonals
+    svg.appendChild(create('line', { x1: center - maxR, y1: center - maxR, x2: center + maxR, y2: center + maxR, stroke: '#667', 'stroke-width': 1, 'stroke-dasharray': '3 3' }));
+    svg.appendChild(create('line', { x1: center - maxR, y1: center + maxR, x2: center + maxR, y2: center - maxR, stroke: '#667', 'stroke-width': 1, 'stroke-dasharray': '3 3' }));
+
+    // range rings, labelled along the up axis
+    for (let i = 1; i <= 4; i++) {
+        const rMeters = (outerMeters * i) / 4.0;
+        const rPx = rMeters * pxPerM;
+        const circle = create('circle', { cx: center, cy: center, r: String(rPx), stroke: i === 4 ? '#9ad' : '#4a6', 'stroke-width': i === 4 ? 1.5 : 1, fill: 'none', opacity: 0.9 });
+        svg.appendChild(circle);
+        const lbl = create('text', { x: center + 4, y: center - rPx - 4, style: 'font-size:10px;fill:#9ad' });
+        lbl.textContent = `${Math.round(rMeters)} m`;
+        svg.appendChild(lbl);
+    }
+
+    // angle labels every 30 deg except 90 and 270: relative bearing (left positive)
+    // when heading-up, compass bearing (clockwise from north) when north-up
+    for (let ang = 0; ang < 360; ang += 30) {
+        if (ang === 90 || ang === 270) continue;
+        const mathRad = (headingUp ? 90 + ang : 90 - ang) * Math.PI / 180;
+        const x = center + Math.cos(mathRad) * maxR;
+        const y = center - Math.sin(mathRad) * maxR;
+        const lbl = create('text', { x: x, y: y, style: 'font-size:10px;fill:#9ad', 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+        lbl.textContent = !headingUp && ang === 0 ? 'N' : `${ang}°`;
+        svg.appendChild(lbl);
+    }
+
+    if (!ref) {
+        const hint = create('text', { x: center, y: center + 24, style: 'font-size:10px;fill:#9ad', 'text-anchor': 'middle' });
+        hint.textContent = 'no reference robot';
+        svg.appendChild(hint);
+        return;
+    }
+
+    // heading tick of a robot, as drawn in the current orientation
+    const headingLine = (s, px, py, len) => {
+        const h = Number(s.heading) || 0;
+        const a = headingUp ? h - (Number(ref.heading) || 0) + Math.PI / 2 : h;
+        return create('line', { x1: px, y1: py, x2: px + Math.cos(a) * len, y2: py - Math.sin(a) * len, stroke: robotColor(s.id), 'stroke-width': 1.5 });
+    };
+    svg.appendChild(headingLine(ref, center, center, 12));
+    svg.appendChild(create('circle', { cx: center, cy: center, r: 3, fill: robotColor(ref.id) }));
+
+    for (const b of blips) {
+        const dist = Math.hypot(b.right, b.up);
+        // robots beyond a fixed range are pinned to the outer ring
+        const k = dist * pxPerM > maxR ? maxR / (dist * pxPerM) : 1;
+        const px = center + b.right * pxPerM * k;
+        const py = center - b.up * pxPerM * k;
+        const g = create('g', { 'data-id': String(b.s.id), style: 'cursor:pointer;pointer-events:all' });
+        const title = create('title');
+        title.textContent = `${robotName(b.s.id)}: ${b.o.distance.toFixed(1)} m, ${b.o.angle.toFixed(0)}°`;
+        g.appendChild(title);
+        g.appendChild(headingLine(b.s, px, py, 8));
+        g.appendChild(create('circle', { cx: px, cy: py, r: 4, fill: k < 1 ? 'none' : robotColor(b.s.id), stroke: k < 1 ? robotColor(b.s.id) : '#000', 'stroke-width': k < 1 ? 1.5 : 0.6 }));
+        const txt = create('text', { x: px + 8, y: py - 6, style: 'font-size:10px;fill:#fff;pointer-events:none' });
+        txt.textContent = robotRegistry.get(Number(b.s.id))?.name || `${b.s.id}`;
+        g.appendChild(txt);
+        svg.appendChild(g);
+    }
+}
+
+// helper: check if map center is within tolMeters of a lat/lon
+function isMapCenteredAt(lat, lon, tolMeters = 2) {
+    if (!map) return false;
+    try {
+        const center = map.getCenter();
+        // Leaflet's map.distance exists; fallback to simple degrees distance if not
+        if (typeof map.distance === 'function') {
+            return map.distance(center, L.latLng(lat, lon)) <= tolMeters;
+        } else {
+            const dx = center.lat - lat;
+            const dy = center.lng - lon;
+            return Math.sqrt(dx * dx + dy * dy) <= (tolMeters / 111000); // approx degrees
+        }
+    } catch (e) {
+        return false;
+    }
+}
+
+// center map on marker for given id (optional zoom)
+// Sets activeCenteredId so the map will keep following this id until its popup is closed.
+function centerMapOnId(id, zoom = null) {
+    if (!map) return;
+    const m = markers.get(Number(id));
+    if (!m) return;
+    const latlng = m.getLatLng();
+    if (!latlng) return;
+    try {
+        // open popup for visual feedback
+        if (m.getPopup()) m.openPopup();
+        // set view immediately (animated) when user requests centering
+        if (zoom && Number.isFinite(zoom)) map.setView(latlng, zoom, { animate: true });
+        else map.setView(latlng, map.getZoom(), { animate: true });
+        // enable centering/follow for this id
+        activeCenteredId = Number(id);
+    } catch (e) { /* ignore */ }
+}
+
+// per-robot link quality over a sliding window: status requests heard for the node,
+// statuses and NOT AVAILABLE replies, and the interval between consecutive statuses
+const ROBOT_LINK_WINDOW_MS = 60000;
+const INTERVAL_BINS_MS = [100, 200, 500, 1000, 2000, 5000]; // upper bounds, plus an overflow bin
+const robotLinkStats = new Map(); // id -> [{ t, kind: 'req'|'status'|'na' }]
+
+function recordRobotLink(cmd, id, t) {
+    const kind = { 0x03: 'req', 0x01: 'status', 0x04: 'na' }[cmd];
+    if (!kind || id === null) return;
+    let events = robotLinkStats.get(id);
+    if (!events) {
+        events = [];
+        robotLinkStats.set(id, events);
+    }
+    events.push({ t, kind });
+    let old = 0;
+    while (old < events.length && events[old].t < t - ROBOT_LINK_WINDOW_MS) old++;
+    if (old) events.splice(0, old);
+}
+
+// counts, answer ratio (null without requests), interval mean/jitter (ms) and histogram
+function robotLinkSummary(id, now) {
+    const events = robotLinkStats.get(Number(id)) || [];
+    const cutoff = now - ROBOT_LINK_WINDOW_MS;
+    let req = 0;
+    let na = 0;
+    const times = [];
+    for (const e of events) {
+        if (e.t < cutoff) continue;
+        if (e.kind === 'req') req++;
+        else if (e.kind === 'na') na++;
+        else times.push(e.t);
+    }
+    const intervals = [];
+    for (let i = 1; i < times.length; ++i) intervals.push(times[i] - times[i - 1]);
+    const mean = intervals.length ? intervals.reduce((a, b) => a + b, 0) / intervals.length : NaN;
+    const jitter = intervals.length ? Math.sqrt(intervals.reduce((a, b) => a + (b - mean) * (b - mean), 0) / intervals.length) : NaN;
+    const hist = new Array(INTERVAL_BINS_MS.length + 1).fill(0);
+    for (const d of intervals) {
+        const bin = INTERVAL_BINS_MS.findIndex(max => d < max);
+        hist[bin < 0 ? INTERVAL_BINS_MS.length : bin]++;
+    }
+    return { req, status: times.length, na, ratio: req ? Math.min(1, times.length / req) : null, mean, jitter, hist };
+}
+
+function answerRatioColor(ratio) {
+    if (ratio === null) return '#888';
+    if (ratio >= 0.9) return '#2ecc71';
+    if (ratio >= 0.6) return '#f39c12';
+    return '#e74c3c';
+}
+
+// link statistics block of the tree details (answer ratio, intervals, histogram)
+function renderRobotLinkHtml(id, now) {
+    const l = robotLinkSummary(id, now);
+    const ratio = l.ratio === null ? 'no requests heard' : `${(l.ratio * 100).toFixed(0)} %`;
+    const fmt = ms => Number.isFinite(ms) ? (ms / 1000).toFixed(2) + ' s' : 'N/A';
+    const top = Math.max(1, ...l.hist);
+    const labels = ['<.1', '.2', '.5', '1', '2', '5', '>5'];
+    // receivers that heard the robot: share of its frames and age of the last one
+    const heardBy = robotReceptionSummary(id, now);
+    const receivers = heardBy.length < 1 ? '' : `<div style="text-align:right;padding-right:6px;">heard by:</div><div>${heardBy.map(r => {
+        const age = (now - r.lastAt) / 1000;
+        const color = age < lifecycleSettings.lateS ? '#2ecc71' : (age < lifecycleSettings.staleS ? '#f39c12' : '#e74c3c');
+        return `<div><span style="color:${color}">${escapeXml(r.label)}</span> ${(r.share * 100).toFixed(0)} % (${r.heard}), ${age.toFixed(1)} s ago</div>`;
+    }).join('')}</div>`;
+    const bars = l.hist.map((n, i) => `
+       <div title="${i < INTERVAL_BINS_MS.length ? '< ' + INTERVAL_BINS_MS[i] + ' ms' : '>= ' + INTERVAL_BINS_MS[i - 1] + ' ms'}: ${n}" style="display:flex;flex-direction:column;align-items:center;width:22px">
+         <div style="height:24px;display:flex;align-items:flex-end"><div style="width:14px;height:${(n / top) * 24}px;background:#4fc3f7"></div></div>
+         <div style="font-size:9px;color:#789">${labels[i]}</div>
+       </div>`).join('');
+    return `
+     <div style="margin-left:4px; display:grid; grid-template-columns:110px 1fr; gap:3px; font-size:0.9em; color:#bbb;">
+       <div style="text-align:right;padding-right:6px;">answered:</div><div><span style="color:${answerRatioColor(l.ratio)}">${ratio}</span> (${l.status} status / ${l.req} req, ${ROBOT_LINK_WINDOW_MS / 1000} s)</div>
+       <div style="text-align:right;padding-right:6px;">not avail.:</div><div>${l.na}</div>
+       <div style="text-align:right;padding-right:6px;">interval:</div><div>mean ${fmt(l.mean)}, jitter ${fmt(l.jitter)}</div>
+       <div style="text-align:right;padding-right:6px;">histogram (s):</div><div style="display:flex;gap:2px">${bars}</div>
+       ${receivers}
+     </div>
+   `;
+}
+
+// header badge next to the latency bar and, when expanded, the details block
+function updateRobotLinkDom(entryEl, s, now) {
+    const l = robotLinkSummary(s.id, now);
+    const badge = entryEl.querySelector('.tree-rate');
+    if (badge) {
+        badge.textContent = l.ratio === null ? '–' : `${(l.ratio * 100).toFixed(0)}%`;
+        badge.style.color = answerRatioColor(l.ratio);
+        badge.title = `answered ${l.status}/${l.req} status requests, ${l.na} not available (last ${ROBOT_LINK_WINDOW_MS / 1000} s)`;
+    }
+    const block = entryEl.querySelector('.tree-link');
+    if (block && s._expanded) block.innerHTML = renderRobotLinkHtml(s.id, now);
+}
+
+// create DOM entry (collapsed by default) and attach toggle handler
+function createTreeEntry(s) {
+    const container = ensureTreeContainer();
+    const entry = document.createElement('div');
+    entry.className = 'tree-entry';
+    entry.dataset.id = String(s.id);
+    entry.dataset.state = s._state || 'live';
+    if (geofenceViolations.get(Number(s.id))?.size) entry.classList.add('geofence-alert');
+    entry.style.padding = '6px 8px';
+    entry.style.borderBottom = '1px solid #111';
+    entry.style.cursor = 'pointer';
+    entry.style.color = '#ddd';
+
+    const header = document.createElement('div');
+    header.className = 'tree-header';
+    header.style.fontWeight = '600';
+    header.style.marginBottom = '6px';
+    header.style.display = 'flex';
+    header.style.alignItems = 'center';
+    header.style.gap = '8px';
+
+    // aux status icon (small circle)
+    const auxIcon = document.createElement('span');
+    auxIcon.className = 'aux-icon';
+    auxIcon.style.display = 'inline-block';
+    auxIcon.style.width = '10px';
+    auxIcon.style.height = '10px';
+    auxIcon.style.borderRadius = '50%';
+    auxIcon.style.flex = '0 0 10px';
+    updateAuxIconElem(auxIcon, s.aux_data_status, s.id);
+
+    const labelSpan = document.createElement('span');
+    labelSpan.className = 'tree-label';
+    setTreeLabel(labelSpan, s.id);
+    // fixed-width label so all progress bars start at the same horizontal position
+    labelSpan.style.flex = '0 0 64px';
+    labelSpan.style.width = '64px';
+    labelSpan.style.overflow = 'hidden';
+    labelSpan.style.textOverflow = 'ellipsis';
+
+    // progress bar container (green background)
+    const progOuter = document.createElement('div');
+    progOuter.className = 'time-progress-outer';
+    progOuter.style.flex = '1 1 auto';
+    progOuter.style.height = '9px';
+    progOuter.style.background = '#2ecc71'; /* green */
+    progOuter.style.borderRadius = '6px';
+    progOuter.style.overflow = 'hidden';
+    progOuter.style.minWidth = '60px';
+
+    // inner red overlay whose width represents elapsed/5s
+    const progInner = document.createElement('div');
+    progInner.className = 'time-progress-inner';
+    progInner.style.height = '100%';
+    progInner.style.width = '0%';
+    progInner.style.background = '#e74c3c'; /* red */
+    progInner.style.transition = 'width 0.15s linear';
+
+    progOuter.appendChild(progInner);
+
+    // share of status requests answered (sliding window)
+    const rateSpan = document.createElement('span');
+    rateSpan.className = 'tree-rate';
+    rateSpan.style.flex = '0 0 36px';
+    rateSpan.style.textAlign = 'right';
+    rateSpan.style.fontSize = '0.85em';
+
+    header.appendChild(auxIcon);
+    header.appendChild(labelSpan);
+    header.appendChild(progOuter);
+    header.appendChild(rateSpan);
+    entry.appendChild(header);
+
+    const details = document.createElement('div');
+    details.className = 'tree-details';
+    details.style.display = s._expanded ? 'block' : 'none';
+    const detailsBody = document.createElement('div');
+    detailsBody.className = 'tree-details-body';
+    detailsBody.innerHTML = renderStatusDetailsHtml(s);
+    details.appendChild(detailsBody);
+
+    // per-robot link statistics (refreshed periodically while expanded)
+    const linkBlock = document.createElement('div');
+    linkBlock.className = 'tree-link';
+    linkBlock.style.marginTop = '6px';
+    details.appendChild(linkBlock);
+
+    // action buttons (not re-rendered on status updates so clicks are not lost)
+    const actions = document.createElement('div');
+    actions.className = 'tree-actions';
+    actions.innerHTML = robotActionsHtml(s.id);
+    actions.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        handleRobotActionClick(ev);
+    });
+    details.appendChild(actions);
+
+    // aux transfer progress and download (filled by updateAuxTransferDom)
+    const auxRow = document.createElement('div');
+    auxRow.className = 'tree-aux';
+    auxRow.style.display = 'none';
+    auxRow.style.marginTop = '6px';
+    auxRow.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        handleRobotActionClick(ev);
+    });
+    details.appendChild(auxRow);
+    entry.appendChild(details);
+
+    // store quick refs for updates
+    entry._progInner = progInner;
+    entry._header = header;
+
+    // toggle on click of header and center map on this robot only when expanding
+    header.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        s._expanded = !s._expanded;
+        details.style.display = s._expanded ? 'block' : 'none';
+        if (s._expanded) {
+            updateRobotLinkDom(entry, s, nowMs());
+            centerMapOnId(s.id);
+        }
+    });
+
+    // clicking the whole entry toggles too (and centers only when expanding)
+    entry.addEventListener('click', () => {
+        s._expanded = !s._expanded;
+        details.style.display = s._expanded ? 'block' : 'none';
+        if (s._expanded) {
+            updateRobotLinkDom(entry, s, nowMs());
+            centerMapOnId(s.id);
+        }
+    });
+
+    container.appendChild(entry);
+    updateAuxTransferDom(s.id);
+    updateRobotLinkDom(entry, s, nowMs());
+    return entry;
+}
+
+
+function updateAuxIconElem(elem, aux_status, id = null) {
+    if (!elem) return;
+    const s = Number(aux_status) || 0;
+    const tr = id != null ? auxTransfers.get(Number(id)) : null;
+
+    // Direct available -> green
+    if (s & 0x01) {
+        elem.style.backgroundColor = '#2ecc71';
+        elem.title = 'Direct aux: OK';
+    }
+    // Indirect available -> orange
+    else if (s & 0x02) {
+        elem.style.backgroundColor = '#f39c12';
+        elem.title = 'Indirect aux: OK';
+    }
+    // No aux data -> red
+    else {
+        elem.style.backgroundColor = '#e74c3c';
+        elem.title = 'No aux data';
+    }
+
+    // a ring shows that a transfer exists for this robot: white while receiving,
+    // green when complete, red when it failed
+    if (tr) {
+        const ring = tr.state === 'complete' ? '#2ecc71' : (tr.state === 'failed' ? '#e74c3c' : '#fff');
+        elem.style.boxShadow = `0 0 0 2px ${ring}`;
+        elem.title += ' - ' + auxTransferSummary(tr.id);
+    } else {
+        elem.style.boxShadow = '';
+    }
+
+    // ensure icon sizing/shape if not already set
+    elem.style.display = 'inline-block';
+    elem.style.width = '10px';
+    elem.style.height = '10px';
+    elem.style.borderRadius = '50%';
+}
+
+// update details of existing DOM entry
+function updateTreeEntryDom(s) {
+    const container = ensureTreeContainer();
+    const el = container.querySelector(`.tree-entry[data-id="${s.id}"]`);
+    if (!el) return createTreeEntry(s);
+
+    const details = el.querySelector('.tree-details');
+    if (details) {
+        const body = details.querySelector('.tree-details-body');
+        if (body) body.innerHTML = renderStatusDetailsHtml(s);
+        details.style.display = s._expanded ? 'block' : 'none';
+    }
+
+    // update aux icon color/title
+    const header = el.querySelector('.tree-header');
+    if (header) {
+        let auxIcon = header.querySelector('.aux-icon');
+        if (!auxIcon) {
+            auxIcon = document.createElement('span');
+            auxIcon.className = 'aux-icon';
+            auxIcon.style.display = 'inline-block';
+            auxIcon.style.width = '10px';
+            auxIcon.style.height = '10px';
+            auxIcon.style.borderRadius = '50%';
+            auxIcon.style.flex = '0 0 10px';
+            header.insertBefore(auxIcon, header.firstChild);
+        }
+        updateAuxIconElem(auxIcon, s.aux_data_status, s.id);
+    }
+
+    // update progress bar and link statistics immediately for this entry
+    updateLatencyBar(el, s, nowMs());
+    updateRobotLinkDom(el, s, nowMs());
+}
+
+// latency bar width: time since the last status relative to the stale threshold
+function updateLatencyBar(entryEl, s, now) {
+    const progInner = entryEl._progInner || entryEl.querySelector('.time-progress-inner');
+    if (!progInner) return;
+    const last = s.tstamp ? (new Date(s.tstamp)).getTime() : now;
+    const elapsed = Math.max(0, now - last);
+    const pct = Math.min(1, elapsed / (lifecycleSettings.staleS * 1000));
+    progInner.style.width = (pct * 100) + '%';
+}
+
+// buttons offered for a robot in its tree entry and in its marker popup
+function robotActionsHtml(id) {
+    return `
+     <button class="robot-action" data-robot-action="status-request" data-id="${id}">Request status</button>
+     <button class="robot-action" data-robot-action="aux-request" data-id="${id}">Request aux data</button>
+     <button class="robot-action" data-robot-action="trail-clear" data-id="${id}">Clear trail</button>
+     <button class="robot-action" data-robot-action="trail-gpx" data-id="${id}">Export GPX</button>
+     <button class="robot-action" data-robot-action="trail-geojson" data-id="${id}">Export GeoJSON</button>
+     <button class="robot-action" data-robot-action="registry-edit" data-id="${id}">Name &amp; icon...</button>
+   `;
+}
+
+// dispatch a click on a [data-robot-action] button (tree entries and popups)
+function handleRobotActionClick(ev) {
+    const btn = ev.target && ev.target.closest ? ev.target.closest('[data-robot-action]') : null;
+    if (!btn) return;
+    ev.stopPropagation();
+    const id = Number(btn.dataset.id);
+    switch (btn.dataset.robotAction) {
+        case 'status-request':
+            sendStatusRequest(id);
+            break;
+        case 'aux-request':
+            sendAuxDataRequest(id);
+            break;
+        case 'aux-download':
+            downloadAuxTransfer(id);
+            break;
+        case 'trail-clear':
+            clearTrail(id);
+            break;
+        case 'trail-gpx':
+            exportTrail(id, 'gpx');
+            break;
+        case 'trail-geojson':
+            exportTrail(id, 'geojson');
+            break;
+        case 'registry-edit':
+            showRobotRegistryDialog(id);
+            break;
+    }
+}
+
+// rebuild entire tree (keeps current _expanded flags)
+function renderStatusTree() {
+    const container = ensureTreeContainer();
+    container.innerHTML = '';
+    for (let i = 0; i < statusArray.length; ++i) {
+        const s = statusArray[i];
+        // ensure _expanded boolean exists
+        if (typeof s._expanded === 'undefined') s._expanded = false;
+        createTreeEntry(s);
+    }
+}
+
+/**
+ * Update or insert status payload into statusArray using `id` as key.
+ * - s: parsed status object { id, sync_id, ... }
+ * If element exists, update its fields (preserve object reference).
+ * If not, push a shallow copy.
+ * Returns the array element.
+ */
+function updateStatusArray(s) {
+    if (!s || typeof s.id === 'undefined') return null;
+    const id = Number(s.id);
+    const idx = statusArray.findIndex(item => Number(item.id) === id);
+    let entry;
+    if (idx >= 0) {
+        entry = statusArray[idx];
+        // preserve expanded flag
+        const expanded = !!entry._expanded;
+        Object.assign(entry, s);
+        entry._expanded = expanded;
+        updateTreeEntryDom(entry);
+    } else {
+        entry = Object.assign({}, s);
+        entry._expanded = false;
+        statusArray.push(entry);
+        // create DOM entry for new element
+        createTreeEntry(entry);
+        // a new robot can be chosen as a measurement frame
+        renderMeasureList();
+    }
+    // mark this id as active (only it will show the background)
+    setActiveTreeId(id);
+    // update marker and trail on the map for this id
+    updateMapMarker(entry);
+    updateTrail(entry);
+    updateCovCircle(entry);
+    setRobotState(entry, robotState(entry, nowMs()));
+    checkGeofences(entry);
+    checkSeparation();
+    updateMeasurements(entry.id);
+    scheduleRadarUpdate();
+    return entry;
+}
+
+// Optional helpers
+function getStatusById(id) {
+    return statusArray.find(item => Number(item.id) === Number(id)) || null;
+}
+function removeStatusById(id) {
+    const idx = statusArray.findIndex(item => Number(item.id) === Number(id));
+    if (idx >= 0) statusArray.splice(idx, 1);
+}
+
+// replace flashing helper with a single active-id setter that ensures only one entry
+// has the active background at a time.
+function setActiveTreeId(id, color = '#274C77') {
+    const container = ensureTreeContainer();
+    if (!container) return;
+
+    // clear previous active background from all entries
+    const entries = container.querySelectorAll('.tree-entry .tree-header');
+    entries.forEach(h => {
+        h.style.backgroundColor = '';
+    });
+
+    // set active background for the requested id
+    const entry = container.querySelector(`.tree-entry[data-id="${id}"]`);
+    if (!entry) return;
+    const header = entry.querySelector('.tree-header') || entry;
+    header.style.backgroundColor = color;
+}
+
+// modal dialog shell shared by the settings dialogs; returns { box, close }
+function openDialog(titleText, minWidth = 260) {
+    const dlg = document.createElement('div');
+    dlg.style = 'position:fixed;left:0;top:0;right:0;bottom:0;background:rgba(0,0,0,0.45);display:flex;align-items:center;justify-content:center;z-index:65536';
+
+    const box = document.createElement('div');
+    box.style = `background:#0f0f0f;color:#eee;padding:14px;border-radius:8px;min-width:${minWidth}px;max-width:90vw;max-height:85vh;overflow:auto;box-shadow:0 6px 18px rgba(0,0,0,0.6)`;
+
+    const title = document.createElement('div');
+    title.textContent = titleText;
+    title.style = 'font-weight:600;margin-bottom:8px;color:#9ad';
+    box.appendChild(title);
+
+    dlg.appendChild(box);
+    document.body.appendChild(dlg);
+    const close = () => { if (dlg.parentNode) dlg.parentNode.removeChild(dlg); };
+    return { box, close };
+}
+
+// Leaflet map + marker management
+let map = null;
+const markers = new Map(); // id -> L.Marker
+let firstLocationSet = false; // center map once on first valid status
+
+// NEW: id of tree/marker that should keep the map centered while its popup is open
+let activeCenteredId = null;
+
+// initialize the Leaflet map (called once)
+function initMap() {
+    if (map) return;
+    // default view (world)
+    map = L.map('map', { preferCanvas: true, maxZoom: 24 }).setView([0, 0], 2);
+
+    // popup action buttons: capture phase because Leaflet stops click propagation in popups
+    mapEl.addEventListener('click', handleRobotActionClick, true);
+
+    initBaseLayers();
+    createLayerToolsControl();
+
+    createMapRadar();
+    createTrailControl();
+    createLifecycleControl();
+    createMapAlerts();
+    createGeofenceControl();
+    createMeasureControl();
+    createCovLegend();
+}
+
+// base layers: name -> L.Layer (built-ins, saved XYZ urls, offline sources loaded from disk)
+const baseLayers = {};
+let baseLayersControl = null;
+const DEFAULT_BASE_LAYER = 'Google hybrid';
+const GRID_LAYER_NAME = 'Metric grid (no tiles)';
+// origin of the metric grid; pinned so lines stay put while panning
+let gridOrigin = null;
+
+function initBaseLayers() {
+    // Satellite imagery (Google hybrid). maxZoom 24 to allow house-level zoom.
+    baseLayers[DEFAULT_BASE_LAYER] = L.tileLayer('https://{s}.google.com/vt/lyrs=s,h&x={x}&y={y}&z={z}', {
+        name: 'GOOGLE_HYBRID_MAP',
+        maxZoom: 24,
+        maxNativeZoom: 21,
+        subdomains: ['mt0', 'mt1', 'mt2', 'mt3'],
+        id: 'mapbox.satellite',
+    });
+    baseLayers['OpenStreetMap'] = L.tileLayer('https://tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 24,
+        maxNativeZoom: 19,
+        attribution: '&copy; OpenStreetMap contributors'
+    });
+    baseLayers[GRID_LAYER_NAME] = createMetricGridLayer();
+    for (const def of loadPref('xyzLayers', [])) {
+        if (def && def.name && def.url) baseLayers[def.name] = createXyzLayer(def);
+    }
+
+    baseLayersControl = L.control.layers(baseLayers, null, { position: 'topright' }).addTo(map);
+    map.on('baselayerchange', (ev) => savePref('baseLayer', ev.name));
+
+    // a saved offline source has to be loaded from disk again: until then fall
+    // back to the grid, which needs no network either
+    const saved = loadPref('baseLayer', DEFAULT_BASE_LAYER);
+    setBaseLayer(baseLayers[saved] ? saved : GRID_LAYER_NAME, false);
 }
 
-function removeTreeContainer() {
-    const container = document.getElementById('treeContent');
-    if (container) {
-        // remove all child nodes
-        while (container.firstChild) container.removeChild(container.firstChild);
-        // remove the aside wrapper if present
-        const aside = document.getElementById('tree');
-        if (aside && aside.parentNode) aside.parentNode.removeChild(aside);
+function createXyzLayer(def) {
+    return L.tileLayer(def.url, {
+        maxZoom: 24,
+        maxNativeZoom: Number(def.maxNativeZoom) || 19,
+        subdomains: def.subdomains || 'abc'
+    });
+}
+
+function setBaseLayer(name, persist = true) {
+    const layer = baseLayers[name];
+    if (!layer) return;
+    for (const [n, l] of Object.entries(baseLayers)) {
+        if (n !== name && map.hasLayer(l)) map.removeLayer(l);
     }
+    if (!map.hasLayer(layer)) layer.addTo(map);
+    if (persist) savePref('baseLayer', name);
 }
 
-// render detail HTML for a status object
-function renderStatusDetailsHtml(s) {
-    const lat = Number.isFinite(s.latitude) ? s.latitude.toFixed(6) : 'N/A';
-    const lon = Number.isFinite(s.longitude) ? s.longitude.toFixed(6) : 'N/A';
-    const heading = Number.isFinite(s.heading) ? s.heading.toFixed(3) : 'N/A';
-    const cov = Number.isFinite(s.cov_pos) ? s.cov_pos.toFixed(3) : 'N/A';
-    const spdX = (typeof s.speed_x !== 'undefined') ? s.speed_x.toFixed(2) : 'N/A';
-    const spdY = (typeof s.speed_y !== 'undefined') ? s.speed_y.toFixed(2) : 'N/A';
-    const rot = (typeof s.rot_speed !== 'undefined') ? s.rot_speed.toFixed(2) : 'N/A';
-    const sync = (typeof s.sync_id !== 'undefined') ? s.sync_id : 'N/A';
-    const time_off = (typeof s.time_offset_ms !== 'undefined') ? s.time_offset_ms : 'N/A';
-    const drive_mode_hex = '0x' + (Number(s.drive_mode) || 0).toString(16).padStart(2, '0').toUpperCase();
-    const aux_hex = '0x' + (Number(s.aux_data_status) || 0).toString(16).padStart(2, '0').toUpperCase();
-    const distance = (typeof s.distance !== 'undefined') ? s.distance : 0.0;
-    const angle = (RAD2DEG * Math.atan2(s.xy.y, s.xy.x)).toFixed(1);
-
-    let aux_data_mode_str;
-    if (s.aux_data_status & 0x01) aux_data_mode_str = 'direct available';
-    else if (s.aux_data_status & 0x02) aux_data_mode_str = 'indirect available';
-    else aux_data_mode_str = 'not available';
-
-    let drive_mode_str = '';
-
-    if (s.drive_mode & 0x01) drive_mode_str = 'auto';
-    else drive_mode_str = 'manual';
-    if (s.drive_mode & 0x02) drive_mode_str += ',sideways';
-    if (s.drive_mode & 0x04) drive_mode_str += ',sel';
-    else drive_mode_str += ',not-sel';
-    if (s.drive_mode & 0x08) drive_mode_str += ',multi';
-    else drive_mode_str += ',single';
-    if (s.drive_mode & 0x10) drive_mode_str += ',bwd';
-    else drive_mode_str += ',fwd';
+// add (or replace) a base layer in the switcher
+function addBaseLayer(name, layer) {
+    const old = baseLayers[name];
+    if (old) {
+        baseLayersControl.removeLayer(old);
+        if (map.hasLayer(old)) map.removeLayer(old);
+    }
+    baseLayers[name] = layer;
+    baseLayersControl.addBaseLayer(layer, name);
+}
 
-    return `
-     <div style="margin-left:4px; display:grid; grid-template-columns:110px 1fr; gap:3px; font-size:0.9em; color:#bbb;">
-       <div style="text-align:right;padding-right:6px;">sync:</div><div>${sync}</div>
-       <div style="text-align:right;padding-right:6px;">t_off:</div><div>${time_off} ms</div>
-       <div style="text-align:right;padding-right:6px;">lat:</div><div>${lat}</div>
-       <div style="text-align:right;padding-right:6px;">lon:</div><div>${lon}</div>
-       <div style="text-align:right;padding-right:6px;">hdg:</div><div>${heading} deg</div>
-       <div style="text-align:right;padding-right:6px;">cov:</div><div>${cov}</div>
-       <div style="text-align:right;padding-right:6px;">spdX:</div><div>${spdX} mm/s</div>
-       <div style="text-align:right;padding-right:6px;">spdY:</div><div>${spdY} mm/s</div>
-       <div style="text-align:right;padding-right:6px;">rot:</div><div>${rot} mrad/s</div>
-       <div style="text-align:right;padding-right:6px;">mode:</div><div>${drive_mode_str}</div>
-       <div style="text-align:right;padding-right:6px;">aux:</div><div>${aux_data_mode_str}</div>
-       <div style="text-align:right;padding-right:6px;">polar pos:</div><div>d: ${distance.toFixed(1)} m, a: ${angle} deg</div>
-       <div style="text-align:right;padding-right:6px;">XY pos:</div><div>X: ${s.xy.x.toFixed(1)}, Y: ${s.xy.y.toFixed(1)} m</div>
-     </div>
-   `;
+function removeBaseLayer(name) {
+    const layer = baseLayers[name];
+    if (!layer) return;
+    const wasActive = map.hasLayer(layer);
+    baseLayersControl.removeLayer(layer);
+    if (wasActive) map.removeLayer(layer);
+    delete baseLayers[name];
+    if (wasActive) setBaseLayer(DEFAULT_BASE_LAYER);
+}
+
+// grid layer whose tiles come from an async getter returning a Blob (or null)
+function createBlobTileLayer(getTile, options) {
+    const BlobTileLayer = L.GridLayer.extend({
+        createTile(coords, done) {
+            const img = document.createElement('img');
+            img.alt = '';
+            Promise.resolve(getTile(coords.z, coords.x, coords.y)).then(blob => {
+                if (!blob) { done(null, img); return; }
+                const url = URL.createObjectURL(blob);
+                img.onload = img.onerror = () => { URL.revokeObjectURL(url); done(null, img); };
+                img.src = url;
+            }).catch(e => done(e, img));
+            return img;
+        }
+    });
+    return new BlobTileLayer(options);
 }
 
+// index a directory of z/x/y.(png|jpg|webp) tiles picked with a directory input
+function loadTileDirectory(files) {
+    const index = new Map();
+    let minZoom = Infinity;
+    let maxZoom = -Infinity;
+    let root = '';
+    for (const f of files) {
+        const path = f.webkitRelativePath || f.name;
+        const m = /(\d+)\/(\d+)\/(\d+)\.(png|jpe?g|webp)$/i.exec(path);
+        if (!m) continue;
+        const z = Number(m[1]);
+        index.set(`${z}/${m[2]}/${m[3]}`, f);
+        minZoom = Math.min(minZoom, z);
+        maxZoom = Math.max(maxZoom, z);
+        if (!root) root = path.split('/')[0];
+    }
+    if (index.size === 0) {
+        showInfoDialog('No z/x/y tile images found in the selected folder.', 'Map layers');
+        return;
+    }
+    const name = `Folder: ${root}`;
+    addBaseLayer(name, createBlobTileLayer((z, x, y) => index.get(`${z}/${x}/${y}`) || null, {
+        minNativeZoom: minZoom,
+        maxNativeZoom: maxZoom,
+        maxZoom: 24
+    }));
+    setBaseLayer(name);
+    setStatus(`tile folder loaded: ${index.size} tiles, zoom ${minZoom}-${maxZoom}`);
+}
 
-// create a small radar SVG overlay inside the map element (bottom-left)
-function createMapRadar() {
-    if (!mapEl) return;
-    if (mapRadar) return; // already created
-    const wrap = document.createElement('div');
-    wrap.id = 'map-radar-wrap';
-    wrap.style.position = 'absolute';
-    wrap.style.left = '12px';
-    wrap.style.bottom = '12px';
-    wrap.style.width = '220px';
-    wrap.style.height = '220px';
-    wrap.style.background = 'rgba(10,10,12,0.65)';
-    wrap.style.border = '1px solid rgba(150,170,190,0.12)';
-    wrap.style.borderRadius = '8px';
-    wrap.style.padding = '8px';
-    wrap.style.boxSizing = 'border-box';
-    wrap.style.zIndex = 650; // above map tiles
-    wrap.style.pointerEvents = 'none'; // allow clicks to pass through
-    // title
-    const title = document.createElement('div');
-    title.textContent = 'Radar';
-    title.style.color = '#9ad';
-    title.style.fontSize = '12px';
-    title.style.fontWeight = '700';
-    title.style.marginBottom = '6px';
-    title.style.pointerEvents = 'none';
-    wrap.appendChild(title);
+async function loadMbtilesFile(file) {
+    let mb;
+    try {
+        mb = await openMbtiles(file);
+    } catch (e) {
+        showInfoDialog('Could not open MBTiles file: ' + (e.message || e), 'Map layers');
+        return;
+    }
+    const name = `MBTiles: ${mb.name}`;
+    addBaseLayer(name, createBlobTileLayer(mb.getTile, {
+        minNativeZoom: mb.minZoom,
+        maxNativeZoom: mb.maxZoom,
+        maxZoom: 24
+    }));
+    setBaseLayer(name);
+    // show the tiled area when no robot has been located yet
+    const b = String(mb.meta.bounds || '').split(',').map(Number);
+    if (!firstLocationSet && b.length === 4 && b.every(Number.isFinite)) {
+        map.fitBounds([[b[1], b[0]], [b[3], b[2]]]);
+    }
+    setStatus(`MBTiles loaded: ${mb.name}`);
+}
+
+// plain metric grid drawn as vector lines (no tiles, works offline)
+function createMetricGridLayer() {
+    const MetricGridLayer = L.Layer.extend({
+        onAdd(m) {
+            this._group = L.layerGroup().addTo(m);
+            m.getContainer().classList.add('grid-mode');
+            m.on('moveend zoomend resize', this._redraw, this);
+            this._redraw();
+        },
+        onRemove(m) {
+            m.off('moveend zoomend resize', this._redraw, this);
+            m.removeLayer(this._group);
+            m.getContainer().classList.remove('grid-mode');
+        },
+        _redraw() {
+            const m = this._map;
+            if (!m) return;
+            this._group.clearLayers();
+            const b = m.getBounds();
+            const center = m.getCenter();
+            if (!gridOrigin || m.distance(gridOrigin, center) > 50000) gridOrigin = center;
+
+            const mPerDegLat = 111320;
+            const mPerDegLon = 111320 * Math.cos(gridOrigin.lat * Math.PI / 180);
+            const mPerPx = (b.getNorth() - b.getSouth()) * mPerDegLat / Math.max(1, m.getSize().y);
+            // 1/2/5 x 10^n spacing, about 80 px apart
+            const raw = mPerPx * 80;
+            const p = Math.pow(10, Math.floor(Math.log10(raw)));
+            const f = raw / p;
+            const spacing = (f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10) * p;
+            if (!(spacing > 0)) return; // map not laid out yet
+
+            const yMin = (b.getSouth() - gridOrigin.lat) * mPerDegLat;
+            const yMax = (b.getNorth() - gridOrigin.lat) * mPerDegLat;
+            const xMin = (b.getWest() - gridOrigin.lng) * mPerDegLon;
+            const xMax = (b.getEast() - gridOrigin.lng) * mPerDegLon;
+            const toLat = y => gridOrigin.lat + y / mPerDegLat;
+            const toLng = x => gridOrigin.lng + x / mPerDegLon;
+            const fmt = v => `${Math.round(v * 100) / 100} m`;
+            const style = v => Math.abs(v) < spacing / 2
+                ? { color: '#9ad', weight: 1.5, opacity: 0.9, interactive: false }
+                : { color: '#3a4a5a', weight: 1, opacity: 0.8, interactive: false };
+            const label = (latlng, text, anchor) => L.marker(latlng, {
+                interactive: false,
+                keyboard: false,
+                icon: L.divIcon({ className: 'grid-label', html: text, iconSize: null, iconAnchor: anchor })
+            });
+
+            for (let y = Math.ceil(yMin / spacing) * spacing; y <= yMax; y += spacing) {
+                this._group.addLayer(L.polyline([[toLat(y), b.getWest()], [toLat(y), b.getEast()]], style(y)));
+                this._group.addLayer(label([toLat(y), b.getWest()], fmt(y) + ' N', [-4, 14]));
+            }
+            for (let x = Math.ceil(xMin / spacing) * spacing; x <= xMax; x += spacing) {
+                this._group.addLayer(L.polyline([[b.getSouth(), toLng(x)], [b.getNorth(), toLng(x)]], style(x)));
+                this._group.addLayer(label([b.getNorth(), toLng(x)], fmt(x) + ' E', [-4, -4]));
+            }
+        }
+    });
+    return new MetricGridLayer();
+}
+
+// dialog to manage saved XYZ urls and load offline tile sources
+function showMapLayersDialog() {
+    const { box, close } = openDialog('Map layers', 420);
+    const inputStyle = 'padding:6px;border-radius:4px;border:1px solid #333;background:#111;color:#eee';
+
+    const listTitle = document.createElement('div');
+    listTitle.textContent = 'Custom XYZ layers';
+    listTitle.style = 'margin:4px 0;color:#9ad';
+    box.appendChild(listTitle);
+
+    const list = document.createElement('div');
+    box.appendChild(list);
+    const renderList = () => {
+        list.innerHTML = '';
+        const defs = loadPref('xyzLayers', []);
+        if (!defs.length) list.textContent = 'none';
+        for (const def of defs) {
+            const row = document.createElement('div');
+            row.style = 'display:flex;gap:8px;align-items:center;margin:2px 0;font-size:12px';
+            const txt = document.createElement('span');
+            txt.textContent = `${def.name} - ${def.url}`;
+            txt.style = 'flex:1;overflow:hidden;text-overflow:ellipsis;white-space:nowrap';
+            const rm = document.createElement('button');
+            rm.className = 'dialog-button';
+            rm.textContent = 'Remove';
+            rm.onclick = () => {
+                savePref('xyzLayers', loadPref('xyzLayers', []).filter(d => d.name !== def.name));
+                removeBaseLayer(def.name);
+                renderList();
+            };
+            row.appendChild(txt);
+            row.appendChild(rm);
+            list.appendChild(row);
+        }
+    };
+    renderList();
+
+    const form = document.createElement('div');
+    form.style = 'display:grid;grid-template-columns:110px 1fr;gap:6px;align-items:center;margin-top:10px';
+    const mk = (label, placeholder, type = 'text') => {
+        const l = document.createElement('div');
+        l.textContent = label;
+        const i = document.createElement('input');
+        i.type = type;
+        i.placeholder = placeholder;
+        i.style = inputStyle;
+        form.appendChild(l);
+        form.appendChild(i);
+        return i;
+    };
+    const nameIn = mk('Name', 'Field orthophoto');
+    const urlIn = mk('URL', 'http://host/tiles/{z}/{x}/{y}.png');
+    const zoomIn = mk('Max zoom', '19', 'number');
+    box.appendChild(form);
+
+    const info = document.createElement('div');
+    info.style = 'font-size:12px;color:#9ad;min-height:16px;margin-top:4px';
+    box.appendChild(info);
+
+    const addBtn = document.createElement('button');
+    addBtn.className = 'dialog-button';
+    addBtn.textContent = 'Add XYZ layer';
+    addBtn.onclick = () => {
+        const name = nameIn.value.trim();
+        const url = urlIn.value.trim();
+        if (!name) { info.textContent = 'Enter a name'; return; }
+        if (!/\{z\}/.test(url) || !/\{x\}/.test(url) || !/\{y\}/.test(url)) { info.textContent = 'URL must contain {z}, {x} and {y}'; return; }
+        const defs = loadPref('xyzLayers', []).filter(d => d.name !== name);
+        const def = { name, url, maxNativeZoom: Number(zoomIn.value) || 19 };
+        defs.push(def);
+        savePref('xyzLayers', defs);
+        addBaseLayer(name, createXyzLayer(def));
+        setBaseLayer(name);
+        nameIn.value = urlIn.value = zoomIn.value = '';
+        info.textContent = `added ${name}`;
+        renderList();
+    };
+    box.appendChild(addBtn);
+
+    const offTitle = document.createElement('div');
+    offTitle.textContent = 'Offline tiles (load again after each page reload)';
+    offTitle.style = 'margin:14px 0 4px 0;color:#9ad';
+    box.appendChild(offTitle);
+
+    const offRow = document.createElement('div');
+    offRow.style = 'display:flex;gap:8px;flex-wrap:wrap';
+    const dirInput = document.createElement('input');
+    dirInput.type = 'file';
+    dirInput.webkitdirectory = true;
+    dirInput.multiple = true;
+    dirInput.hidden = true;
+    dirInput.addEventListener('change', () => {
+        if (dirInput.files && dirInput.files.length) loadTileDirectory(Array.from(dirInput.files));
+        close();
+    });
+    const mbInput = document.createElement('input');
+    mbInput.type = 'file';
+    mbInput.accept = '.mbtiles';
+    mbInput.hidden = true;
+    mbInput.addEventListener('change', () => {
+        const file = mbInput.files && mbInput.files[0];
+        if (file) loadMbtilesFile(file);
+        close();
+    });
+    const dirBtn = document.createElement('button');
+    dirBtn.className = 'dialog-button';
+    dirBtn.textContent = 'Load tile folder...';
+    dirBtn.onclick = () => dirInput.click();
+    const mbBtn = document.createElement('button');
+    mbBtn.className = 'dialog-button';
+    mbBtn.textContent = 'Load MBTiles file...';
+    mbBtn.onclick = () => mbInput.click();
+    offRow.appendChild(dirBtn);
+    offRow.appendChild(mbBtn);
+    offRow.appendChild(dirInput);
+    offRow.appendChild(mbInput);
+    box.appendChild(offRow);
+
+    const btnRow = document.createElement('div');
+    btnRow.style = 'display:flex;gap:8px;justify-content:flex-end;margin-top:12px';
+    const btnClose = document.createElement('button');
+    btnClose.className = 'dialog-button';
+    btnClose.textContent = 'Close';
+    btnClose.onclick = close;
+    btnRow.appendChild(btnClose);
+    box.appendChild(btnRow);
+}
+
+// map button that opens the layer manager
+function createLayerToolsControl() {
+    const LayerTools = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const box = L.DomUtil.create('div', 'map-control');
+            L.DomEvent.disableClickPropagation(box);
+            const btn = document.createElement('button');
+            btn.className = 'robot-action';
+            btn.textContent = 'Manage layers';
+            btn.addEventListener('click', () => showMapLayersDialog());
+            box.appendChild(btn);
+            return box;
+        }
+    });
+    new LayerTools().addTo(map);
+}
+
+// helper to create a DivIcon with rotated arrow + ID label
+function createRobotIcon(id, headingRad) {
+    // headingRad: radians
+    const deg = Number.isFinite(headingRad) ? (headingRad * 180 / Math.PI) : 0;
+
+    // Fix: apply rotation = 90 - heading_degrees
+    // This corrects the 90° offset and inverts direction so increasing heading
+    // rotates the arrow in the expected (clockwise) sense.
+    let rot = 90 - deg;
+    const rotNorm = ((rot % 360) + 360) % 360;
+
+    // registry icon type and colour; the plain arrow keeps its original colours
+    const reg = robotRegistry.get(Number(id));
+    const color = reg && reg.color ? reg.color : null;
+    let shape;
+    switch (reg ? reg.icon : 'arrow') {
+        case 'triangle':
+            shape = `<path d="M0 -10 L7 7 L0 3 L-7 7 Z" fill="${robotColor(id)}" stroke="#222" stroke-width="0.8"/>`;
+            break;
+        case 'circle':
+            shape = `<circle cx="0" cy="0" r="6" fill="${robotColor(id)}" stroke="#222" stroke-width="0.8"/>
+      <line x1="0" y1="0" x2="0" y2="-11" stroke="${robotColor(id)}" stroke-width="2.5" stroke-linecap="round"/>`;
+            break;
+        case 'square':
+            shape = `<rect x="-6" y="-6" width="12" height="12" fill="${robotColor(id)}" stroke="#222" stroke-width="0.8"/>
+      <line x1="0" y1="0" x2="0" y2="-11" stroke="${robotColor(id)}" stroke-width="2.5" stroke-linecap="round"/>`;
+            break;
+        default:
+            shape = `<!-- arrow shaft -->
+      <line x1="0" y1="6" x2="0" y2="-6" stroke="${color || '#ffd966'}" stroke-width="2.5" stroke-linecap="round"/>
+      <!-- arrow head -->
+      <path d="M0 -9 L5 -4 L0 -6 L-5 -4 Z" fill="${color || '#ff6f61'}" stroke="#c84a3a" stroke-width="0.5"/>`;
+    }
+
+    const svg = `
+    <svg viewBox="-12 -12 24 24" xmlns="http://www.w3.org/2000/svg"
+         style="transform: rotate(${rotNorm}deg); transform-origin: center;">
+      ${shape}
+      <!-- center circle -->
+      <circle cx="0" cy="0" r="1.7" fill="#222"/>
+    </svg>
+  `;
+    const labelStyle = color ? ` style="color:${color}"` : '';
+    const html = `<div class="robot-marker">${svg}<div class="robot-label"${labelStyle}>${escapeXml(robotName(id))}</div></div>`;
+
+    return L.divIcon({
+        className: '',
+        html,
+        iconSize: [48, 28],
+        iconAnchor: [12, 12]
+    });
+}
+
+function updateMapMarker(s) {
+    if (!s || typeof s.latitude !== 'number' || typeof s.longitude !== 'number') return;
+    const lat = Number(s.latitude);
+    const lon = Number(s.longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+
+    if (!map) initMap();
+
+    if (!firstLocationSet) {
+        try { map.setView([lat, lon], 19); } catch (e) { }
+        firstLocationSet = true;
+    }
+
+    let m = markers.get(s.id);
+    const icon = createRobotIcon(s.id, s.heading);
+
+    if (!m) {
+        m = L.marker([lat, lon], { icon, riseOnHover: true, opacity: STATE_MARKER_OPACITY[s._state] ?? 1 }).addTo(map);
+        markers.set(s.id, m);
+
+        // ensure popupclose disables following for this id
+        m.on('popupclose', () => {
+            if (activeCenteredId === Number(s.id)) activeCenteredId = null;
+        });
+        m.on('popupopen', () => {
+            if (measurePopupBlocked) m.closePopup();
+        });
+
+        // clicking the marker sets activeCenteredId (and centers + opens popup),
+        // unless it picks a measurement end
+        m.on('click', () => {
+            if (onMeasureMarkerClick(s)) return;
+            try {
+                activeCenteredId = Number(s.id);
+                if (m.getPopup()) m.openPopup();
+                if (!isMapCenteredAt(lat, lon, 2)) map.setView([lat, lon], map.getZoom(), { animate: true });
+            } catch (e) { /* ignore */ }
+        });
+    } else {
+        m.setLatLng([lat, lon]);
+        m.setIcon(icon);
+        // ensure click handler exists/updated for existing markers as well
+        try {
+            m.off('click');
+            m.on('click', () => {
+                if (onMeasureMarkerClick(s)) return;
+                activeCenteredId = Number(s.id);
+                if (m.getPopup()) m.openPopup();
+                if (!isMapCenteredAt(lat, lon, 2)) map.setView([lat, lon], map.getZoom(), { animate: true });
+            });
+        } catch (e) { /* ignore */ }
+    }
+
+    // If this id is the active centered one, snap/map.setView to keep it centered (immediate)
+    if (activeCenteredId === Number(s.id)) {
+        try {
+            // avoid redundant setView calls if already centered
+            if (!isMapCenteredAt(lat, lon, 2)) {
+                map.setView([lat, lon], map.getZoom(), { animate: false });
+            }
+        } catch (e) { /* ignore */ }
+    }
+
+    // update popup content if present
+    const popup = m.getPopup();
+    if (popup) {
+        const popupHtml = `
+      <strong>${escapeXml(robotName(s.id))}</strong>${robotRegistry.get(Number(s.id))?.name ? ` (ID ${s.id})` : ''}<br/>
+      ${robotRegistry.get(Number(s.id))?.notes ? `<em>${escapeXml(robotRegistry.get(Number(s.id)).notes)}</em><br/>` : ''}
+      sync: ${s.sync_id} &nbsp; t_off: ${s.time_offset_ms} ms<br/>
+      lat: ${lat.toFixed(6)}<br/>lon: ${lon.toFixed(6)}<br/>
+      hdg: ${s.heading?.toFixed(3) ?? 'N/A'} rad<br/>
+      cov: ${s.cov_pos.toFixed(2) ?? 'N/A'}<br/>
+      spdX: ${s.speed_x.toFixed(2) ?? 'N/A'} mm/s
+      <div class="popup-actions">${robotActionsHtml(s.id)}</div>
+    `;
+        popup.setContent(popupHtml);
+    } else {
+        m.bindPopup(`<strong>${escapeXml(robotName(s.id))}</strong><br/>lat: ${lat.toFixed(6)} lon: ${lon.toFixed(6)}`);
+    }
+}
+
+// fixed palette so each robot id keeps the same colour for its trail
+const ROBOT_COLORS = ['#ffcc00', '#4fc3f7', '#ff6f61', '#81c784', '#ba68c8', '#ffb74d', '#4db6ac', '#f06292', '#aed581', '#7986cb'];
+
+// robot registry: id -> { name, color, icon, notes }, so a crowded fleet reads as
+// names instead of numbers. Empty fields fall back to "ID n", the palette colour
+// and the arrow icon.
+const ROBOT_ICON_TYPES = ['arrow', 'triangle', 'circle', 'square'];
+const robotRegistry = new Map();
+
+// validated copy of a stored/imported entry (null when it sets nothing)
+function normalizeRegistryEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const e = {
+        name: String(raw.name || '').trim(),
+        color: /^#[0-9a-f]{6}$/i.test(String(raw.color || '')) ? String(raw.color).toLowerCase() : '',
+        icon: ROBOT_ICON_TYPES.includes(raw.icon) ? raw.icon : 'arrow',
+        notes: String(raw.notes || '')
+    };
+    return e.name || e.color || e.icon !== 'arrow' || e.notes ? e : null;
+}
 
-    const svgNS = "http://www.w3.org/2000/svg";
-    const size = 180;
-    const svg = document.createElementNS(svgNS, 'svg');
-    svg.setAttribute('width', String(size));
-    svg.setAttribute('height', String(size));
-    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
-    svg.style.display = 'block';
-    svg.style.pointerEvents = 'none';
-    wrap.appendChild(svg);
+function loadRobotRegistry() {
+    const stored = loadPref('robotRegistry', {});
+    for (const id of Object.keys(stored)) {
+        const e = normalizeRegistryEntry(stored[id]);
+        if (e && Number.isInteger(Number(id))) robotRegistry.set(Number(id), e);
+    }
+}
+loadRobotRegistry();
 
-    mapEl.appendChild(wrap);
-    mapRadar = { wrap, svg, size };
-    // initial draw
+function saveRobotRegistry() {
+    savePref('robotRegistry', Object.fromEntries(robotRegistry));
+}
+
+function robotName(id) {
+    const e = robotRegistry.get(Number(id));
+    return e && e.name ? e.name : `ID ${id}`;
+}
+
+function robotColor(id) {
+    const e = robotRegistry.get(Number(id));
+    if (e && e.color) return e.color;
+    const n = Math.abs(Number(id) || 0);
+    return ROBOT_COLORS[n % ROBOT_COLORS.length];
+}
+
+// set (or with null, remove) the entry of one robot and redraw what shows it
+function setRobotRegistryEntry(id, raw) {
+    id = Number(id);
+    const e = normalizeRegistryEntry(raw);
+    if (e) robotRegistry.set(id, e);
+    else robotRegistry.delete(id);
+    saveRobotRegistry();
+    applyRobotRegistry(id);
+}
+
+function applyRobotRegistry(id) {
+    const s = getStatusById(id);
+    if (s && markers.has(id)) updateMapMarker(s);
+    const tr = trails.get(id);
+    if (tr) tr.line.setStyle({ color: robotColor(id) });
+    const entryEl = document.querySelector(`.tree-entry[data-id="${id}"]`);
+    if (entryEl) setTreeLabel(entryEl.querySelector('.tree-label'), id);
+    // pickers and selectors that list robots by name rebuild on their next refresh
+    chartRobotKey = null;
+    if (mapRadar) mapRadar.refKey = '';
     updateMapRadar();
+    renderMeasureList();
+    updateMeasurements(id);
+    scheduleTerminalRender();
 }
 
-// update map radar drawing using statusArray entries (assumes s.xy = {x,y} meters)
-function updateMapRadar() {
-    if (!mapRadar) return;
-    const svg = mapRadar.svg;
-    const size = mapRadar.size;
-    const center = size / 2;
-    const margin = 8;
-    const maxR = center - margin;
+function setTreeLabel(el, id) {
+    if (!el) return;
+    const e = robotRegistry.get(Number(id));
+    el.textContent = robotName(id);
+    el.style.color = e && e.color ? e.color : '';
+    el.title = `ID ${id}` + (e && e.notes ? '\n' + e.notes : '');
+}
 
-    // compute max distance among statuses (use status.distance if available or compute from xy)
-    let maxDist = 0;
-    for (const s of statusArray) {
-        const d = Number(s.distance || Math.hypot(s.xy?.x || 0, s.xy?.y || 0)) || 0;
-        if (d > maxDist) maxDist = d;
+// export: { robots: [{ id, name, color, icon, notes }] }; import also takes a bare
+// array of entries or an object keyed by id (the stored form)
+function exportRobotRegistry() {
+    const robots = [...robotRegistry].sort((a, b) => a[0] - b[0]).map(([id, e]) => Object.assign({ id }, e));
+    downloadBlob(new Blob([JSON.stringify({ robots }, null, 2)], { type: 'application/json' }), `robots_${fileTimestamp()}.json`);
+}
+
+function importRobotRegistry(json) {
+    let list = json && json.robots !== undefined ? json.robots : json;
+    if (list && !Array.isArray(list) && typeof list === 'object') list = Object.keys(list).map(id => Object.assign({ id }, list[id]));
+    if (!Array.isArray(list)) throw new Error('expected a list of robots');
+    let n = 0;
+    for (const raw of list) {
+        const id = Number(raw && raw.id);
+        const e = normalizeRegistryEntry(raw);
+        if (!Number.isInteger(id) || !e) continue;
+        robotRegistry.set(id, e);
+        applyRobotRegistry(id);
+        n++;
     }
-    let outerMeters = Math.max(10, maxDist + 10);
-    outerMeters = Math.ceil(outerMeters / 5) * 5; // round up to multiple of 5
+    saveRobotRegistry();
+    return n;
+}
 
-    const pxPerM = maxR / outerMeters;
+function showRobotRegistryDialog(id) {
+    id = Number(id);
+    const { box, close } = openDialog(`Robot ID ${id}`, 320);
+    const e = robotRegistry.get(id) || {};
+    const form = document.createElement('div');
+    form.style = 'display:grid;grid-template-columns:auto 1fr;gap:6px 10px;align-items:center;font-size:13px';
+    form.innerHTML = `
+        <label>Name</label><input class="reg-name" placeholder="ID ${id}">
+        <label>Colour</label><input class="reg-color" type="color">
+        <label>Icon</label><select class="reg-icon">${ROBOT_ICON_TYPES.map(t => `<option value="${t}">${t}</option>`).join('')}</select>
+        <label>Notes</label><textarea class="reg-notes" rows="3"></textarea>`;
+    box.appendChild(form);
+    const nameIn = form.querySelector('.reg-name');
+    const colorIn = form.querySelector('.reg-color');
+    const iconSel = form.querySelector('.reg-icon');
+    const notesIn = form.querySelector('.reg-notes');
+    nameIn.value = e.name || '';
+    colorIn.value = robotColor(id);
+    iconSel.value = e.icon || 'arrow';
+    notesIn.value = e.notes || '';
+    // an untouched colour picker keeps following the palette
+    let colorChanged = !!e.color;
+    colorIn.addEventListener('input', () => { colorChanged = true; });
 
-    // clear
-    while (svg.firstChild) svg.removeChild(svg.firstChild);
+    const info = document.createElement('div');
+    info.style = 'margin-top:8px;font-size:12px;color:#f39c12;min-height:16px';
+    box.appendChild(info);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const n = importRobotRegistry(JSON.parse(await file.text()));
+            info.textContent = `imported ${n} robot(s)`;
+            const cur = robotRegistry.get(id) || {};
+            nameIn.value = cur.name || '';
+            colorIn.value = robotColor(id);
+            iconSel.value = cur.icon || 'arrow';
+            notesIn.value = cur.notes || '';
+            colorChanged = !!cur.color;
+        } catch (err) {
+            info.textContent = 'Import failed: ' + (err.message || err);
+        }
+    });
+    box.appendChild(fileInput);
 
-    const create = (name, attrs = {}) => {
-        const el = document.createElementNS(svg.namespaceURI, name);
-        Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
-        return el;
+    const btnRow = document.createElement('div');
+    btnRow.style = 'display:flex;gap:8px;justify-content:flex-end;margin-top:12px';
+    const mkBtn = (text, onclick) => {
+        const b = document.createElement('button');
+        b.className = 'dialog-button';
+        b.textContent = text;
+        b.onclick = onclick;
+        btnRow.appendChild(b);
     };
+    mkBtn('Import...', () => fileInput.click());
+    mkBtn('Export', exportRobotRegistry);
+    mkBtn('Reset', () => {
+        setRobotRegistryEntry(id, null);
+        close();
+    });
+    mkBtn('Cancel', close);
+    mkBtn('Save', () => {
+        setRobotRegistryEntry(id, { name: nameIn.value, color: colorChanged ? colorIn.value : '', icon: iconSel.value, notes: notesIn.value });
+        close();
+    });
+    box.appendChild(btnRow);
+}
 
-    // axes
-    svg.appendChild(create('line', { x1: center, y1: center - maxR, x2: center, y2: center + maxR, stroke: '#9aa', 'stroke-width': 1 }));
-    svg.appendChild(create('line', { x1: center - maxR, y1: center, x2: center + maxR, y2: center, stroke: '#9aa', 'stroke-width': 1 }));
+// breadcrumb trails: id -> { points: [{ lat, lon, t, rxT, sync_state, heading, speed_x, speed_y, rot_speed, drive_mode }], line }
+// t is the robot-side time (see resolveRobotTime, null without a sync reference), rxT the arrival time
+const trails = new Map();
+// trail length limit: by age (seconds) or by number of points
+const trailSettings = Object.assign({ mode: 'time', maxAgeS: 300, maxPoints: 500 }, loadPref('trailSettings', {}));
+// upper bound regardless of settings so a long session cannot exhaust memory
+const TRAIL_HARD_MAX_POINTS = 20000;
+
+// append the status position to its robot trail and redraw the polyline
+function updateTrail(s) {
+    if (!map || !s || !Number.isFinite(s.latitude) || !Number.isFinite(s.longitude)) return;
+    const id = Number(s.id);
+    let tr = trails.get(id);
+    if (!tr) {
+        const line = L.polyline([], { color: robotColor(id), weight: 2, opacity: 0.85, interactive: false }).addTo(map);
+        tr = { points: [], line };
+        trails.set(id, tr);
+    }
+    tr.points.push({
+        lat: s.latitude,
+        lon: s.longitude,
+        // robot-side time (null without a sync reference), see resolveRobotTime
+        t: s.robot_time ? new Date(s.robot_time).getTime() : null,
+        rxT: s.tstamp ? new Date(s.tstamp).getTime() : nowMs(),
+        sync_state: s.sync_state,
+        heading: s.heading,
+        speed_x: s.speed_x,
+        speed_y: s.speed_y,
+        rot_speed: s.rot_speed,
+        drive_mode: s.drive_mode
+    });
+    pruneTrail(tr);
+    tr.line.setLatLngs(tr.points.map(p => [p.lat, p.lon]));
+}
 
-    // diagonals
-    svg.appendChild(create('line', { x1: center - maxR, y1: center - maxR, x2: center + maxR, y2: center + maxR, stroke: '#667', 'stroke-width': 1, 'stroke-dasharray': '3 3' }));
-    svg.appendChild(create('line', { x1: center - maxR, y1: center + maxR, x2: center + maxR, y2: center - maxR, stroke: '#667', 'stroke-width': 1, 'stroke-dasharray': '3 3' }));
+// drop points outside the configured window; returns true when something was removed
+function pruneTrail(tr, now = nowMs()) {
+    const before = tr.points.length;
+    if (trailSettings.mode === 'time') {
+        // by arrival time: robot times are not monotonic and may be missing
+        const minT = now - trailSettings.maxAgeS * 1000;
+        let i = 0;
+        while (i < tr.points.length && tr.points[i].rxT < minT) i++;
+        if (i) tr.points.splice(0, i);
+    } else if (tr.points.length > trailSettings.maxPoints) {
+        tr.points.splice(0, tr.points.length - trailSettings.maxPoints);
+    }
+    if (tr.points.length > TRAIL_HARD_MAX_POINTS) tr.points.splice(0, tr.points.length - TRAIL_HARD_MAX_POINTS);
+    return tr.points.length !== before;
+}
 
-    // circles and axis labels (skip horizontal labels for min/max as requested elsewhere)
-    for (let i = 1; i <= 4; i++) {
-        const rMeters = (outerMeters * i) / 4.0;
-        const rPx = rMeters * pxPerM;
-        const circle = create('circle', { cx: center, cy: center, r: String(rPx), stroke: i === 4 ? '#9ad' : '#4a6', 'stroke-width': i === 4 ? 1.5 : 1, fill: 'none', opacity: 0.9 });
-        svg.appendChild(circle);
+// re-apply the limits to every trail (settings changed, or time-based expiry)
+function pruneAllTrails() {
+    const now = nowMs();
+    for (const tr of trails.values()) {
+        if (pruneTrail(tr, now)) tr.line.setLatLngs(tr.points.map(p => [p.lat, p.lon]));
+    }
+}
 
-        // top (X positive) and bottom (X negative) labels
-        const labelStyle = 'font-size:10px;fill:#9ad';
-        const top = create('text', { x: center + 4, y: center - rPx - 4, style: labelStyle });
-        top.textContent = `${Math.round(rMeters)} m`;
-        svg.appendChild(top);
-        const bot = create('text', { x: center + 4, y: center + rPx + 12, style: labelStyle });
-        bot.textContent = `-${Math.round(rMeters)} m`;
-        svg.appendChild(bot);
+function clearTrail(id) {
+    const tr = trails.get(Number(id));
+    if (!tr) return;
+    tr.points.length = 0;
+    tr.line.setLatLngs([]);
+}
 
-        // left/right labels (skip for i===1 and i===4 as requested)
-        if (i !== 1 && i !== 4) {
-            const left = create('text', { x: center - rPx - 30, y: center + 4, style: labelStyle });
-            left.textContent = `${Math.round(rMeters)} m`;
-            svg.appendChild(left);
-            const right = create('text', { x: center + rPx + 6, y: center + 4, style: labelStyle });
-            right.textContent = `-${Math.round(rMeters)} m`;
-            svg.appendChild(right);
-        }
-    }
+function clearAllTrails() {
+    for (const id of trails.keys()) clearTrail(id);
+}
 
-    // angle labels every 30 deg except 90 and 270
-    for (let ang = 0; ang < 360; ang += 30) {
-        if (ang === 90 || ang === 270) continue;
-        const mathRad = (90 + ang) * Math.PI / 180;
-        const x = center + Math.cos(mathRad) * maxR;
-        const y = center - Math.sin(mathRad) * maxR;
-        const lbl = create('text', { x: x, y: y, style: 'font-size:10px;fill:#9ad', 'text-anchor': 'middle', 'dominant-baseline': 'central' });
-        lbl.textContent = `${ang}°`;
-        svg.appendChild(lbl);
+// remove trail layers entirely (used when the session state is reset)
+function removeAllTrails() {
+    for (const tr of trails.values()) {
+        try { map && map.removeLayer(tr.line); } catch (e) { /* ignore */ }
     }
+    trails.clear();
+}
 
-    // plot robots from statusArray (X forward -> up, Y left -> left)
-    for (const s of statusArray) {
-        if (!s || !s.xy) continue;
-        const rx = Number(s.xy.x || 0);
-        const ry = Number(s.xy.y || 0);
-        const px = center - (ry * pxPerM);
-        const py = center - (rx * pxPerM);
-        const g = create('g', {});
-        const dot = create('circle', { cx: px, cy: py, r: 4, fill: '#ffcc00', stroke: '#000', 'stroke-width': 0.6 });
-        g.appendChild(dot);
-        const txt = create('text', { x: px + 8, y: py - 6, style: 'font-size:10px;fill:#fff;pointer-events:none' });
-        txt.textContent = `${s.id}`;
-        g.appendChild(txt);
-        svg.appendChild(g);
+function escapeXml(v) {
+    return String(v).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+// export timestamps, increasing along the track: the robot time where it exists and
+// moves forward; otherwise (no sync reference, or a status following an old SYNC that
+// puts it behind the previous point) the previous time plus the arrival-time step.
+// time_source tells which: 'robot', 'no_sync' or 'clamped'
+function trailExportTimes(pts) {
+    const out = [];
+    for (let i = 0; i < pts.length; ++i) {
+        const p = pts[i];
+        const prev = out[i - 1];
+        let t = p.t;
+        let source = 'robot';
+        if (t === null || !Number.isFinite(t)) source = 'no_sync';
+        else if (prev && t < prev.t) source = 'clamped';
+        if (source !== 'robot') t = prev ? prev.t + Math.max(0, p.rxT - pts[i - 1].rxT) : p.rxT;
+        out.push({ t, source });
     }
+    return out;
 }
 
-// clear radar (used on disconnect)
-function clearMapRadar() {
-    if (!mapRadar) return;
-    const svg = mapRadar.svg;
-    while (svg.firstChild) svg.removeChild(svg.firstChild);
+// GPX 1.1 track with decoded status fields as per-point extensions
+function trailToGpx(id) {
+    const tr = trails.get(Number(id));
+    const pts = tr ? tr.points : [];
+    const fmt = v => Number.isFinite(v) ? String(v) : '';
+    const times = trailExportTimes(pts);
+    const trkpts = pts.map((p, i) => `      <trkpt lat="${p.lat.toFixed(8)}" lon="${p.lon.toFixed(8)}">
+        <time>${new Date(times[i].t).toISOString()}</time>
+        <extensions>
+          <r2r:heading>${fmt(p.heading)}</r2r:heading>
+          <r2r:speed_x>${fmt(p.speed_x)}</r2r:speed_x>
+          <r2r:speed_y>${fmt(p.speed_y)}</r2r:speed_y>
+          <r2r:rot_speed>${fmt(p.rot_speed)}</r2r:rot_speed>
+          <r2r:drive_mode>${fmt(p.drive_mode)}</r2r:drive_mode>
+          <r2r:rx_time>${new Date(p.rxT).toISOString()}</r2r:rx_time>
+          <r2r:sync_state>${escapeXml(p.sync_state || 'unknown')}</r2r:sync_state>
+          <r2r:time_source>${times[i].source}</r2r:time_source>
+        </extensions>
+      </trkpt>`).join('\n');
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Multirobot R2R viewer" xmlns="http://www.topografix.com/GPX/1/1" xmlns:r2r="urn:www_radio:r2r:1">
+  <trk>
+    <name>${escapeXml('ID ' + id)}</name>
+    <trkseg>
+${trkpts}
+    </trkseg>
+  </trk>
+</gpx>
+`;
 }
 
-// helper: check if map center is within tolMeters of a lat/lon
-function isMapCenteredAt(lat, lon, tolMeters = 2) {
-    if (!map) return false;
-    try {
-        const center = map.getCenter();
-        // Leaflet's map.distance exists; fallback to simple degrees distance if not
-        if (typeof map.distance === 'function') {
-            return map.distance(center, L.latLng(lat, lon)) <= tolMeters;
-        } else {
-            const dx = center.lat - lat;
-            const dy = center.lng - lon;
-            return Math.sqrt(dx * dx + dy * dy) <= (tolMeters / 111000); // approx degrees
+// GeoJSON: the track as a LineString plus one Point feature per status
+function trailToGeoJson(id) {
+    const tr = trails.get(Number(id));
+    const pts = tr ? tr.points : [];
+    const features = [{
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: pts.map(p => [p.lon, p.lat]) },
+        properties: { id: Number(id) }
+    }];
+    const times = trailExportTimes(pts);
+    pts.forEach((p, i) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [p.lon, p.lat] },
+            properties: {
+                id: Number(id),
+                time: new Date(times[i].t).toISOString(),
+                time_source: times[i].source,
+                rx_time: new Date(p.rxT).toISOString(),
+                sync_state: p.sync_state || 'unknown',
+                heading: p.heading,
+                speed_x: p.speed_x,
+                speed_y: p.speed_y,
+                rot_speed: p.rot_speed,
+                drive_mode: p.drive_mode
+            }
+        });
+    });
+    return { type: 'FeatureCollection', features };
+}
+
+function exportTrail(id, format) {
+    const tr = trails.get(Number(id));
+    if (!tr || tr.points.length === 0) {
+        showInfoDialog(`No track recorded for ID ${id}.`, 'Export track');
+        return;
+    }
+    const stamp = fileTimestamp(new Date(tr.points[0].rxT));
+    if (format === 'gpx') {
+        downloadBlob(new Blob([trailToGpx(id)], { type: 'application/gpx+xml' }), `track_${id}_${stamp}.gpx`);
+    } else {
+        downloadBlob(new Blob([JSON.stringify(trailToGeoJson(id), null, 1)], { type: 'application/geo+json' }), `track_${id}_${stamp}.geojson`);
+    }
+}
+
+// small Leaflet control (top-right) with the trail length settings
+function createTrailControl() {
+    const TrailControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd() {
+            const box = L.DomUtil.create('div', 'map-control');
+            L.DomEvent.disableClickPropagation(box);
+            L.DomEvent.disableScrollPropagation(box);
+
+            const title = document.createElement('div');
+            title.className = 'map-control-title';
+            title.textContent = 'Trails';
+            box.appendChild(title);
+
+            const row = document.createElement('div');
+            row.className = 'map-control-row';
+            const modeSel = document.createElement('select');
+            modeSel.innerHTML = '<option value="time">last seconds</option><option value="points">last points</option>';
+            modeSel.value = trailSettings.mode;
+            const valueInput = document.createElement('input');
+            valueInput.type = 'number';
+            valueInput.min = '1';
+            valueInput.style.width = '70px';
+            const showValue = () => {
+                valueInput.value = String(trailSettings.mode === 'time' ? trailSettings.maxAgeS : trailSettings.maxPoints);
+            };
+            showValue();
+            modeSel.addEventListener('change', () => {
+                trailSettings.mode = modeSel.value;
+                savePref('trailSettings', trailSettings);
+                showValue();
+                pruneAllTrails();
+            });
+            valueInput.addEventListener('change', () => {
+                const v = Math.floor(Number(valueInput.value));
+                if (!Number.isFinite(v) || v < 1) { showValue(); return; }
+                if (trailSettings.mode === 'time') trailSettings.maxAgeS = v;
+                else trailSettings.maxPoints = v;
+                savePref('trailSettings', trailSettings);
+                pruneAllTrails();
+            });
+            row.appendChild(modeSel);
+            row.appendChild(valueInput);
+            box.appendChild(row);
+
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'robot-action';
+            clearBtn.textContent = 'Clear all trails';
+            clearBtn.addEventListener('click', () => clearAllTrails());
+            box.appendChild(clearBtn);
+            return box;
         }
-    } catch (e) {
-        return false;
+    });
+    new TrailControl().addTo(map);
+}
+
+// position uncertainty circles drawn from cov_pos: id -> L.circle
+const covCircles = new Map();
+// cov_pos is either a variance (m^2) or a standard deviation (m); quality thresholds are on sigma (m)
+const covSettings = Object.assign({ mode: 'variance', goodM: 0.5, fairM: 2.0 }, loadPref('covSettings', {}));
+
+// 1-sigma position uncertainty in meters (NaN when cov_pos is not usable)
+function covSigmaMeters(cov) {
+    if (!Number.isFinite(cov) || cov < 0) return NaN;
+    return covSettings.mode === 'variance' ? Math.sqrt(cov) : cov;
+}
+
+function covQualityColor(sigma) {
+    if (!Number.isFinite(sigma)) return '#888';
+    if (sigma <= covSettings.goodM) return '#2ecc71';
+    if (sigma <= covSettings.fairM) return '#f39c12';
+    return '#e74c3c';
+}
+
+function updateCovCircle(s) {
+    if (!map || !s || !Number.isFinite(s.latitude) || !Number.isFinite(s.longitude)) return;
+    const id = Number(s.id);
+    const sigma = covSigmaMeters(s.cov_pos);
+    let c = covCircles.get(id);
+    if (!Number.isFinite(sigma)) {
+        if (c) { map.removeLayer(c); covCircles.delete(id); }
+        return;
+    }
+    const color = covQualityColor(sigma);
+    if (!c) {
+        c = L.circle([s.latitude, s.longitude], { radius: sigma, color, weight: 1, fillOpacity: 0.15, interactive: false }).addTo(map);
+        covCircles.set(id, c);
+    } else {
+        c.setLatLng([s.latitude, s.longitude]);
+        c.setRadius(sigma);
+        c.setStyle({ color });
     }
 }
 
-// center map on marker for given id (optional zoom)
-// Sets activeCenteredId so the map will keep following this id until its popup is closed.
-function centerMapOnId(id, zoom = null) {
-    if (!map) return;
-    const m = markers.get(Number(id));
-    if (!m) return;
-    const latlng = m.getLatLng();
-    if (!latlng) return;
-    try {
-        // open popup for visual feedback
-        if (m.getPopup()) m.openPopup();
-        // set view immediately (animated) when user requests centering
-        if (zoom && Number.isFinite(zoom)) map.setView(latlng, zoom, { animate: true });
-        else map.setView(latlng, map.getZoom(), { animate: true });
-        // enable centering/follow for this id
-        activeCenteredId = Number(id);
-    } catch (e) { /* ignore */ }
+// re-evaluate every circle after the interpretation or thresholds changed
+function refreshCovCircles() {
+    for (const s of statusArray) updateCovCircle(s);
+    updateCovLegend();
 }
 
-// create DOM entry (collapsed by default) and attach toggle handler
-function createTreeEntry(s) {
-    const container = ensureTreeContainer();
-    const entry = document.createElement('div');
-    entry.className = 'tree-entry';
-    entry.dataset.id = String(s.id);
-    entry.style.padding = '6px 8px';
-    entry.style.borderBottom = '1px solid #111';
-    entry.style.cursor = 'pointer';
-    entry.style.color = '#ddd';
+function removeAllCovCircles() {
+    for (const c of covCircles.values()) {
+        try { map && map.removeLayer(c); } catch (e) { /* ignore */ }
+    }
+    covCircles.clear();
+}
 
-    const header = document.createElement('div');
-    header.className = 'tree-header';
-    header.style.fontWeight = '600';
-    header.style.marginBottom = '6px';
-    header.style.display = 'flex';
-    header.style.alignItems = 'center';
-    header.style.gap = '8px';
+let covLegendEl = null;
 
-    // aux status icon (small circle)
-    const auxIcon = document.createElement('span');
-    auxIcon.className = 'aux-icon';
-    auxIcon.style.display = 'inline-block';
-    auxIcon.style.width = '10px';
-    auxIcon.style.height = '10px';
-    auxIcon.style.borderRadius = '50%';
-    auxIcon.style.flex = '0 0 10px';
-    updateAuxIconElem(auxIcon, s.aux_data_status);
+function updateCovLegend() {
+    if (!covLegendEl) return;
+    const rows = covLegendEl.querySelectorAll('.cov-legend-text');
+    if (rows.length < 3) return;
+    rows[0].textContent = `σ ≤ ${covSettings.goodM} m good`;
+    rows[1].textContent = `σ ≤ ${covSettings.fairM} m fair`;
+    rows[2].textContent = `σ > ${covSettings.fairM} m poor`;
+}
 
-    const labelSpan = document.createElement('span');
-    labelSpan.textContent = `ID ${s.id}`;
-    // fixed-width label so all progress bars start at the same horizontal position
-    labelSpan.style.flex = '0 0 64px';
-    labelSpan.style.width = '64px';
-    labelSpan.style.overflow = 'hidden';
-    labelSpan.style.textOverflow = 'ellipsis';
+// legend (bottom-right) with the cov_pos interpretation and the quality thresholds
+function createCovLegend() {
+    const CovLegend = L.Control.extend({
+        options: { position: 'bottomright' },
+        onAdd() {
+            const box = L.DomUtil.create('div', 'map-control');
+            L.DomEvent.disableClickPropagation(box);
+            L.DomEvent.disableScrollPropagation(box);
+
+            const title = document.createElement('div');
+            title.className = 'map-control-title';
+            title.textContent = 'Position uncertainty (1σ)';
+            box.appendChild(title);
+
+            for (const color of ['#2ecc71', '#f39c12', '#e74c3c']) {
+                const row = document.createElement('div');
+                row.className = 'map-control-row';
+                const sw = document.createElement('span');
+                sw.style = `display:inline-block;width:12px;height:12px;border-radius:50%;border:2px solid ${color};background:${color}33`;
+                const txt = document.createElement('span');
+                txt.className = 'cov-legend-text';
+                row.appendChild(sw);
+                row.appendChild(txt);
+                box.appendChild(row);
+            }
 
-    // progress bar container (green background)
-    const progOuter = document.createElement('div');
-    progOuter.className = 'time-progress-outer';
-    progOuter.style.flex = '1 1 auto';
-    progOuter.style.height = '9px';
-    progOuter.style.background = '#2ecc71'; /* green */
-    progOuter.style.borderRadius = '6px';
-    progOuter.style.overflow = 'hidden';
-    progOuter.style.minWidth = '60px';
+            const modeRow = document.createElement('div');
+            modeRow.className = 'map-control-row';
+            modeRow.appendChild(document.createTextNode('cov_pos is'));
+            const modeSel = document.createElement('select');
+            modeSel.innerHTML = '<option value="variance">variance (m²)</option><option value="stddev">std dev (m)</option>';
+            modeSel.value = covSettings.mode;
+            modeSel.addEventListener('change', () => {
+                covSettings.mode = modeSel.value;
+                savePref('covSettings', covSettings);
+                refreshCovCircles();
+            });
+            modeRow.appendChild(modeSel);
+            box.appendChild(modeRow);
+
+            const thrRow = document.createElement('div');
+            thrRow.className = 'map-control-row';
+            thrRow.appendChild(document.createTextNode('good/fair ≤'));
+            const mkInput = (key) => {
+                const inp = document.createElement('input');
+                inp.type = 'number';
+                inp.min = '0';
+                inp.step = '0.1';
+                inp.style.width = '56px';
+                inp.value = String(covSettings[key]);
+                inp.addEventListener('change', () => {
+                    const v = Number(inp.value);
+                    const other = key === 'goodM' ? covSettings.fairM : covSettings.goodM;
+                    const valid = Number.isFinite(v) && v >= 0 && (key === 'goodM' ? v <= other : v >= other);
+                    if (!valid) { inp.value = String(covSettings[key]); return; }
+                    covSettings[key] = v;
+                    savePref('covSettings', covSettings);
+                    refreshCovCircles();
+                });
+                return inp;
+            };
+            thrRow.appendChild(mkInput('goodM'));
+            thrRow.appendChild(mkInput('fairM'));
+            thrRow.appendChild(document.createTextNode('m'));
+            box.appendChild(thrRow);
+
+            covLegendEl = box;
+            updateCovLegend();
+            return box;
+        }
+    });
+    new CovLegend().addTo(map);
+}
 
-    // inner red overlay whose width represents elapsed/5s
-    const progInner = document.createElement('div');
-    progInner.className = 'time-progress-inner';
-    progInner.style.height = '100%';
-    progInner.style.width = '0%';
-    progInner.style.background = '#e74c3c'; /* red */
-    progInner.style.transition = 'width 0.15s linear';
+// alarms shown as a list docked at the top of the map (newest first); clicking
+// an alarm centers the map on the robot that raised it
+const MAP_MAX_ALERTS = 6;
+let mapAlertsEl = null;
 
-    progOuter.appendChild(progInner);
+function createMapAlerts() {
+    mapAlertsEl = L.DomUtil.create('div', 'map-alerts', map.getContainer());
+    L.DomEvent.disableClickPropagation(mapAlertsEl);
+}
 
-    header.appendChild(auxIcon);
-    header.appendChild(labelSpan);
-    header.appendChild(progOuter);
-    entry.appendChild(header);
+function raiseMapAlert(id, text) {
+    setStatus(text);
+    if (!mapAlertsEl) return;
+    const alert = document.createElement('div');
+    alert.className = 'map-alert-item';
+    const msg = document.createElement('span');
+    msg.textContent = `${new Date(nowMs()).toLocaleTimeString()} ${text}`;
+    msg.style.cursor = 'pointer';
+    msg.addEventListener('click', () => centerMapOnId(id));
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.title = 'Dismiss';
+    close.addEventListener('click', () => alert.remove());
+    alert.appendChild(msg);
+    alert.appendChild(close);
+    mapAlertsEl.insertBefore(alert, mapAlertsEl.firstChild);
+    while (mapAlertsEl.children.length > MAP_MAX_ALERTS) mapAlertsEl.lastChild.remove();
+}
 
-    const details = document.createElement('div');
-    details.className = 'tree-details';
-    details.style.display = s._expanded ? 'block' : 'none';
-    details.innerHTML = renderStatusDetailsHtml(s);
-    entry.appendChild(details);
+// geofences: robots must not enter 'keepout' zones and must stay inside the 'allowed' zones
+// that apply to them (inside any one of them is enough).
+// { id, name, kind: 'keepout'|'allowed', type: 'polygon'|'circle', points: [[lat, lon], ...]
+//   (polygon) | center: [lat, lon], radiusM (circle), ids: [robot ids] (empty = all robots) }
+const geofences = [];
+const geofenceLayers = new Map(); // fence id -> L.Polygon | L.Circle
+const geofenceViolations = new Map(); // robot id -> Set of violated fence ids
+const GEOFENCE_COLORS = { keepout: '#e74c3c', allowed: '#2ecc71' };
+let geofenceDraw = null; // { type, kind, points, preview } while drawing
+let geofenceEdit = null; // { id, handles } while the vertex handles of a fence are shown
+let geofenceListEl = null;
+let geofenceHintEl = null;
+
+// validated copy of a stored/imported fence (null when unusable)
+function normalizeGeofence(raw, id) {
+    if (!raw || typeof raw !== 'object') return null;
+    const isLatLon = p => Array.isArray(p) && p.length >= 2 && Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1]));
+    const f = {
+        id,
+        name: String(raw.name || `zone ${id}`),
+        kind: raw.kind === 'allowed' ? 'allowed' : 'keepout',
+        type: raw.type === 'circle' ? 'circle' : 'polygon',
+        ids: Array.isArray(raw.ids) ? raw.ids.map(Number).filter(Number.isInteger) : []
+    };
+    if (f.type === 'circle') {
+        if (!isLatLon(raw.center) || !(Number(raw.radiusM) > 0)) return null;
+        f.center = [Number(raw.center[0]), Number(raw.center[1])];
+        f.radiusM = Number(raw.radiusM);
+    } else {
+        if (!Array.isArray(raw.points) || raw.points.length < 3 || !raw.points.every(isLatLon)) return null;
+        f.points = raw.points.map(p => [Number(p[0]), Number(p[1])]);
+    }
+    return f;
+}
 
-    // store quick refs for updates
-    entry._progInner = progInner;
-    entry._header = header;
+function nextGeofenceId() {
+    return geofences.reduce((m, f) => Math.max(m, f.id), 0) + 1;
+}
 
-    // toggle on click of header and center map on this robot only when expanding
-    header.addEventListener('click', (ev) => {
-        ev.stopPropagation();
-        s._expanded = !s._expanded;
-        details.style.display = s._expanded ? 'block' : 'none';
-        if (s._expanded) centerMapOnId(s.id);
-    });
+function saveGeofences() {
+    savePref('geofences', geofences);
+}
 
-    // clicking the whole entry toggles too (and centers only when expanding)
-    entry.addEventListener('click', () => {
-        s._expanded = !s._expanded;
-        details.style.display = s._expanded ? 'block' : 'none';
-        if (s._expanded) centerMapOnId(s.id);
-    });
+function loadGeofences() {
+    for (const raw of loadPref('geofences', [])) {
+        const f = normalizeGeofence(raw, nextGeofenceId());
+        if (f) {
+            geofences.push(f);
+            renderGeofence(f);
+        }
+    }
+}
 
-    container.appendChild(entry);
-    return entry;
+function renderGeofence(f) {
+    const old = geofenceLayers.get(f.id);
+    const style = { color: GEOFENCE_COLORS[f.kind], weight: 2, fillOpacity: f.kind === 'keepout' ? 0.15 : 0.05, dashArray: f.kind === 'allowed' ? '6 4' : null };
+    // update in place (keeps the layer stable while a handle is dragged)
+    if (old && (old instanceof L.Circle) === (f.type === 'circle')) {
+        if (f.type === 'circle') {
+            old.setLatLng(f.center);
+            old.setRadius(f.radiusM);
+        } else {
+            old.setLatLngs(f.points);
+        }
+        old.setStyle(style);
+        old.setTooltipContent(`${f.name} (${f.kind})`);
+        return;
+    }
+    if (old) map.removeLayer(old);
+    const layer = f.type === 'circle'
+        ? L.circle(f.center, Object.assign({ radius: f.radiusM }, style))
+        : L.polygon(f.points, style);
+    layer.bindTooltip(`${f.name} (${f.kind})`, { sticky: true });
+    layer.addTo(map);
+    geofenceLayers.set(f.id, layer);
 }
 
+function addGeofence(raw) {
+    const f = normalizeGeofence(raw, nextGeofenceId());
+    if (!f) return null;
+    geofences.push(f);
+    renderGeofence(f);
+    saveGeofences();
+    renderGeofenceList();
+    recheckAllGeofences();
+    return f;
+}
 
-function updateAuxIconElem(elem, aux_status) {
-    if (!elem) return;
-    const s = Number(aux_status) || 0;
+function removeGeofence(id) {
+    const idx = geofences.findIndex(f => f.id === id);
+    if (idx < 0) return;
+    if (geofenceEdit && geofenceEdit.id === id) stopGeofenceEdit();
+    geofences.splice(idx, 1);
+    const layer = geofenceLayers.get(id);
+    if (layer) map.removeLayer(layer);
+    geofenceLayers.delete(id);
+    for (const set of geofenceViolations.values()) set.delete(id);
+    saveGeofences();
+    renderGeofenceList();
+    recheckAllGeofences();
+}
 
-    // Direct available -> green
-    if (s & 0x01) {
-        elem.style.backgroundColor = '#2ecc71';
-        elem.title = 'Direct aux: OK';
+// fence geometry or attributes changed: redraw, persist and re-evaluate all robots
+function geofenceChanged(f) {
+    renderGeofence(f);
+    saveGeofences();
+    recheckAllGeofences();
+}
+
+function geofenceContains(f, lat, lon) {
+    if (f.type === 'circle') return L.latLng(lat, lon).distanceTo(f.center) <= f.radiusM;
+    // ray casting in lat/lon (fences are small enough to ignore the projection)
+    let inside = false;
+    const pts = f.points;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+        const [yi, xi] = pts[i];
+        const [yj, xj] = pts[j];
+        if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
     }
-    // Indirect available -> orange
-    else if (s & 0x02) {
-        elem.style.backgroundColor = '#f39c12';
-        elem.title = 'Indirect aux: OK';
+    return inside;
+}
+
+// test a status against every fence; new violations raise an alert
+function checkGeofences(s) {
+    if (!s || !Number.isFinite(s.latitude) || !Number.isFinite(s.longitude)) return;
+    const id = Number(s.id);
+    const prev = geofenceViolations.get(id) || new Set();
+    const current = new Set();
+    const allowed = [];
+    let insideAllowed = false;
+    for (const f of geofences) {
+        if (f.ids.length && !f.ids.includes(id)) continue;
+        const inside = geofenceContains(f, s.latitude, s.longitude);
+        // allowed zones form one area together: checked as a union below
+        if (f.kind === 'allowed') {
+            allowed.push(f);
+            if (inside) insideAllowed = true;
+            continue;
+        }
+        if (!inside) continue;
+        current.add(f.id);
+        if (!prev.has(f.id)) raiseMapAlert(id, `${robotName(id)} entered keep-out zone "${f.name}"`);
     }
-    // No aux data -> red
-    else {
-        elem.style.backgroundColor = '#e74c3c';
-        elem.title = 'No aux data';
+    if (allowed.length && !insideAllowed) {
+        const wasOutside = allowed.some(f => prev.has(f.id));
+        for (const f of allowed) current.add(f.id);
+        if (!wasOutside) raiseMapAlert(id, `${robotName(id)} left allowed zone${allowed.length > 1 ? 's' : ''} ${allowed.map(f => `"${f.name}"`).join(', ')}`);
     }
+    geofenceViolations.set(id, current);
+    updateGeofenceTreeHighlight(id);
+}
 
-    // ensure icon sizing/shape if not already set
-    elem.style.display = 'inline-block';
-    elem.style.width = '10px';
-    elem.style.height = '10px';
-    elem.style.borderRadius = '50%';
+function recheckAllGeofences() {
+    for (const s of statusArray) checkGeofences(s);
 }
 
-// update details of existing DOM entry
-function updateTreeEntryDom(s) {
-    const container = ensureTreeContainer();
-    const el = container.querySelector(`.tree-entry[data-id="${s.id}"]`);
-    if (!el) return createTreeEntry(s);
+function updateGeofenceTreeHighlight(id) {
+    const entryEl = document.querySelector(`.tree-entry[data-id="${id}"]`);
+    if (!entryEl) return;
+    const set = geofenceViolations.get(Number(id));
+    const names = set ? geofences.filter(f => set.has(f.id)).map(f => f.name) : [];
+    entryEl.classList.toggle('geofence-alert', names.length > 0);
+    entryEl.title = names.length ? 'Geofence: ' + names.join(', ') : '';
+}
 
-    const details = el.querySelector('.tree-details');
-    if (details) {
-        details.innerHTML = renderStatusDetailsHtml(s);
-        details.style.display = s._expanded ? 'block' : 'none';
-    }
+// interactive drawing: polygon = click vertices, double-click to finish;
+// circle = click the center, then click the edge. Escape cancels.
+function startGeofenceDraw(type, kind) {
+    stopMeasureDraw();
+    stopGeofenceDraw();
+    stopGeofenceEdit();
+    geofenceDraw = { type, kind, points: [], preview: null };
+    map.doubleClickZoom.disable();
+    map.getContainer().style.cursor = 'crosshair';
+    map.on('click', onGeofenceDrawClick);
+    map.on('mousemove', onGeofenceDrawMove);
+    map.on('dblclick', finishGeofenceDraw);
+    document.addEventListener('keydown', onGeofenceDrawKey);
+    if (geofenceHintEl) geofenceHintEl.textContent = type === 'circle' ? 'click center, then edge (Esc cancels)' : 'click vertices, double-click to finish (Esc cancels)';
+}
 
-    // update aux icon color/title
-    const header = el.querySelector('.tree-header');
-    if (header) {
-        let auxIcon = header.querySelector('.aux-icon');
-        if (!auxIcon) {
-            auxIcon = document.createElement('span');
-            auxIcon.className = 'aux-icon';
-            auxIcon.style.display = 'inline-block';
-            auxIcon.style.width = '10px';
-            auxIcon.style.height = '10px';
-            auxIcon.style.borderRadius = '50%';
-            auxIcon.style.flex = '0 0 10px';
-            header.insertBefore(auxIcon, header.firstChild);
+function stopGeofenceDraw() {
+    if (!geofenceDraw) return;
+    if (geofenceDraw.preview) map.removeLayer(geofenceDraw.preview);
+    geofenceDraw = null;
+    map.off('click', onGeofenceDrawClick);
+    map.off('mousemove', onGeofenceDrawMove);
+    map.off('dblclick', finishGeofenceDraw);
+    document.removeEventListener('keydown', onGeofenceDrawKey);
+    map.doubleClickZoom.enable();
+    map.getContainer().style.cursor = '';
+    if (geofenceHintEl) geofenceHintEl.textContent = '';
+}
+
+function onGeofenceDrawKey(ev) {
+    if (ev.key === 'Escape') stopGeofenceDraw();
+}
+
+function onGeofenceDrawClick(ev) {
+    const d = geofenceDraw;
+    const p = [ev.latlng.lat, ev.latlng.lng];
+    if (d.type === 'circle') {
+        if (!d.points.length) {
+            d.points.push(p);
+            d.preview = L.circle(p, { radius: 0.1, color: GEOFENCE_COLORS[d.kind], weight: 2, dashArray: '4 4', interactive: false }).addTo(map);
+        } else {
+            finishGeofenceDraw(ev);
         }
-        updateAuxIconElem(auxIcon, s.aux_data_status);
+        return;
     }
+    // the two clicks of a double-click land on the same spot: keep one vertex
+    const last = d.points[d.points.length - 1];
+    if (last && map.latLngToContainerPoint(last).distanceTo(ev.containerPoint) < 4) return;
+    d.points.push(p);
+    onGeofenceDrawMove(ev);
+}
 
-    // update progress bar immediately for this entry
-    const progInner = el._progInner || header.querySelector('.time-progress-inner');
-    if (progInner) {
-        const now = Date.now();
-        const last = s.tstamp ? (new Date(s.tstamp)).getTime() : now;
-        const elapsed = Math.max(0, now - last);
-        const pct = Math.min(1, elapsed / 5000);
-        progInner.style.width = (pct * 100) + '%';
+function onGeofenceDrawMove(ev) {
+    const d = geofenceDraw;
+    if (!d || !d.points.length) return;
+    if (d.type === 'circle') {
+        d.preview.setRadius(Math.max(0.1, ev.latlng.distanceTo(d.points[0])));
+        return;
     }
+    const pts = d.points.concat([[ev.latlng.lat, ev.latlng.lng]]);
+    if (!d.preview) d.preview = L.polygon(pts, { color: GEOFENCE_COLORS[d.kind], weight: 2, dashArray: '4 4', interactive: false }).addTo(map);
+    else d.preview.setLatLngs(pts);
 }
 
-// rebuild entire tree (keeps current _expanded flags)
-function renderStatusTree() {
-    const container = ensureTreeContainer();
-    container.innerHTML = '';
-    for (let i = 0; i < statusArray.length; ++i) {
-        const s = statusArray[i];
-        // ensure _expanded boolean exists
-        if (typeof s._expanded === 'undefined') s._expanded = false;
-        createTreeEntry(s);
+function finishGeofenceDraw(ev) {
+    const d = geofenceDraw;
+    if (!d) return;
+    let raw = null;
+    if (d.type === 'circle' && d.points.length && ev && ev.latlng) {
+        raw = { kind: d.kind, type: 'circle', center: d.points[0], radiusM: ev.latlng.distanceTo(d.points[0]) };
+    } else if (d.type === 'polygon' && d.points.length >= 3) {
+        raw = { kind: d.kind, type: 'polygon', points: d.points.slice() };
     }
+    stopGeofenceDraw();
+    if (raw) addGeofence(raw);
 }
 
-/**
- * Update or insert status payload into statusArray using `id` as key.
- * - s: parsed status object { id, sync_id, ... }
- * If element exists, update its fields (preserve object reference).
- * If not, push a shallow copy.
- * Returns the array element.
- */
-function updateStatusArray(s) {
-    if (!s || typeof s.id === 'undefined') return null;
-    const id = Number(s.id);
-    const idx = statusArray.findIndex(item => Number(item.id) === id);
-    if (idx >= 0) {
-        // preserve expanded flag
-        const expanded = !!statusArray[idx]._expanded;
-        Object.assign(statusArray[idx], s);
-        statusArray[idx]._expanded = expanded;
-        updateTreeEntryDom(statusArray[idx]);
-        // mark this id as active (only it will show the background)
-        setActiveTreeId(id);
-        // update marker on the map for this id
-        updateMapMarker(statusArray[idx]);
+// editing: draggable handles on the vertices (polygon) or on the center and
+// edge (circle); right-click removes a polygon vertex
+function startGeofenceEdit(id) {
+    stopGeofenceDraw();
+    stopGeofenceEdit();
+    const f = geofences.find(x => x.id === id);
+    if (!f) return;
+    geofenceEdit = { id, handles: [] };
+    const icon = L.divIcon({ className: 'geofence-handle', iconSize: [12, 12] });
+    const addHandle = (latlng, onDrag, onRemove) => {
+        const h = L.marker(latlng, { icon, draggable: true, zIndexOffset: 1000 }).addTo(map);
+        h.on('drag', () => { onDrag(h.getLatLng()); renderGeofence(f); });
+        h.on('dragend', () => geofenceChanged(f));
+        if (onRemove) h.on('contextmenu', onRemove);
+        geofenceEdit.handles.push(h);
+        return h;
+    };
+    if (f.type === 'circle') {
+        const edgeOf = () => L.latLng(f.center).toBounds(f.radiusM * 2).getNorthEast();
+        let edge = null;
+        addHandle(f.center, (ll) => {
+            f.center = [ll.lat, ll.lng];
+            edge.setLatLng([f.center[0], edgeOf().lng]);
+        });
+        edge = addHandle([f.center[0], edgeOf().lng], (ll) => {
+            f.radiusM = Math.max(0.1, ll.distanceTo(f.center));
+        });
     } else {
-        const entry = Object.assign({}, s);
-        entry._expanded = false;
-        statusArray.push(entry);
-        // create DOM entry for new element
-        createTreeEntry(entry);
-        // mark new id as active
-        setActiveTreeId(id);
-        // add marker for new entry
-        updateMapMarker(entry);
+        f.points.forEach((p, i) => {
+            addHandle(p, (ll) => { f.points[i] = [ll.lat, ll.lng]; }, () => {
+                if (f.points.length <= 3) return;
+                f.points.splice(i, 1);
+                geofenceChanged(f);
+                startGeofenceEdit(id);
+            });
+        });
     }
+    renderGeofenceList();
 }
 
-// Optional helpers
-function getStatusById(id) {
-    return statusArray.find(item => Number(item.id) === Number(id)) || null;
+function stopGeofenceEdit() {
+    if (!geofenceEdit) return;
+    for (const h of geofenceEdit.handles) map.removeLayer(h);
+    geofenceEdit = null;
+    renderGeofenceList();
 }
-function removeStatusById(id) {
-    const idx = statusArray.findIndex(item => Number(item.id) === Number(id));
-    if (idx >= 0) statusArray.splice(idx, 1);
+
+// GeoJSON: polygons as Polygon features, circles as Point features with a
+// radius property in meters (the convention used by most Leaflet drawing tools)
+function geofencesToGeoJson() {
+    return {
+        type: 'FeatureCollection',
+        features: geofences.map(f => ({
+            type: 'Feature',
+            properties: Object.assign({ name: f.name, kind: f.kind, ids: f.ids }, f.type === 'circle' ? { radius: f.radiusM } : {}),
+            geometry: f.type === 'circle'
+                ? { type: 'Point', coordinates: [f.center[1], f.center[0]] }
+                : { type: 'Polygon', coordinates: [f.points.concat([f.points[0]]).map(p => [p[1], p[0]])] }
+        }))
+    };
 }
 
-// replace flashing helper with a single active-id setter that ensures only one entry
-// has the active background at a time.
-function setActiveTreeId(id, color = '#274C77') {
-    const container = ensureTreeContainer();
-    if (!container) return;
+// fences from a GeoJSON object (FeatureCollection, Feature or bare geometry)
+function geofencesFromGeoJson(data) {
+    const features = data.type === 'FeatureCollection' ? data.features || []
+        : (data.type === 'Feature' ? [data] : [{ type: 'Feature', properties: {}, geometry: data }]);
+    const out = [];
+    for (const feat of features) {
+        const g = feat && feat.geometry;
+        const props = (feat && feat.properties) || {};
+        if (!g) continue;
+        const base = { name: props.name, kind: props.kind, ids: props.ids };
+        const ring = r => {
+            const pts = r.map(c => [c[1], c[0]]);
+            const a = pts[0];
+            const b = pts[pts.length - 1];
+            if (pts.length > 1 && a[0] === b[0] && a[1] === b[1]) pts.pop();
+            return pts;
+        };
+        if (g.type === 'Point') out.push(Object.assign(base, { type: 'circle', center: [g.coordinates[1], g.coordinates[0]], radiusM: props.radius }));
+        else if (g.type === 'Polygon') out.push(Object.assign(base, { type: 'polygon', points: ring(g.coordinates[0]) }));
+        else if (g.type === 'MultiPolygon') {
+            for (const poly of g.coordinates) out.push(Object.assign({}, base, { type: 'polygon', points: ring(poly[0]) }));
+        }
+    }
+    return out;
+}
 
-    // clear previous active background from all entries
-    const entries = container.querySelectorAll('.tree-entry .tree-header');
-    entries.forEach(h => {
-        h.style.backgroundColor = '';
-    });
+function exportGeofences() {
+    const blob = new Blob([JSON.stringify(geofencesToGeoJson(), null, 1)], { type: 'application/geo+json' });
+    downloadBlob(blob, `geofences_${fileTimestamp()}.geojson`);
+}
 
-    // set active background for the requested id
-    const entry = container.querySelector(`.tree-entry[data-id="${id}"]`);
-    if (!entry) return;
-    const header = entry.querySelector('.tree-header') || entry;
-    header.style.backgroundColor = color;
+async function importGeofences(file) {
+    try {
+        const list = geofencesFromGeoJson(JSON.parse(await file.text()));
+        let n = 0;
+        for (const raw of list) if (addGeofence(raw)) n++;
+        setStatus(`imported ${n} geofence(s)`);
+        if (n) map.fitBounds(L.featureGroup([...geofenceLayers.values()]).getBounds(), { maxZoom: 19 });
+    } catch (e) {
+        setStatus('geofence import failed: ' + (e.message || e));
+    }
 }
 
-// Leaflet map + marker management
-let map = null;
-const markers = new Map(); // id -> L.Marker
-let firstLocationSet = false; // center map once on first valid status
+function renderGeofenceList() {
+    if (!geofenceListEl) return;
+    geofenceListEl.innerHTML = '';
+    for (const f of geofences) {
+        const row = document.createElement('div');
+        row.className = 'map-control-row';
+
+        const name = document.createElement('input');
+        name.value = f.name;
+        name.style.width = '80px';
+        name.addEventListener('change', () => {
+            f.name = name.value.trim() || f.name;
+            geofenceChanged(f);
+        });
 
-// NEW: id of tree/marker that should keep the map centered while its popup is open
-let activeCenteredId = null;
+        const kind = document.createElement('select');
+        kind.innerHTML = '<option value="keepout">keep-out</option><option value="allowed">allowed</option>';
+        kind.value = f.kind;
+        kind.addEventListener('change', () => {
+            f.kind = kind.value;
+            geofenceChanged(f);
+        });
 
-// initialize the Leaflet map (called once)
-function initMap() {
-    if (map) return;
-    // default view (world)
-    map = L.map('map', { preferCanvas: true }).setView([0, 0], 2);
+        const ids = document.createElement('input');
+        ids.value = f.ids.join(',');
+        ids.placeholder = 'all';
+        ids.title = 'Robot ids this zone applies to (comma separated, empty = all)';
+        ids.style.width = '50px';
+        ids.addEventListener('change', () => {
+            f.ids = ids.value.split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isInteger);
+            ids.value = f.ids.join(',');
+            geofenceChanged(f);
+        });
 
-    // Satellite imagery (ESRI World Imagery). maxZoom 20 to allow house-level zoom.
-    L.tileLayer('https://{s}.google.com/vt/lyrs=s,h&x={x}&y={y}&z={z}', {
-        name: 'GOOGLE_HYBRID_MAP',
-        maxZoom: 24,
-        maxNativeZoom: 21,
-        subdomains: ['mt0', 'mt1', 'mt2', 'mt3'],
-        id: 'mapbox.satellite',
-    }).addTo(map);
+        const editing = geofenceEdit && geofenceEdit.id === f.id;
+        const edit = document.createElement('button');
+        edit.className = 'robot-action';
+        edit.textContent = editing ? 'Done' : 'Edit';
+        edit.addEventListener('click', () => editing ? stopGeofenceEdit() : startGeofenceEdit(f.id));
+
+        const del = document.createElement('button');
+        del.className = 'robot-action';
+        del.textContent = '×';
+        del.title = 'Delete zone';
+        del.addEventListener('click', () => removeGeofence(f.id));
+
+        row.appendChild(name);
+        row.appendChild(kind);
+        row.appendChild(ids);
+        row.appendChild(edit);
+        row.appendChild(del);
+        geofenceListEl.appendChild(row);
+    }
+}
 
-    createMapRadar();
+function createGeofenceControl() {
+    const GeofenceControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const box = L.DomUtil.create('div', 'map-control');
+            L.DomEvent.disableClickPropagation(box);
+            L.DomEvent.disableScrollPropagation(box);
+
+            const title = document.createElement('div');
+            title.className = 'map-control-title';
+            title.textContent = 'Geofences';
+            box.appendChild(title);
+
+            const drawRow = document.createElement('div');
+            drawRow.className = 'map-control-row';
+            const kindSel = document.createElement('select');
+            kindSel.innerHTML = '<option value="keepout">keep-out</option><option value="allowed">allowed</option>';
+            drawRow.appendChild(kindSel);
+            for (const [type, label] of [['polygon', 'Polygon'], ['circle', 'Circle']]) {
+                const b = document.createElement('button');
+                b.className = 'robot-action';
+                b.textContent = label;
+                b.addEventListener('click', () => startGeofenceDraw(type, kindSel.value));
+                drawRow.appendChild(b);
+            }
+            box.appendChild(drawRow);
+
+            geofenceHintEl = document.createElement('div');
+            geofenceHintEl.style.color = '#9ad';
+            box.appendChild(geofenceHintEl);
+
+            geofenceListEl = document.createElement('div');
+            box.appendChild(geofenceListEl);
+
+            const fileRow = document.createElement('div');
+            fileRow.className = 'map-control-row';
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.geojson,.json,application/geo+json,application/json';
+            fileInput.hidden = true;
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files && fileInput.files[0];
+                fileInput.value = '';
+                if (file) importGeofences(file);
+            });
+            const importBtn = document.createElement('button');
+            importBtn.className = 'robot-action';
+            importBtn.textContent = 'Import GeoJSON';
+            importBtn.addEventListener('click', () => fileInput.click());
+            const exportBtn = document.createElement('button');
+            exportBtn.className = 'robot-action';
+            exportBtn.textContent = 'Export';
+            exportBtn.addEventListener('click', exportGeofences);
+            fileRow.appendChild(fileInput);
+            fileRow.appendChild(importBtn);
+            fileRow.appendChild(exportBtn);
+            box.appendChild(fileRow);
+
+            renderGeofenceList();
+            return box;
+        }
+    });
+    new GeofenceControl().addTo(map);
+
+    loadGeofences();
+    renderGeofenceList();
 }
 
-// helper to create a DivIcon with rotated arrow + ID label
-function createRobotIcon(id, headingRad) {
-    // headingRad: radians
-    const deg = Number.isFinite(headingRad) ? (headingRad * 180 / Math.PI) : 0;
+// measurements: distance and bearing between two ends, each a fixed map point
+// { lat, lon } or a robot { id } that follows the robot as it moves.
+// frameId picks the robot whose body frame (x forward, y left) the offset a -> b
+// is expressed in; null gives east/north
+const MEASURE_SNAP_PX = 14; // a click this close to a robot attaches the end to it
+const MEASURE_COLOR = '#f1c40f';
+const measurements = [];
+let measureSeq = 0;
+let measureDraw = null; // { first, preview } while picking the two ends
+let measureListEl = null;
+let measureHintEl = null;
+let measurePopupBlocked = false; // set while a marker click is used as a measurement end
+
+// current position of a measurement end; a robot end keeps its last known
+// position when the robot is gone
+function measureEndLatLng(end) {
+    if (end.id !== undefined) {
+        const s = getStatusById(end.id);
+        if (s && hasPosition(s)) {
+            end.lat = s.latitude;
+            end.lon = s.longitude;
+        }
+    }
+    return [end.lat, end.lon];
+}
 
-    // Fix: apply rotation = 90 - heading_degrees
-    // This corrects the 90° offset and inverts direction so increasing heading
-    // rotates the arrow in the expected (clockwise) sense.
-    let rot = 90 - deg;
-    const rotNorm = ((rot % 360) + 360) % 360;
+function measureEndLabel(end) {
+    return end.id !== undefined ? robotName(end.id) : `${end.lat.toFixed(6)}, ${end.lon.toFixed(6)}`;
+}
 
-    const svg = `
-    <svg viewBox="-12 -12 24 24" xmlns="http://www.w3.org/2000/svg"
-         style="transform: rotate(${rotNorm}deg); transform-origin: center;">
-      <!-- arrow shaft -->
-      <line x1="0" y1="6" x2="0" y2="-6" stroke="#ffd966" stroke-width="2.5" stroke-linecap="round"/>
-      <!-- arrow head -->
-      <path d="M0 -9 L5 -4 L0 -6 L-5 -4 Z" fill="#ff6f61" stroke="#c84a3a" stroke-width="0.5"/>
-      <!-- center circle -->
-      <circle cx="0" cy="0" r="1.7" fill="#222"/>
-    </svg>
-  `;
-    const html = `<div class="robot-marker">${svg}<div class="robot-label">ID ${id}</div></div>`;
+// distance (m), compass bearing a -> b (deg) and the offset a -> b in the frame robot's
+// body frame (x forward, y left) or east/north when there is no frame robot
+function measureGeometry(m) {
+    const [lat0, lon0] = measureEndLatLng(m.a);
+    const [lat1, lon1] = measureEndLatLng(m.b);
+    const d = enuOffset({ latitude: lat0, longitude: lon0 }, { latitude: lat1, longitude: lon1 });
+    const g = {
+        dist: Math.hypot(d.e, d.n),
+        bearing: (Math.atan2(d.e, d.n) * RAD2DEG + 360) % 360,
+        frame: null,
+        x: d.e,
+        y: d.n
+    };
+    const ref = m.frameId !== null ? getStatusById(m.frameId) : null;
+    if (ref) {
+        const xy = latLngToRobotXY(lat0, lon0, lat1, lon1, Number(ref.heading) || 0);
+        g.frame = m.frameId;
+        g.x = xy.x;
+        g.y = xy.y;
+    }
+    return g;
+}
 
-    return L.divIcon({
-        className: '',
-        html,
-        iconSize: [48, 28],
-        iconAnchor: [12, 12]
-    });
+function measureText(m) {
+    const g = measureGeometry(m);
+    const rel = g.frame !== null ? `X ${g.x.toFixed(2)} Y ${g.y.toFixed(2)} m (${escapeXml(robotName(g.frame))})` : `E ${g.x.toFixed(2)} N ${g.y.toFixed(2)} m`;
+    return `${g.dist.toFixed(2)} m, ${g.bearing.toFixed(1)}°<br/>${rel}`;
 }
 
-function updateMapMarker(s) {
-    if (!s || typeof s.latitude !== 'number' || typeof s.longitude !== 'number') return;
-    const lat = Number(s.latitude);
-    const lon = Number(s.longitude);
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+function renderMeasurement(m) {
+    const latlngs = [measureEndLatLng(m.a), measureEndLatLng(m.b)];
+    const text = measureText(m);
+    if (!m.line) {
+        m.line = L.polyline(latlngs, { color: MEASURE_COLOR, weight: 2, dashArray: '6 4', interactive: false })
+            .bindTooltip(text, { permanent: true, direction: 'center', className: 'measure-label' })
+            .addTo(map);
+    } else {
+        m.line.setLatLngs(latlngs);
+        m.line.setTooltipContent(text);
+    }
+}
 
-    if (!map) initMap();
+function addMeasurement(a, b) {
+    // measured from a robot: default to that robot's frame
+    const frameEnd = a.id !== undefined ? a : b;
+    const m = { id: ++measureSeq, a, b, frameId: frameEnd.id !== undefined ? frameEnd.id : null, line: null };
+    measurements.push(m);
+    renderMeasurement(m);
+    renderMeasureList();
+}
 
-    if (!firstLocationSet) {
-        try { map.setView([lat, lon], 19); } catch (e) { }
-        firstLocationSet = true;
+function removeMeasurement(id) {
+    const i = measurements.findIndex(m => m.id === id);
+    if (i < 0) return;
+    const m = measurements[i];
+    if (m.line) map.removeLayer(m.line);
+    measurements.splice(i, 1);
+    renderMeasureList();
+}
+
+function clearMeasurements() {
+    for (const m of measurements) {
+        if (m.line) map.removeLayer(m.line);
     }
+    measurements.length = 0;
+    renderMeasureList();
+}
 
-    let m = markers.get(s.id);
-    const icon = createRobotIcon(s.id, s.heading);
+// follow a robot that moved: every measurement with it as an end or as the frame
+function updateMeasurements(id) {
+    if (!map) return;
+    id = Number(id);
+    for (const m of measurements) {
+        if (m.a.id === id || m.b.id === id || m.frameId === id) renderMeasurement(m);
+    }
+}
 
-    if (!m) {
-        m = L.marker([lat, lon], { icon, riseOnHover: true }).addTo(map);
-        markers.set(s.id, m);
+// picking: click two ends on the map; a click near a robot attaches the end to it. Escape cancels.
+function startMeasureDraw() {
+    stopMeasureDraw();
+    stopGeofenceDraw();
+    stopGeofenceEdit();
+    measureDraw = { first: null, preview: null };
+    map.getContainer().style.cursor = 'crosshair';
+    map.on('click', onMeasureDrawClick);
+    map.on('mousemove', onMeasureDrawMove);
+    document.addEventListener('keydown', onMeasureDrawKey);
+    if (measureHintEl) measureHintEl.textContent = 'click first point or robot (Esc cancels)';
+}
 
-        // ensure popupclose disables following for this id
-        m.on('popupclose', () => {
-            if (activeCenteredId === Number(s.id)) activeCenteredId = null;
-        });
+function stopMeasureDraw() {
+    if (!measureDraw) return;
+    if (measureDraw.preview) map.removeLayer(measureDraw.preview);
+    measureDraw = null;
+    map.off('click', onMeasureDrawClick);
+    map.off('mousemove', onMeasureDrawMove);
+    document.removeEventListener('keydown', onMeasureDrawKey);
+    map.getContainer().style.cursor = '';
+    if (measureHintEl) measureHintEl.textContent = '';
+}
 
-        // clicking the marker sets activeCenteredId (and centers + opens popup)
-        m.on('click', () => {
-            try {
-                activeCenteredId = Number(s.id);
-                if (m.getPopup()) m.openPopup();
-                if (!isMapCenteredAt(lat, lon, 2)) map.setView([lat, lon], map.getZoom(), { animate: true });
-            } catch (e) { /* ignore */ }
-        });
-    } else {
-        m.setLatLng([lat, lon]);
-        m.setIcon(icon);
-        // ensure click handler exists/updated for existing markers as well
-        try {
-            m.off('click');
-            m.on('click', () => {
-                activeCenteredId = Number(s.id);
-                if (m.getPopup()) m.openPopup();
-                if (!isMapCenteredAt(lat, lon, 2)) map.setView([lat, lon], map.getZoom(), { animate: true });
-            });
-        } catch (e) { /* ignore */ }
+function onMeasureDrawKey(ev) {
+    if (ev.key === 'Escape') stopMeasureDraw();
+}
+
+// the robot drawn closest to a container point, within MEASURE_SNAP_PX
+function robotNearPoint(containerPoint) {
+    let best = null;
+    let bestPx = MEASURE_SNAP_PX;
+    for (const s of statusArray) {
+        if (!hasPosition(s)) continue;
+        const px = map.latLngToContainerPoint([s.latitude, s.longitude]).distanceTo(containerPoint);
+        if (px <= bestPx) {
+            best = s;
+            bestPx = px;
+        }
     }
+    return best;
+}
 
-    // If this id is the active centered one, snap/map.setView to keep it centered (immediate)
-    if (activeCenteredId === Number(s.id)) {
-        try {
-            // avoid redundant setView calls if already centered
-            if (!isMapCenteredAt(lat, lon, 2)) {
-                map.setView([lat, lon], map.getZoom(), { animate: false });
-            }
-        } catch (e) { /* ignore */ }
+// a click on the map; one just beside a robot icon still picks the robot
+function onMeasureDrawClick(ev) {
+    const s = robotNearPoint(ev.containerPoint);
+    pickMeasureEnd(s ? { id: Number(s.id), lat: s.latitude, lon: s.longitude } : { lat: ev.latlng.lat, lon: ev.latlng.lng });
+}
+
+// a click on a robot marker while picking (marker clicks do not reach the map).
+// Returns false when not picking, so the marker does its usual follow/popup.
+function onMeasureMarkerClick(s) {
+    if (!measureDraw) return false;
+    // the marker's popup opens on the same click: keep it closed
+    measurePopupBlocked = true;
+    setTimeout(() => { measurePopupBlocked = false; }, 0);
+    pickMeasureEnd({ id: Number(s.id), lat: s.latitude, lon: s.longitude });
+    return true;
+}
+
+function pickMeasureEnd(end) {
+    const d = measureDraw;
+    if (!d.first) {
+        d.first = end;
+        if (measureHintEl) measureHintEl.textContent = 'click second point or robot (Esc cancels)';
+        return;
     }
+    if (end.id !== undefined && end.id === d.first.id) return;
+    const first = d.first;
+    stopMeasureDraw();
+    addMeasurement(first, end);
+}
 
-    // update popup content if present
-    const popup = m.getPopup();
-    if (popup) {
-        const popupHtml = `
-      <strong>ID ${s.id}</strong><br/>
-      sync: ${s.sync_id} &nbsp; t_off: ${s.time_offset_ms} ms<br/>
-      lat: ${lat.toFixed(6)}<br/>lon: ${lon.toFixed(6)}<br/>
-      hdg: ${s.heading?.toFixed(3) ?? 'N/A'} rad<br/>
-      cov: ${s.cov_pos.toFixed(2) ?? 'N/A'}<br/>
-      spdX: ${s.speed_x.toFixed(2) ?? 'N/A'} mm/s
-    `;
-        popup.setContent(popupHtml);
-    } else {
-        m.bindPopup(`<strong>ID ${s.id}</strong><br/>lat: ${lat.toFixed(6)} lon: ${lon.toFixed(6)}`);
+function onMeasureDrawMove(ev) {
+    const d = measureDraw;
+    if (!d || !d.first) return;
+    const pts = [measureEndLatLng(d.first), [ev.latlng.lat, ev.latlng.lng]];
+    if (!d.preview) d.preview = L.polyline(pts, { color: MEASURE_COLOR, weight: 2, dashArray: '2 4', interactive: false }).addTo(map);
+    else d.preview.setLatLngs(pts);
+}
+
+function renderMeasureList() {
+    if (!measureListEl) return;
+    measureListEl.innerHTML = '';
+    for (const m of measurements) {
+        const row = document.createElement('div');
+        row.className = 'map-control-row';
+
+        const label = document.createElement('span');
+        label.textContent = `${measureEndLabel(m.a)} → ${measureEndLabel(m.b)}`;
+
+        // frame the X/Y offset is given in: any robot, or east/north
+        const frame = document.createElement('select');
+        frame.title = 'Frame of the X/Y offset';
+        const ids = statusArray.map(s => Number(s.id)).sort((x, y) => x - y);
+        for (const id of [m.a.id, m.b.id, m.frameId]) {
+            if (id !== undefined && id !== null && !ids.includes(id)) ids.push(id);
+        }
+        frame.innerHTML = '<option value="">E/N</option>' + ids.map(id => `<option value="${id}">${escapeXml(robotName(id))} frame</option>`).join('');
+        frame.value = m.frameId === null ? '' : String(m.frameId);
+        frame.addEventListener('change', () => {
+            m.frameId = frame.value === '' ? null : Number(frame.value);
+            renderMeasurement(m);
+        });
+
+        const del = document.createElement('button');
+        del.className = 'robot-action';
+        del.textContent = '×';
+        del.title = 'Remove measurement';
+        del.addEventListener('click', () => removeMeasurement(m.id));
+
+        row.appendChild(label);
+        row.appendChild(frame);
+        row.appendChild(del);
+        measureListEl.appendChild(row);
     }
 }
 
+function createMeasureControl() {
+    const MeasureControl = L.Control.extend({
+        options: { position: 'topleft' },
+        onAdd() {
+            const box = L.DomUtil.create('div', 'map-control');
+            L.DomEvent.disableClickPropagation(box);
+            L.DomEvent.disableScrollPropagation(box);
+
+            const title = document.createElement('div');
+            title.className = 'map-control-title';
+            title.textContent = 'Measure';
+            box.appendChild(title);
+
+            const row = document.createElement('div');
+            row.className = 'map-control-row';
+            const measureBtn = document.createElement('button');
+            measureBtn.className = 'robot-action';
+            measureBtn.textContent = 'Measure';
+            measureBtn.title = 'Click two points or robots on the map';
+            measureBtn.addEventListener('click', startMeasureDraw);
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'robot-action';
+            clearBtn.textContent = 'Clear all';
+            clearBtn.addEventListener('click', () => {
+                stopMeasureDraw();
+                clearMeasurements();
+            });
+            row.appendChild(measureBtn);
+            row.appendChild(clearBtn);
+            box.appendChild(row);
+
+            measureHintEl = document.createElement('div');
+            measureHintEl.style.color = '#9ad';
+            box.appendChild(measureHintEl);
+
+            measureListEl = document.createElement('div');
+            box.appendChild(measureListEl);
+            return box;
+        }
+    });
+    new MeasureControl().addTo(map);
+}
+
 // return a short human-friendly label for the selected port (prefer product/label name)
 async function getPortLabel(port) {
     if (!port) return 'device';
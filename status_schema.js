@@ -0,0 +1,180 @@
+/*
+ * Status payload layouts, kept free of the page so they can be tested on their own
+ * (test/status_schema.test.js). A schema describes one version of the firmware's
+ * status_payload struct:
+ *   { name, size?, endianness: 'little'|'big', version?, versionField?: { offset, type },
+ *     fields: [{ name, type, offset?, scale?, unit?, mask?, shift?, endianness?,
+ *                bits?: [{ mask, on, off? }], exclusive?, none? } | { type: 'pad', size }] }
+ * Fields follow each other unless an explicit byte offset is given ('pad' skips
+ * alignment bytes). bits names the flags of a bitfield: every entry adds `on` when
+ * (value & mask) is set, `off` otherwise, and `none` is shown when nothing was added.
+ * With exclusive set the entries are in order of precedence and only the first set
+ * one is named.
+ * A payload is decoded with the schema whose versionField holds its version, else
+ * the one whose size matches the payload length, else the built-in layout.
+ */
+const STATUS_FIELD_TYPES = {
+    uint8: 1, int8: 1, uint16: 2, int16: 2, uint32: 4, int32: 4, float32: 4, float64: 8
+};
+// fields the viewer itself relies on (anything else is listed as extra data)
+const STATUS_CORE_FIELDS = ['id', 'sync_id', 'time_offset_ms', 'latitude', 'longitude', 'heading', 'cov_pos', 'speed_x', 'speed_y', 'rot_speed', 'drive_mode', 'aux_data_status'];
+const STATUS_REQUIRED_FIELDS = ['id', 'sync_id', 'time_offset_ms', 'latitude', 'longitude', 'heading'];
+const BUILTIN_STATUS_SCHEMAS = [{
+    name: 'status_payload v1',
+    endianness: 'little',
+    fields: [
+        { name: 'id', type: 'uint16' },
+        { name: 'sync_id', type: 'uint16' },
+        { name: 'time_offset_ms', type: 'int16', unit: 'ms' },
+        { type: 'pad', size: 2 }, // aligns the next double to 8 bytes
+        { name: 'latitude', type: 'float64', unit: 'deg' },
+        { name: 'longitude', type: 'float64', unit: 'deg' },
+        { name: 'heading', type: 'float32', unit: 'rad' },
+        { name: 'cov_pos', type: 'float32' },
+        { name: 'speed_x', type: 'int16', scale: 0.001, unit: 'm/s' },
+        { name: 'speed_y', type: 'int16', scale: 0.001, unit: 'm/s' },
+        { name: 'rot_speed', type: 'int16', scale: 0.001, unit: 'rad/s' },
+        {
+            name: 'drive_mode', type: 'uint8', bits: [
+                { mask: 0x01, on: 'auto', off: 'manual' },
+                { mask: 0x02, on: 'sideways' },
+                { mask: 0x04, on: 'sel', off: 'not-sel' },
+                { mask: 0x08, on: 'multi', off: 'single' },
+                { mask: 0x10, on: 'bwd', off: 'fwd' }
+            ]
+        },
+        {
+            // direct takes precedence when both are set
+            name: 'aux_data_status', type: 'uint8', none: 'not available', exclusive: true, bits: [
+                { mask: 0x01, on: 'direct available' },
+                { mask: 0x02, on: 'indirect available' }
+            ]
+        }
+    ]
+}];
+
+// check a schema and resolve field offsets and size; throws on invalid input
+function normalizeStatusSchema(raw) {
+    if (!raw || typeof raw !== 'object' || !Array.isArray(raw.fields)) throw new Error('a schema needs a fields array');
+    const name = String(raw.name || 'unnamed schema');
+    const little = (raw.endianness || 'little') !== 'big';
+    const fields = [];
+    let off = 0;
+    let end = 0;
+    for (const f of raw.fields) {
+        if (!f || typeof f !== 'object') throw new Error(`${name}: invalid field entry`);
+        if (f.offset != null) {
+            if (!Number.isInteger(f.offset) || f.offset < 0) throw new Error(`${name}: invalid offset for ${f.name || f.type}`);
+            off = f.offset;
+        }
+        if (f.type === 'pad') {
+            if (!Number.isInteger(f.size) || f.size < 0) throw new Error(`${name}: pad needs a byte size`);
+            off += f.size;
+            end = Math.max(end, off);
+            continue;
+        }
+        const width = STATUS_FIELD_TYPES[f.type];
+        if (!width) throw new Error(`${name}: unknown type "${f.type}" for ${f.name}`);
+        if (!f.name || typeof f.name !== 'string') throw new Error(`${name}: field without a name`);
+        if (fields.some(x => x.name === f.name)) throw new Error(`${name}: duplicate field ${f.name}`);
+        fields.push({
+            name: f.name,
+            type: f.type,
+            offset: off,
+            little: f.endianness ? f.endianness !== 'big' : little,
+            scale: Number.isFinite(f.scale) ? f.scale : 1,
+            unit: f.unit ? String(f.unit) : '',
+            mask: Number.isInteger(f.mask) ? f.mask : null,
+            shift: Number.isInteger(f.shift) ? f.shift : 0,
+            bits: Array.isArray(f.bits) ? f.bits.filter(b => b && Number.isInteger(b.mask)).map(b => ({ mask: b.mask, on: String(b.on || ''), off: b.off ? String(b.off) : '' })) : null,
+            exclusive: !!f.exclusive,
+            none: f.none ? String(f.none) : ''
+        });
+        off += width;
+        end = Math.max(end, off);
+    }
+    for (const req of STATUS_REQUIRED_FIELDS) {
+        if (!fields.some(f => f.name === req)) throw new Error(`${name}: missing field ${req}`);
+    }
+    const size = raw.size != null ? Number(raw.size) : end;
+    if (!Number.isInteger(size) || size < end) throw new Error(`${name}: size ${raw.size} is smaller than its fields (${end} bytes)`);
+    let versionField = null;
+    if (raw.versionField) {
+        const vf = raw.versionField;
+        if (!Number.isInteger(vf.offset) || !STATUS_FIELD_TYPES[vf.type]) throw new Error(`${name}: versionField needs an offset and a type`);
+        if (!Number.isFinite(raw.version)) throw new Error(`${name}: versionField without a version value`);
+        versionField = { offset: vf.offset, type: vf.type, little: vf.endianness ? vf.endianness !== 'big' : little };
+    }
+    return { name, size, version: versionField ? raw.version : null, versionField, fields, source: raw };
+}
+
+function readSchemaValue(dv, offset, type, little) {
+    switch (type) {
+        case 'uint8': return dv.getUint8(offset);
+        case 'int8': return dv.getInt8(offset);
+        case 'uint16': return dv.getUint16(offset, little);
+        case 'int16': return dv.getInt16(offset, little);
+        case 'uint32': return dv.getUint32(offset, little);
+        case 'int32': return dv.getInt32(offset, little);
+        case 'float32': return dv.getFloat32(offset, little);
+        case 'float64': return dv.getFloat64(offset, little);
+    }
+    return NaN;
+}
+
+// schema for a payload among normalized schemas: version field match first (loaded
+// schemas before built-in ones), then an exact size match, then the first built-in
+// layout the payload is long enough for
+function selectStatusSchema(bytes, userSchemas, builtinSchemas) {
+    const all = [...userSchemas, ...builtinSchemas];
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    for (const s of all) {
+        const vf = s.versionField;
+        if (!vf || bytes.length < s.size || vf.offset + STATUS_FIELD_TYPES[vf.type] > bytes.length) continue;
+        if (readSchemaValue(dv, vf.offset, vf.type, vf.little) === s.version) return s;
+    }
+    const sized = all.find(s => !s.versionField && s.size === bytes.length);
+    if (sized) return sized;
+    return builtinSchemas.find(s => bytes.length >= s.size) || null;
+}
+
+// flag names of a bitfield value
+function describeBits(field, value) {
+    const names = [];
+    for (const b of field.bits) {
+        if (field.exclusive) {
+            if (value & b.mask) return b.on || field.none;
+            continue;
+        }
+        const name = (value & b.mask) ? b.on : b.off;
+        if (name) names.push(name);
+    }
+    return names.length ? names.join(',') : field.none;
+}
+
+// decode the fields of a payload:
+// { values, bits: { field: 'flag,flag' }, units: { field: unit }, extra: [{ name, value, unit }] }
+function decodeStatusFields(schema, bytes) {
+    const dv = new DataView(bytes.buffer, bytes.byteOffset, schema.size);
+    const values = {};
+    const bits = {};
+    const units = {};
+    const extra = [];
+    for (const f of schema.fields) {
+        let v = readSchemaValue(dv, f.offset, f.type, f.little);
+        if (f.mask !== null) v = (v & f.mask) >>> f.shift;
+        if (f.scale !== 1) v *= f.scale;
+        values[f.name] = v;
+        if (f.unit) units[f.name] = f.unit;
+        if (f.bits) bits[f.name] = describeBits(f, v);
+        if (!STATUS_CORE_FIELDS.includes(f.name)) extra.push({ name: f.name, value: v, unit: f.unit, flags: bits[f.name] });
+    }
+    return { values, bits, units, extra };
+}
+
+// robot id of a status payload (null when no schema fits)
+function statusPayloadId(bytes, schema) {
+    if (!schema) return null;
+    const f = schema.fields.find(x => x.name === 'id');
+    return readSchemaValue(new DataView(bytes.buffer, bytes.byteOffset, schema.size), f.offset, f.type, f.little);
+}
@@ -0,0 +1,46 @@
+# Regenerates the MBTiles fixtures used by test/mbtiles.test.js:
+#   python3 test/fixtures/make_mbtiles.py
+# Small pages so the tile tables span interior b-tree pages and the big tile
+# spills onto overflow pages.
+import os
+import sqlite3
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+
+
+def tile(z, x, y):
+    return ('tile %d/%d/%d' % (z, x, y)).encode()
+
+
+BIG = bytes(i % 251 for i in range(10000))
+
+
+def create(name, dedup):
+    path = os.path.join(HERE, name)
+    if os.path.exists(path):
+        os.remove(path)
+    db = sqlite3.connect(path)
+    db.execute('PRAGMA page_size = 1024')
+    db.execute('CREATE TABLE metadata (name text, value text)')
+    db.executemany('INSERT INTO metadata VALUES (?, ?)', [
+        ('name', name), ('format', 'png'), ('minzoom', '0'), ('maxzoom', '4')])
+    rows = [(z, x, y, tile(z, x, y)) for z in range(5) for x in range(1 << z) for y in range(1 << z)]
+    rows.append((5, 3, 7, BIG))
+    if dedup:
+        db.execute('CREATE TABLE map (zoom_level integer, tile_column integer, tile_row integer, tile_id text)')
+        db.execute('CREATE TABLE images (tile_data blob, tile_id text)')
+        db.execute('CREATE UNIQUE INDEX images_id ON images (tile_id)')
+        db.executemany('INSERT INTO map VALUES (?, ?, ?, ?)', [(z, x, y, '%d-%d-%d' % (z, x, y)) for z, x, y, _ in rows])
+        db.executemany('INSERT INTO images VALUES (?, ?)', [(d, '%d-%d-%d' % (z, x, y)) for z, x, y, d in rows])
+        db.execute('CREATE VIEW tiles AS SELECT zoom_level, tile_column, tile_row, tile_data FROM map JOIN images ON map.tile_id = images.tile_id')
+    else:
+        db.execute('CREATE TABLE tiles (zoom_level integer, tile_column integer, tile_row integer, tile_data blob)')
+        db.execute('CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row)')
+        db.executemany('INSERT INTO tiles VALUES (?, ?, ?, ?)', rows)
+    db.commit()
+    db.execute('VACUUM')
+    db.close()
+
+
+create('tiles.mbtiles', False)
+create('dedup.mbtiles', True)
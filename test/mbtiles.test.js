@@ -0,0 +1,55 @@
+// Round trip of the MBTiles reader in mbtiles.js against fixture files written
+// by SQLite itself (see fixtures/make_mbtiles.py). Run with: node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// mbtiles.js is a browser script declaring globals: run it in a context of its own
+function loadReader() {
+    const context = vm.createContext({ TextDecoder, Blob });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'mbtiles.js'), 'utf8'), context);
+    return context;
+}
+
+function fixture(name) {
+    const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+    return Object.assign(new Blob([bytes]), { name });
+}
+
+async function tileText(mb, z, x, y) {
+    const blob = await mb.getTile(z, x, y);
+    return blob ? Buffer.from(await blob.arrayBuffer()).toString() : null;
+}
+
+const BIG = Buffer.from(Array.from({ length: 10000 }, (_, i) => i % 251));
+
+for (const name of ['tiles.mbtiles', 'dedup.mbtiles']) {
+    test(`reads metadata and tiles of ${name}`, async () => {
+        const mb = await loadReader().openMbtiles(fixture(name));
+        assert.strictEqual(mb.name, name);
+        assert.strictEqual(mb.mime, 'image/png');
+        assert.strictEqual(mb.minZoom, 0);
+        assert.strictEqual(mb.maxZoom, 4);
+        // rows are TMS: XYZ y = 2^z - 1 - tile_row
+        for (const [z, x, row] of [[0, 0, 0], [2, 1, 3], [3, 5, 0], [4, 15, 9], [4, 0, 15]]) {
+            assert.strictEqual(await tileText(mb, z, x, (1 << z) - 1 - row), `tile ${z}/${x}/${row}`);
+        }
+        assert.strictEqual(await mb.getTile(4, 16, 0), null);
+        assert.strictEqual(await mb.getTile(6, 0, 0), null);
+    });
+
+    test(`reads a tile spilling onto overflow pages from ${name}`, async () => {
+        const mb = await loadReader().openMbtiles(fixture(name));
+        const blob = await mb.getTile(5, 3, (1 << 5) - 1 - 7);
+        assert.ok(blob);
+        assert.ok(Buffer.from(await blob.arrayBuffer()).equals(BIG));
+    });
+}
+
+test('rejects a file that is not SQLite', async () => {
+    const reader = loadReader();
+    await assert.rejects(reader.openMbtiles(Object.assign(new Blob([Buffer.alloc(200)]), { name: 'x' })), /not an SQLite database/);
+});
@@ -0,0 +1,146 @@
+// Status payload schemas of status_schema.js: selection, layout and bit decoding.
+// Run with: node --test test/
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// status_schema.js is a browser script declaring globals: run it in a context of its own
+function loadSchemas() {
+    const context = vm.createContext({});
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'status_schema.js'), 'utf8'), context);
+    // top-level consts are not properties of the context, fetch the ones used here
+    context.builtin = vm.runInContext('BUILTIN_STATUS_SCHEMAS.map(normalizeStatusSchema)', context);
+    context.REQUIRED = vm.runInContext('STATUS_REQUIRED_FIELDS', context);
+    return context;
+}
+
+// the built-in v1 layout: id, sync_id, time_offset_ms, pad(2), lat, lon, heading, cov,
+// speeds, drive_mode, aux_data_status (40 bytes, little-endian)
+function v1Payload({ id = 7, lat = 46.5, lon = 6.6, heading = 1.25, speedX = 500, driveMode = 0x05, aux = 0x01 } = {}) {
+    const bytes = new Uint8Array(40);
+    const dv = new DataView(bytes.buffer);
+    dv.setUint16(0, id, true);
+    dv.setUint16(2, 3, true);
+    dv.setInt16(4, -12, true);
+    dv.setFloat64(8, lat, true);
+    dv.setFloat64(16, lon, true);
+    dv.setFloat32(24, heading, true);
+    dv.setFloat32(28, 0.5, true);
+    dv.setInt16(32, speedX, true);
+    dv.setUint8(38, driveMode);
+    dv.setUint8(39, aux);
+    return bytes;
+}
+
+// a user layout: version byte, pad, then the required fields
+const V2 = {
+    name: 'status v2', version: 2, versionField: { offset: 0, type: 'uint8' },
+    fields: [
+        { name: 'fw', type: 'uint8' }, { type: 'pad', size: 1 },
+        { name: 'id', type: 'uint16' }, { name: 'sync_id', type: 'uint16' }, { name: 'time_offset_ms', type: 'int16' },
+        { name: 'latitude', type: 'float64' }, { name: 'longitude', type: 'float64' }, { name: 'heading', type: 'float32' }
+    ]
+};
+
+test('decodes the built-in layout across its alignment padding', () => {
+    const s = loadSchemas();
+    const schema = s.selectStatusSchema(v1Payload(), [], s.builtin);
+    assert.strictEqual(schema.name, 'status_payload v1');
+    assert.strictEqual(schema.size, 40);
+    assert.strictEqual(schema.fields.find(f => f.name === 'latitude').offset, 8);
+    const { values, units, extra } = s.decodeStatusFields(schema, v1Payload());
+    assert.strictEqual(values.id, 7);
+    assert.strictEqual(values.time_offset_ms, -12);
+    assert.strictEqual(values.latitude, 46.5);
+    assert.strictEqual(values.longitude, 6.6);
+    assert.strictEqual(values.heading, 1.25);
+    assert.strictEqual(values.speed_x, 0.5);
+    assert.strictEqual(units.speed_x, 'm/s');
+    assert.strictEqual(extra.length, 0);
+    assert.strictEqual(s.statusPayloadId(v1Payload({ id: 300 }), schema), 300);
+});
+
+test('selects a schema by its version field before the size match', () => {
+    const s = loadSchemas();
+    const user = [s.normalizeStatusSchema(V2)];
+    // 40 bytes fit the built-in layout too: the version byte decides
+    const tagged = v1Payload();
+    tagged[0] = 2;
+    assert.strictEqual(s.selectStatusSchema(tagged, user, s.builtin).name, 'status v2');
+    tagged[0] = 3;
+    assert.strictEqual(s.selectStatusSchema(tagged, user, s.builtin).name, 'status_payload v1');
+    // too short for the versioned layout
+    assert.strictEqual(s.selectStatusSchema(Uint8Array.of(2, 0, 0), user, s.builtin), null);
+});
+
+test('falls back to an exact size match, then to the built-in layout', () => {
+    const s = loadSchemas();
+    const sized = s.normalizeStatusSchema({ name: 'be44', endianness: 'big', size: 44, fields: s.REQUIRED.map(name => ({ name, type: 'uint16' })) });
+    const user = [sized];
+    assert.strictEqual(s.selectStatusSchema(new Uint8Array(44), user, s.builtin).name, 'be44');
+    assert.strictEqual(s.selectStatusSchema(new Uint8Array(46), user, s.builtin).name, 'status_payload v1');
+    assert.strictEqual(s.selectStatusSchema(new Uint8Array(30), user, s.builtin), null);
+    const bytes = new Uint8Array(44);
+    bytes[1] = 9;
+    assert.strictEqual(s.statusPayloadId(bytes, sized), 9);
+});
+
+test('resolves pads, explicit offsets, masks and per-field endianness', () => {
+    const s = loadSchemas();
+    const schema = s.normalizeStatusSchema({
+        name: 'layout', size: 40, fields: [
+            ...V2.fields,
+            { name: 'battery', type: 'uint16', scale: 0.01, unit: 'V' },
+            { name: 'mode_lo', type: 'uint8', offset: 31, mask: 0x0F },
+            { name: 'mode_hi', type: 'uint8', offset: 31, mask: 0xF0, shift: 4 },
+            { name: 'counter', type: 'uint16', endianness: 'big' }
+        ]
+    });
+    const offsets = Object.fromEntries(schema.fields.map(f => [f.name, f.offset]));
+    assert.strictEqual(JSON.stringify(offsets), JSON.stringify({
+        fw: 0, id: 2, sync_id: 4, time_offset_ms: 6, latitude: 8, longitude: 16, heading: 24, battery: 28, mode_lo: 31, mode_hi: 31, counter: 32
+    }));
+    const bytes = new Uint8Array(40);
+    const dv = new DataView(bytes.buffer);
+    dv.setUint16(28, 1234, true);
+    dv.setUint8(31, 0xA7);
+    dv.setUint16(32, 0x0102, false);
+    const { values, extra } = s.decodeStatusFields(schema, bytes);
+    assert.strictEqual(values.battery, 12.34);
+    assert.strictEqual(values.mode_lo, 7);
+    assert.strictEqual(values.mode_hi, 0xA);
+    assert.strictEqual(values.counter, 0x0102);
+    assert.strictEqual(extra.find(e => e.name === 'battery').unit, 'V');
+    assert.strictEqual(s.normalizeStatusSchema(V2).size, 28);
+});
+
+test('names bits, with exclusive bits in order of precedence', () => {
+    const s = loadSchemas();
+    const schema = s.builtin[0];
+    const bits = aux => s.decodeStatusFields(schema, v1Payload({ aux, driveMode: 0x1A })).bits;
+    // direct takes precedence when both are set
+    assert.strictEqual(bits(0x03).aux_data_status, 'direct available');
+    assert.strictEqual(bits(0x02).aux_data_status, 'indirect available');
+    assert.strictEqual(bits(0x00).aux_data_status, 'not available');
+    // non-exclusive bits name every entry, the off name for unset ones (0x1A: 0x02, 0x08, 0x10)
+    assert.strictEqual(bits(0x00).drive_mode, 'manual,sideways,not-sel,multi,bwd');
+});
+
+test('rejects invalid schemas', () => {
+    const s = loadSchemas();
+    const required = s.REQUIRED.map(name => ({ name, type: 'uint16' }));
+    const cases = [
+        [{}, /fields array/],
+        [{ fields: [{ name: 'id', type: 'uint16' }] }, /missing field sync_id/],
+        [{ fields: [{ name: 'id', type: 'u16' }] }, /unknown type "u16"/],
+        [{ fields: [...required, { name: 'id', type: 'uint8' }] }, /duplicate field id/],
+        [{ fields: [{ type: 'pad' }, ...required] }, /pad needs a byte size/],
+        [{ size: 2, fields: required }, /size 2 is smaller than its fields \(12 bytes\)/],
+        [{ versionField: { offset: 0, type: 'uint8' }, fields: required }, /versionField without a version/],
+        [{ version: 1, versionField: { type: 'uint8' }, fields: required }, /versionField needs an offset/]
+    ];
+    for (const [raw, message] of cases) assert.throws(() => s.normalizeStatusSchema(raw), message);
+});